@@ -30,392 +30,6745 @@
  */
 
 // ========================================================================
-// Utility / Compatibility
+// Module Definition
 // ------------------------------------------------------------------------
 
-// ECMAScript-5 defines Array.isArray but it's not available in FF3x.
-if (typeof Array.isArray !== 'function') {
+// The module is built by a factory returning its exports, so it can be
+// loaded with require, imported through inkling_base.mjs, or loaded by a
+// script tag. Only a script tag leaves globals behind, one for each export,
+// there being no other way for a page to reach them.
+(function(root, factory) {
+  var exports = factory();
+
+  if (typeof module === 'object' && module && module.exports) {
+    module.exports = exports;
+  } else {
+    root.ImmutablePath = exports.ImmutablePath;
+    root.Path = exports.Path;
+    root.PackedPath = exports.PackedPath;
+    root.PathGroup = exports.PathGroup;
+    root.PathIndex = exports.PathIndex;
+    root.PathParser = exports.PathParser;
+    root.PathSyntaxError = exports.PathSyntaxError;
+  }
+}(this, function() {
+
+'use strict';
+
+// ========================================================================
+// PathSyntaxError Type Definition
+// ------------------------------------------------------------------------
+
+/**
+ * Constructs a new PathSyntaxError, the error raised when a Path is given
+ * invalid input. Beyond the message these errors carry enough detail for a
+ * caller to report the problem and recover: the offending input, a
+ * machine-readable code, a description of what was expected, and the
+ * position of the problem. For path strings the position is a character
+ * offset along with the 1-based line and column it falls on. For point
+ * arrays it is the index of the offending point.
+ * @param {string} code One of the PathSyntaxError code constants.
+ * @param {Object} input The invalid path data.
+ * @param {Object} details Optional position information, with any of the
+ *     keys offset (strings), index (point arrays) and expected. The line
+ *     and column are worked out from the offset, or may be given as the
+ *     keys line and column where the input isn't all at hand.
+ * @constructor
+ * @extends {Error}
+ */
+class PathSyntaxError extends Error {
+
+  constructor(code, input, details) {
+    details = details || {};
+
+    var expected = details.expected || null;
+    var offset = typeof details.offset === 'number' ? details.offset : null;
+    var index = typeof details.index === 'number' ? details.index : null;
+    var line = typeof details.line === 'number' ? details.line : null;
+    var column = typeof details.column === 'number' ? details.column : null;
+
+    // Translate a string offset into line and column for display purposes.
+    if (line === null && offset !== null && typeof input === 'string') {
+      var lines = input.slice(0, offset).split(/\r\n|\r|\n/);
+      line = lines.length;
+      column = lines[lines.length - 1].length + 1;
+    }
+
+    // The message is complete before Error's constructor runs, so the stack
+    // it captures opens with it.
+    var message = Path.INVALID_PATH_MSG + ' ' +
+      (PathSyntaxError.MESSAGES[code] || '');
+    if (expected) {
+      message += ' Expected ' + expected + '.';
+    }
+    if (line !== null) {
+      message += ' At line ' + line + ', column ' + column + '.';
+    } else if (index !== null) {
+      message += ' At point ' + index + '.';
+    }
+
+    super(message);
+
+    this.code = code;
+    this.input = input;
+    this.expected = expected;
+    this.offset = offset;
+    this.index = index;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+
+/**
+ * The name reported for PathSyntaxError instances.
+ * @type {string}
+ */
+PathSyntaxError.prototype.name = 'PathSyntaxError';
+
+
+/**
+ * Error codes. The input was neither a path string nor a point array.
+ * @type {string}
+ */
+PathSyntaxError.INVALID_INPUT = 'INVALID_INPUT';
+
+
+/**
+ * Error codes. A path string didn't begin with a moveto, or contained a
+ * moveto somewhere other than the beginning.
+ * @type {string}
+ */
+PathSyntaxError.MOVETO_NOT_FIRST = 'MOVETO_NOT_FIRST';
+
+
+/**
+ * Error codes. A path string had content following its closepath.
+ * @type {string}
+ */
+PathSyntaxError.CLOSEPATH_NOT_LAST = 'CLOSEPATH_NOT_LAST';
+
+
+/**
+ * Error codes. A path string contained a character which isn't a command
+ * where a command was required.
+ * @type {string}
+ */
+PathSyntaxError.UNKNOWN_COMMAND = 'UNKNOWN_COMMAND';
+
+
+/**
+ * Error codes. A path string was missing a required number.
+ * @type {string}
+ */
+PathSyntaxError.EXPECTED_NUMBER = 'EXPECTED_NUMBER';
+
+
+/**
+ * Error codes. An arc command's flag argument was something other than a
+ * single 0 or 1.
+ * @type {string}
+ */
+PathSyntaxError.EXPECTED_FLAG = 'EXPECTED_FLAG';
+
+
+/**
+ * Error codes. A path string ended in the middle of a command.
+ * @type {string}
+ */
+PathSyntaxError.UNEXPECTED_END = 'UNEXPECTED_END';
+
+
+/**
+ * Error codes. The input didn't describe at least two points.
+ * @type {string}
+ */
+PathSyntaxError.TOO_FEW_POINTS = 'TOO_FEW_POINTS';
+
+
+/**
+ * Error codes. A point array entry wasn't an array of exactly two values.
+ * @type {string}
+ */
+PathSyntaxError.INVALID_POINT = 'INVALID_POINT';
+
+
+/**
+ * Error codes. A point array entry had a coordinate which was NaN or not a
+ * number at all.
+ * @type {string}
+ */
+PathSyntaxError.NAN_COORDINATE = 'NAN_COORDINATE';
+
+
+/**
+ * Error codes. A point array entry had an infinite coordinate.
+ * @type {string}
+ */
+PathSyntaxError.INFINITE_COORDINATE = 'INFINITE_COORDINATE';
+
+
+/**
+ * Error codes. An SVG transform attribute string was malformed.
+ * @type {string}
+ */
+PathSyntaxError.INVALID_TRANSFORM = 'INVALID_TRANSFORM';
+
+
+/**
+ * Error codes. A GeoJSON, WKT or JSON geometry was malformed, or of a kind
+ * a single Path can't represent.
+ * @type {string}
+ */
+PathSyntaxError.INVALID_GEOMETRY = 'INVALID_GEOMETRY';
+
+
+/**
+ * Error codes. An SVG element had no path equivalent, or lacked the
+ * attributes describing its shape.
+ * @type {string}
+ */
+PathSyntaxError.INVALID_ELEMENT = 'INVALID_ELEMENT';
+
+
+/**
+ * Error codes. A diff operation passed to patch was malformed, or didn't
+ * match the path it was applied to.
+ * @type {string}
+ */
+PathSyntaxError.INVALID_PATCH = 'INVALID_PATCH';
+
+
+/**
+ * Human-readable descriptions of each error code, used to build messages.
+ * @type {Object.<string, string>}
+ */
+PathSyntaxError.MESSAGES = {
+  INVALID_INPUT: 'Input must be a path string or an array of points.',
+  MOVETO_NOT_FIRST: 'A path must begin with its only moveto command.',
+  CLOSEPATH_NOT_LAST: 'A closepath may only appear at the end of a path.',
+  UNKNOWN_COMMAND: 'Unrecognized path command.',
+  EXPECTED_NUMBER: 'Missing or malformed number.',
+  EXPECTED_FLAG: 'Arc flags must be 0 or 1.',
+  UNEXPECTED_END: 'Path ended in the middle of a command.',
+  TOO_FEW_POINTS: 'A path requires at least two points.',
+  INVALID_POINT: 'Points must be arrays of two coordinates.',
+  NAN_COORDINATE: 'Point coordinates must be numbers.',
+  INFINITE_COORDINATE: 'Point coordinates must be finite.',
+  INVALID_TRANSFORM: 'Unrecognized or malformed transform.',
+  INVALID_GEOMETRY: 'Unrecognized or malformed geometry.',
+  INVALID_ELEMENT: 'Unsupported or malformed SVG element.',
+  INVALID_PATCH: 'Diff operation malformed or not matching the path.'
+};
+
+// ========================================================================
+// Path Type Definition
+// ------------------------------------------------------------------------
+
+/**
+ * Constructs a new Path instance. The input to the constructor should be a
+ * path string per (see http://www.w3.org/TR/SVG/paths.html) containing a
+ * single moveto command, one to N drawing commands (lineto, curve or arc),
+ * and an optional closepath; or an array of ordered pairs in [x, y] form.
+ * Path extends Array, so instances are true arrays of their points.
+ * @param {string|Array.<Array>} path  A path string or array of x,y pairs.
+ * @param {Object} options Optional settings. Supported keys are:
+ *     closed: whether the path is closed, for point arrays, see
+ *         Path.prototype.setPoints.
+ * @throws {PathSyntaxError} If the input isn't a valid path.
+ * @constructor
+ * @extends {Array}
+ */
+class Path extends Array {
+
+  constructor(path, options) {
+    super();
+
+    // Strings are validated as they're parsed, so let setPath sort them out.
+    if (typeof path === 'string') {
+      this.setPath(path);
+      return;
+    }
+
+    // Arrays are likewise validated by setPoints, which reports the point at
+    // fault rather than a generic failure.
+    if (Array.isArray(path)) {
+      this.setPoints(path, options ? options.closed : undefined);
+      return;
+    }
+
+    // Handle error in a consistent fashion.
+    Path.invalidPath(path, PathSyntaxError.INVALID_INPUT);
+  }
+
+  /**
+   * The constructor Array's own methods use for the arrays they return. The
+   * points those methods produce needn't form a valid path, and Path's
+   * constructor doesn't take a length, so they produce plain Arrays. The
+   * methods which should return Paths, such as map, filter and slice, are
+   * overridden to do so.
+   * @type {Function}
+   */
+  static get [Symbol.species]() {
+    return Array;
+  }
+}
+
+
+/**
+ * Message used when a path constructor fails to receive valid input.
+ * @type {string}
+ */
+Path.INVALID_PATH_MSG = 'Invalid path.';
+
+
+/**
+ * The number of arguments consumed by each repetition of a path command,
+ * keyed by upper-case command letter. These are the commands of the SVG 1.1
+ * path grammar: moveto, lineto (including the horizontal and vertical
+ * shortcuts), cubic and quadratic bezier curves with their smooth variants,
+ * elliptical arcs, and closepath.
+ * @type {Object.<string, number>}
+ */
+Path.COMMAND_ARITY = {
+  M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0
+};
+
+
+/**
+ * A regular expression matching a single number within path data: an
+ * optional sign, digits with an optional decimal point (or a leading decimal
+ * point as in '.5'), and an optional exponent. Note that this is a global
+ * regex so we can position it via lastIndex while scanning.
+ * @type {RegExp}
+ */
+Path.NUMBER_REGEX = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/g;
+
+
+/**
+ * The characters the SVG path grammar treats as whitespace.
+ * @type {string}
+ */
+Path.WHITESPACE = ' \t\r\n\f';
+
+
+/**
+ * Serialization form writing every command with absolute coordinates.
+ * @type {string}
+ */
+Path.ABSOLUTE = 'absolute';
+
+
+/**
+ * Serialization form writing every command with relative coordinates.
+ * @type {string}
+ */
+Path.RELATIVE = 'relative';
+
+
+/**
+ * Serialization form writing each command in whichever of absolute or
+ * relative form is shorter.
+ * @type {string}
+ */
+Path.SHORTEST = 'shortest';
+
+
+/**
+ * Provides common error reporting for invalid path data.
+ * @param {Object} arg The invalid path data.
+ * @param {string} code One of the PathSyntaxError code constants.
+ * @param {Object} details Optional position information as described for
+ *     the PathSyntaxError constructor.
+ */
+Path.invalidPath = function(arg, code, details) {
+  throw new PathSyntaxError(code, arg, details);
+};
+
+
+/**
+ * A utility function which verifies that a String conforms to the
+ * requirements for a valid "path string" for Path construction.
+ * @param {Object} arg The argument to test.
+ * @return {Boolean} True if the argument is a valid path string.
+ */
+Path.isPathString = function(arg) {
+  if (typeof arg !== 'string') {
+    return false;
+  }
+
+  try {
+    Path.parse(arg);
+  } catch (e) {
+    return false;
+  }
+
+  return true;
+};
+
+
+/**
+ * A utility routine which verifies that an Array conforms to the requirements
+ * for a "point array" for Path construction, returning a PathSyntaxError
+ * describing the first problem found rather than raising it. Note that at
+ * least two points are necessary to construct a line, and hence a path.
+ * Coordinates may be any finite number.
+ * @param {Object} arg The argument to test.
+ * @return {PathSyntaxError} The error describing why the argument isn't a
+ *     valid point array, or null if it is one.
+ */
+Path.checkPointArray = function(arg) {
+
+  if (!Array.isArray(arg)) {
+    return new PathSyntaxError(PathSyntaxError.INVALID_INPUT, arg);
+  }
+
+  // Require at least two points, otherwise it's not a "path".
+  var len = arg.length;
+  if (len < 2) {
+    return new PathSyntaxError(PathSyntaxError.TOO_FEW_POINTS, arg,
+      {index: len});
+  }
+
+  for (var i = 0; i < len; i++) {
+    var error = Path.checkPoint_(arg[i], i, arg);
+    if (error) {
+      return error;
+    }
+  }
+
+  return null;
+};
+
+
+/**
+ * Verifies a single point of a point array, as Path.checkPointArray does for
+ * each of them.
+ * @param {Object} point The presumed x,y point to test.
+ * @param {Number} index The point's index, for reporting.
+ * @param {Object} input The input containing the point, for reporting.
+ * @return {PathSyntaxError} The error describing why the point isn't valid,
+ *     or null if it is.
+ * @private
+ */
+Path.checkPoint_ = function(point, index, input) {
+
+  // Points contain only X and Y values in our spec.
+  if (!Array.isArray(point) || point.length !== 2) {
+    return new PathSyntaxError(PathSyntaxError.INVALID_POINT, input,
+      {index: index, expected: '[x, y]'});
+  }
+
+  // Subtlety here. NaN and Infinity will return typeof 'number'...but we
+  // won't validate a potential point array containing either of them.
+  if (typeof point[0] !== 'number' || isNaN(point[0]) ||
+      typeof point[1] !== 'number' || isNaN(point[1])) {
+    return new PathSyntaxError(PathSyntaxError.NAN_COORDINATE, input,
+      {index: index, expected: 'number'});
+  }
+  if (!isFinite(point[0]) || !isFinite(point[1])) {
+    return new PathSyntaxError(PathSyntaxError.INFINITE_COORDINATE, input,
+      {index: index, expected: 'finite number'});
+  }
+
+  return null;
+};
+
+
+/**
+ * Returns true if the argument is a single point: an array of two numbers.
+ * @param {Object} arg The argument to test.
+ * @return {Boolean} True if the argument is an x,y pair.
+ * @private
+ */
+Path.isPoint_ = function(arg) {
+  return Array.isArray(arg) && arg.length === 2 &&
+    typeof arg[0] === 'number' && typeof arg[1] === 'number';
+};
+
+
+/**
+ * A utility routine which verifies that an Array conforms to the requirements
+ * for a "point array" for Path construction. See Path.checkPointArray for the
+ * specific requirements.
+ * @param {Object} arg The argument to test.
+ * @return {Boolean} True if the argument is a valid point array.
+ */
+Path.isPointArray = function(arg) {
+  return Path.checkPointArray(arg) === null;
+};
+
+
+/**
+ * Parses an SVG data path string into a list of commands. Each entry in the
+ * list is an object of the form {command: 'L', args: [100, 200]} where the
+ * command letter retains its original case (lower case being relative) and
+ * args holds the numeric arguments for a single repetition of the command.
+ * Implicit repetitions are expanded into separate entries, with the pairs
+ * following a moveto becoming lineto commands per the SVG specification, so
+ * each command in the list produces exactly one point on the path.
+ *
+ * The full SVG 1.1 grammar is accepted, including comma or absent separators
+ * and signs acting as delimiters, but the path must still be connected: the
+ * moveto must appear only at the beginning and the closepath only at the end.
+ * @param {Object} arg The SVG data path string to parse.
+ * @throws {PathSyntaxError} If the argument isn't a valid path string.
+ * @return {Array.<Object>} The list of commands making up the path.
+ */
+Path.parse = function(arg) {
+  var commands = [];
+
+  new PathParser(function(command) {
+    commands.push(command);
+  }).end(arg);
+
+  return commands;
+};
+
+
+/**
+ * Converts a list of commands as produced by Path.parse into an equivalent
+ * point array. Each command contributes the absolute coordinates of its end
+ * point, so curves and arcs are represented by their end points alone. A
+ * closepath contributes the initial point again.
+ * @param {Array.<Object>} commands The command list to convert.
+ * @return {Array.<Array>} An array of x,y pairs.
+ */
+Path.commandsAsPointArray = function(commands) {
+  var points = [];
+  var current = [0, 0];
+  var opener;
+
+  var len = commands.length;
+  for (var i = 0; i < len; i++) {
+    current = Path.endPoint_(commands[i].command, commands[i].args, current,
+      opener);
+    if (i === 0) {
+      opener = current;
+    }
+    points.push(current);
+  }
+
+  return points;
+};
+
+
+/**
+ * Returns the absolute end point of a command.
+ * @param {string} letter The command's letter.
+ * @param {Array.<Number>} args The command's arguments.
+ * @param {Array.<Number>} current The current point the command draws from,
+ *     which at the start of a path is the origin.
+ * @param {Array.<Number>} opener The path's first point, which a closepath
+ *     returns to.
+ * @return {Array.<Number>} The x,y point the command ends at.
+ * @private
+ */
+Path.endPoint_ = function(letter, args, current, opener) {
+  var upper = letter.toUpperCase();
+
+  // Relative coordinates are offsets from the current point.
+  var relative = letter !== upper;
+  var dx = relative ? current[0] : 0;
+  var dy = relative ? current[1] : 0;
+
+  switch (upper) {
+    case 'Z':
+      return [opener[0], opener[1]];
+    case 'H':
+      return [args[0] + dx, current[1]];
+    case 'V':
+      return [current[0], args[0] + dy];
+    default:
+      // Every other command ends with the x,y of its end point.
+      return [args[args.length - 2] + dx, args[args.length - 1] + dy];
+  }
+};
+
+
+/**
+ * Converts a valid SVG data path string into an equivalent point array.
+ * @param {Object} arg The presumed SVG data path to convert to points.
+ * @return {Array.<Array>} An array of x,y pairs.
+ */
+Path.pathAsPointArray = function(arg) {
+  if (!Path.isPathString(arg)) {
+    return;
+  }
+
+  return Path.commandsAsPointArray(Path.parse(arg));
+};
+
+
+/**
+ * Flattens a point array into a single array of coordinates in x,y order.
+ * @param {Array.<Array>} arg The point array to flatten.
+ * @return {Array.<Number>} The coordinates of each point in turn.
+ */
+Path.flattenPointArray = function(arg) {
+  var coords = [];
+  var len = arg.length;
+  for (var i = 0; i < len; i++) {
+    coords.push(arg[i][0], arg[i][1]);
+  }
+  return coords;
+};
+
+
+/**
+ * Formats a number for output in an SVG data path string. When a precision
+ * is given the value is rounded to at most that many decimal places, with
+ * any trailing zeros dropped to keep the output compact.
+ * @param {Number} value The number to format.
+ * @param {Number} precision An optional number of decimal places.
+ * @return {string} The formatted number.
+ */
+Path.formatNumber = function(value, precision) {
+  if (typeof precision === 'number') {
+    value = parseFloat(value.toFixed(precision));
+  }
+
+  // String(-0) is already '0', but rounding can produce it from tiny
+  // negative values so normalize explicitly for clarity.
+  return String(value === 0 ? 0 : value);
+};
+
+
+/**
+ * Produces a valid SVG data path string from a list of commands such as those
+ * returned by Path.parse. By default each command is written as it appears
+ * in the list, with its own letter, so implicit repetitions in the original
+ * string become explicit. Options allow more compact output.
+ *
+ * When rounding with a form given, relative coordinates are computed from
+ * the current point as a reader of the output will see it, so rounding
+ * errors don't accumulate along the path.
+ * @param {Array.<Object>} commands The command list to convert.
+ * @param {Object} options Optional output settings. Supported keys are:
+ *     precision: the number of decimal places to round coordinates to.
+ *     form: Path.ABSOLUTE, Path.RELATIVE or Path.SHORTEST, to rewrite
+ *         commands in that form. The initial moveto is always absolute.
+ *     shorthand: true to write horizontal and vertical lineto commands
+ *         with H and V.
+ *     implicit: true to omit a command's letter when it repeats the
+ *         previous one, or is a lineto following a moveto.
+ *     compact: true to omit separators wherever the grammar allows, as in
+ *         'M10-5L3 4', and the leading zero of fractions.
+ * @return {string} The SVG data path string representing the commands.
+ */
+Path.commandsAsPath = function(commands, options) {
+  options = options || {};
+
+  var precision = options.precision;
+  var form = options.form;
+  var points = Path.commandsAsPointArray(commands);
+
+  // The current and initial points as a reader of the output sees them.
+  var current = [0, 0];
+  var opener = current;
+  var previous = null;
+  var tokens = [];
+
+  var format = function(value) {
+    var text = Path.formatNumber(value, precision);
+    return options.compact ? text.replace(/^(-?)0\./, '$1.') : text;
+  };
+
+  // Writes the command with the given absolute arguments in absolute or
+  // relative form, returning its letter, formatted arguments and end point.
+  // Relative arguments may also be given as they are to be written.
+  var encode = function(letter, args, relative, values) {
+    values = values || (relative ?
+      Path.offsetArgs_(letter, args, current, -1) : args);
+    var text = values.map(format);
+    var end = Path.offsetArgs_(letter, text.map(parseFloat), current,
+      relative ? 1 : 0);
+
+    switch (letter) {
+      case 'Z':
+        end = opener;
+        break;
+      case 'H':
+        end = [end[0], current[1]];
+        break;
+      case 'V':
+        end = [current[0], end[0]];
+        break;
+      default:
+        end = end.slice(-2);
+        break;
+    }
+
+    return {command: relative ? letter.toLowerCase() : letter, text: text,
+      end: end};
+  };
+
+  commands.forEach(function(item, index) {
+    var letter = item.command.toUpperCase();
+    var relative = item.command !== letter;
+    var last = index > 0 ? points[index - 1] : [0, 0];
+    var args = relative ?
+      Path.offsetArgs_(letter, item.args, last, 1) : item.args;
+
+    if (options.shorthand && letter === 'L') {
+      if (args[1] === last[1]) {
+        letter = 'H';
+        args = [args[0]];
+      } else if (args[0] === last[0]) {
+        letter = 'V';
+        args = [args[1]];
+      }
+    }
+
+    var result;
+    if (index === 0 && form) {
+      result = encode(letter, args, false);
+    } else if (form === Path.SHORTEST) {
+      var absolute = encode(letter, args, false);
+      var offset = encode(letter, args, true);
+      var size = function(encoded) {
+        return encoded.text.join(' ').length;
+      };
+      result = size(offset) < size(absolute) ? offset : absolute;
+    } else if (form) {
+      result = encode(letter, args, form === Path.RELATIVE);
+    } else {
+      result = encode(letter, args, relative,
+        relative && letter === item.command.toUpperCase() ? item.args : null);
+    }
+
+    // A moveto's own repetitions are lineto commands.
+    var repeats = previous === result.command ||
+      (previous === 'M' && result.command === 'L') ||
+      (previous === 'm' && result.command === 'l');
+    if (!options.implicit || !repeats || letter === 'Z') {
+      tokens.push(result.command);
+    }
+    tokens.push.apply(tokens, result.text);
+
+    previous = result.command;
+    current = result.end;
+    if (index === 0) {
+      opener = current;
+    }
+  });
+
+  return Path.joinTokens_(tokens, options.compact);
+};
+
+
+/**
+ * Joins command letters and numbers into a path string. Normally numbers
+ * are separated by a space, and commands start with a space but are not
+ * followed by one. In compact form separators are only written between
+ * numbers which would otherwise run together: where the next number doesn't
+ * start with a sign, nor with a decimal point the previous number already
+ * has.
+ * @param {Array.<string>} tokens The letters and formatted numbers.
+ * @param {Boolean} compact True to omit unneeded separators.
+ * @return {string} The joined path string.
+ * @private
+ */
+Path.joinTokens_ = function(tokens, compact) {
+  var result = '';
+  var before = '';
+
+  tokens.forEach(function(token) {
+    var letter = /^[A-Za-z]$/.test(token);
+    var number = before !== '' && !/^[A-Za-z]$/.test(before);
+    var separate;
+
+    if (compact) {
+      separate = !letter && number && token.charAt(0) !== '-' &&
+        !(token.charAt(0) === '.' && /[.eE]/.test(before));
+    } else {
+      separate = before !== '' && (letter || number);
+    }
+
+    result += (separate ? ' ' : '') + token;
+    before = token;
+  });
+
+  return result;
+};
+
+
+/**
+ * Converts a point array into an equivalent list of commands: a moveto
+ * followed by absolute lineto commands, and a closepath when the path is
+ * closed. Unless told otherwise a point array whose last point repeats its
+ * first is treated as closed, with the closepath replacing the last point.
+ * @param {Object} arg The presumed array of x,y point pairs to convert.
+ * @param {Boolean} closed Optionally, whether the path is closed. When false
+ *     a last point repeating the first is drawn with a lineto instead.
+ * @return {Array.<Object>} The command list representing the point array.
+ */
+Path.pointArrayAsCommands = function(arg, closed) {
+  if (!Path.isPointArray(arg)) {
+    return;
+  }
+
+  // Make a copy, in case we modify we don't want to affect the input. The
+  // input may itself be a Path, so copy it into a plain Array.
+  var points = Array.prototype.slice.call(arg);
+
+  // If the path is closed eliminate the final point, the closepath returns
+  // to the first point for us.
+  var ends = Path.isClosing_(points);
+  if (closed === undefined) {
+    closed = ends;
+  }
+  if (closed && ends) {
+    points.length = points.length - 1;
+  }
+
+  // Build a command for each point, starting with the moveto.
+  var commands = points.map(function(item, index) {
+    return {command: index == 0 ? 'M' : 'L', args: item.slice(0)};
+  });
+
+  // If it's a closed path add a final 'Z' to wrap things up.
+  if (closed) {
+    commands.push({command: 'Z', args: []});
+  }
+
+  return commands;
+};
+
+
+/**
+ * A utility function for producing a valid SVG data path from a point array.
+ * By default paths produced by this routine use absolute references and
+ * write each lineto in full, see Path.commandsAsPath for more compact forms.
+ * @param {Object} arg The presumed array of x,y point pairs to convert.
+ * @param {Object} options Optional output settings. Supported keys are
+ *     those of Path.commandsAsPath, along with:
+ *     closed: whether the path is closed, see Path.pointArrayAsCommands.
+ * @return {string} The SVG data path string representing the point array.
+ */
+Path.pointArrayAsPath = function(arg, options) {
+  if (!Path.isPointArray(arg)) {
+    return;
+  }
+
+  return Path.commandsAsPath(
+    Path.pointArrayAsCommands(arg, options ? options.closed : undefined),
+    options);
+};
+
+
+/**
+ * Returns true if a point array's last point repeats its first, as it must
+ * for a closed path.
+ * @param {Array.<Array>} points The point array to check.
+ * @return {Boolean} True if the point array ends where it began.
+ * @private
+ */
+Path.isClosing_ = function(points) {
+  var first = points[0];
+  var last = points[points.length - 1];
+
+  return first[0] === last[0] && first[1] === last[1];
+};
+
+
+/**
+ * Adds the given point to, or with a sign of -1 subtracts it from, each
+ * coordinate in a command's arguments, converting them between absolute and
+ * relative form. Arguments which aren't coordinates, such as an arc's radii
+ * and flags, are left alone.
+ * @param {string} letter The command's letter in uppercase.
+ * @param {Array.<Number>} args The command's arguments.
+ * @param {Array.<Number>} point The current point the command draws from.
+ * @param {Number} sign 1 to make arguments absolute, -1 to make them
+ *     relative.
+ * @return {Array.<Number>} The converted arguments.
+ * @private
+ */
+Path.offsetArgs_ = function(letter, args, point, sign) {
+  return args.map(function(value, index) {
+    var axis;
+    switch (letter) {
+      case 'H':
+        axis = 0;
+        break;
+      case 'V':
+        axis = 1;
+        break;
+      case 'A':
+        axis = index < 5 ? -1 : index - 5;
+        break;
+      default:
+        axis = index % 2;
+        break;
+    }
+    return axis === -1 ? value : value + sign * point[axis];
+  });
+};
+
+
+/**
+ * Rebuilds the command list for a path whose points have been edited, keeping
+ * the form of each point's original command. Each point's template is the
+ * command which drew it before the edit, with its arguments made absolute,
+ * or null for a point which is new. A point keeps its command's letter and
+ * relative form, and a curve or arc its control points and radii, with only
+ * the end point updated. Horizontal and vertical lineto commands no longer
+ * aligned with their axis become lineto commands. New points become lineto
+ * commands in the same relative or absolute form as the point before them.
+ * @param {Array.<Array>} points The path's points after the edit.
+ * @param {Array.<Object>} templates The original command for each point.
+ * @param {Boolean} closed Whether the path is closed, in which case its last
+ *     point repeats its first and is drawn by a closepath.
+ * @return {Array.<Object>} The path's command list.
+ * @private
+ */
+Path.restyleCommands_ = function(points, templates, closed) {
+  var last = points.length - 1;
+  var relative = false;
+
+  return points.map(function(point, index) {
+    var template = templates[index];
+    var letter = template ? template.command.toUpperCase() : 'L';
+    var current = index > 0 ? points[index - 1] : [0, 0];
+
+    if (template) {
+      relative = template.command !== letter;
+    }
+
+    // Points which have moved to the start or end of the path take on the
+    // command needed there, and those which have moved away from it must
+    // give it up.
+    if (index === 0) {
+      letter = 'M';
+    } else if (closed && index === last) {
+      letter = 'Z';
+    } else if (letter === 'M' || letter === 'Z' ||
+        (letter === 'H' && point[1] !== current[1]) ||
+        (letter === 'V' && point[0] !== current[0])) {
+      letter = 'L';
+    }
+
+    var args;
+    switch (letter) {
+      case 'Z':
+        args = [];
+        break;
+      case 'H':
+        args = [point[0]];
+        break;
+      case 'V':
+        args = [point[1]];
+        break;
+      case 'M':
+      case 'L':
+        args = point.slice(0);
+        break;
+      default:
+        args = template.args.slice(0, -2).concat(point);
+        break;
+    }
+
+    if (relative) {
+      args = Path.offsetArgs_(letter, args, current, -1);
+    }
+
+    return {command: relative ? letter.toLowerCase() : letter, args: args};
+  });
+};
+
+
+/**
+ * Creates a new Path from an array-like or iterable collection of points,
+ * optionally transforming each through mapFn first. This mirrors Array.from
+ * but, like the other Path factories, raises if the points aren't valid.
+ * @param {Object} arg An array-like or iterable collection of points.
+ * @param {Function(Object, Number)} mapFn An optional function taking a
+ *     value and index, returning the point to use in its place.
+ * @param {Object} thisObject An optional binding context for mapFn.
+ * @return {Path} A new path built from the points.
+ */
+Path.from = function(arg, mapFn, thisObject) {
+  var points = Array.from(arg);
+
+  if (typeof mapFn === 'function') {
+    points = points.map(mapFn, thisObject);
+  }
+
+  return new Path(points);
+};
+
+
+/**
+ * Creates a new Path from the points provided as arguments. This mirrors
+ * Array.of, so Path.of([0, 0], [10, 10]) is a two point path.
+ * @param {...Array} var_args The points making up the path.
+ * @return {Path} A new path built from the points.
+ */
+Path.of = function(var_args) {
+  return new Path(Array.prototype.slice.call(arguments));
+};
+
+// ------------------------------------------------------------------------
+// Path Instance Definition
+// ------------------------------------------------------------------------
+
+// Path extends Array, so its instances behave like array instances for most
+// operations. The members below are added to the class's prototype.
+
+
+/**
+ * The internal representation of the path in string form.
+ * @type {string}
+ * @private
+ */
+Path.prototype.path_ = null;
+
+
+/**
+ * The list of commands making up the path, as produced by Path.parse.
+ * @type {Array.<Object>}
+ * @private
+ */
+Path.prototype.commands_ = null;
+
+
+/**
+ * The coordinates of the receiver's points, flattened into x,y order, as of
+ * the last time path_ and commands_ were computed. Comparing these against
+ * the current points tells us whether the cached forms have gone stale.
+ * @type {Array.<Number>}
+ * @private
+ */
+Path.prototype.snapshot_ = null;
+
+
+/**
+ * Whether the receiver's points have been changed by one of its mutators
+ * since its string and command forms were last computed.
+ * @type {Boolean}
+ * @private
+ */
+Path.prototype.dirty_ = false;
+
+
+/**
+ * Whether the path is closed, ending in a closepath. A closed path's last
+ * point always repeats its first.
+ * @type {Boolean}
+ * @private
+ */
+Path.prototype.closed_ = false;
+
+
+/**
+ * Whether path_ and commands_ are out of date with the receiver's points,
+ * which have been verified but not yet restyled.
+ * @type {Boolean}
+ * @private
+ */
+Path.prototype.stale_ = false;
+
+
+/**
+ * The receiver's point arrays themselves as of the last time path_ and
+ * commands_ were computed. After an edit these let each point be matched
+ * with the command which drew it, even if it has moved.
+ * @type {Array.<Array>}
+ * @private
+ */
+Path.prototype.points_ = null;
+
+
+/**
+ * Whether the path is closed, ending in a closepath rather than merely
+ * returning to its first point. See open and close to change it.
+ * @type {Boolean}
+ */
+Object.defineProperty(Path.prototype, 'closed', {
+  get: function() {
+    this.sync_();
+    return this.closed_;
+  }
+});
+
+
+/**
+ * Returns a new Path instance with identical points to the receiver. The
+ * clone is built from the receiver's string form, so it shares the
+ * receiver's commands and closed state as well.
+ * @return {Path} A new duplicate Path.
+ */
+Path.prototype.clone = function() {
+  return new Path(this.toString());
+};
+
+
+/**
+ * Closes the receiver, so it ends in a closepath. If the last point doesn't
+ * already repeat the first, a copy of the first point is added for the
+ * closepath to return to.
+ * @return {Path} The receiver.
+ */
+Path.prototype.close = function() {
+  this.sync_();
+
+  if (!this.closed_) {
+    if (!Path.isClosing_(this)) {
+      Array.prototype.push.call(this, this[0].slice(0));
+    }
+    this.rebuild_(true);
+  }
+
+  return this;
+};
+
+
+/**
+ * Returns a new Path made up of the receiver's points followed by those of
+ * each argument. Arguments may be Paths, arrays of points, or individual
+ * points. Unlike Array's version, which would spread an individual point
+ * into its two coordinates and return a plain Array, this appends each
+ * point whole and returns a Path.
+ * @param {...Object} var_args The Paths, point arrays or points to append.
+ * @return {Path} A new path made up of the combined points.
+ */
+Path.prototype.concat = function(var_args) {
+  var points = Array.prototype.slice.call(this);
+  var len = arguments.length;
+
+  for (var i = 0; i < len; i++) {
+    var item = arguments[i];
+    if (item instanceof Path) {
+      points = points.concat(Array.prototype.slice.call(item));
+    } else if (Path.isPoint_(item)) {
+      points.push(item);
+    } else {
+      points = points.concat(item);
+    }
+  }
+
+  return this.derive_(points);
+};
+
+
+/**
+ * Returns a new Path of points derived from the receiver's, as by map or
+ * slice. Only a closed receiver can produce a closed result, and then only
+ * if the points still end where they began. An open path which returns to
+ * its start therefore stays open.
+ * @param {Array.<Array>} points The points of the new path.
+ * @throws {PathSyntaxError} If the points don't form a path.
+ * @return {Path} A new path of the points.
+ * @private
+ */
+Path.prototype.derive_ = function(points) {
+  return new Path(points, {closed: this.closed ? undefined : false});
+};
+
+
+/**
+ * Iterates over the points in the current path, filtering them based on the
+ * test logic in 'callback'. Points for which callback returns true will be
+ * used to attempt to produce a new path instance.
+ * @param {Function(Object, Number, Array)} callback A filtering function
+ *     taking a value, index, and the Path itself. The filter function should
+ *     return true if the value should be preserved in the result Path.
+ * @param {Object} thisObject An optional binding context.
+ * @return {Path} A new path based on the filtered point set.
+ */
+Path.prototype.filter = function(callback, thisObject) {
+  return this.derive_(Array.prototype.filter.call(this, callback,
+    thisObject));
+};
+
+
+/**
+ * Iterates over the points in the current path, passing each to 'callback'
+ * and flattening the lists of points it returns into a new path. This lets a
+ * single point be replaced by several, or removed by returning [].
+ * @param {Function(Object, Number, Array)} callback A processing function
+ *     taking a value, index, and the Path itself. The function should return
+ *     an array of points to place in the returned Path.
+ * @param {Object} thisObject An optional binding context.
+ * @return {Path} A new path created using the points returned by callback.
+ */
+Path.prototype.flatMap = function(callback, thisObject) {
+  var points = [];
+  var len = this.length;
+  for (var i = 0; i < len; i++) {
+    points = points.concat(callback.call(thisObject, this[i], i, this));
+  }
+
+  return this.derive_(points);
+};
+
+
+/**
+ * Returns the list of commands making up the path. Each entry is an object
+ * of the form {command: 'L', args: [100, 200]} as described by Path.parse.
+ * Paths built from point arrays report commands per Path.pointArrayAsCommands.
+ * The list returned is a copy, so changes to it don't affect the
+ * receiver.
+ * @return {Array.<Object>} The path's command list.
+ */
+Path.prototype.getCommands = function() {
+  this.sync_();
+  this.restyle_();
+
+  return this.commands_.map(function(item) {
+    return {command: item.command, args: item.args.slice(0)};
+  });
+};
+
+
+/**
+ * Returns true if the receiver's points have changed since its string and
+ * command forms were last computed. Changes made by the mutators mark the
+ * path dirty, but this also covers direct index assignment and edits to the
+ * point arrays themselves, which can't be intercepted as they happen.
+ * @return {Boolean} True if the cached path data is stale.
+ * @private
+ */
+Path.prototype.isModified_ = function() {
+  if (this.dirty_) {
+    return true;
+  }
+
+  var snapshot = this.snapshot_;
+  var len = this.length;
+
+  if (snapshot.length !== len * 2) {
+    return true;
+  }
+
+  for (var i = 0; i < len; i++) {
+    var point = this[i];
+    if (!Array.isArray(point) || point.length !== 2 ||
+        point[0] !== snapshot[i * 2] || point[1] !== snapshot[i * 2 + 1]) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+
+/**
+ * Iterates over the points in the current path and uses them to produce a new
+ * set of points which form the basis of a new path. Note that for this
+ * operation to function properly the callback function must return an array
+ * containing two integer values representing a single point.
+ * @param {Function(Object, Number, Array)} callback A processing function
+ *     taking a value, index, and the Path itself. The function should return
+ *     a new value which will be placed in the returned Array.
+ * @param {Object} thisObject An optional binding context.
+ * @return {Path} A new path created using the points returned by callback.
+ */
+Path.prototype.map = function(callback, thisObject) {
+  return this.derive_(Array.prototype.map.call(this, callback, thisObject));
+};
+
+
+/**
+ * Opens the receiver, so it no longer ends in a closepath. The points are
+ * left as they are, so the path still returns to its first point, but does
+ * so with a lineto.
+ * @return {Path} The receiver.
+ */
+Path.prototype.open = function() {
+  this.sync_();
+
+  if (this.closed_) {
+    this.rebuild_(false);
+  }
+
+  return this;
+};
+
+
+/**
+ * Accepts the receiver's points after an edit, verifying they still form a
+ * path and updating its closed state. A closed path whose last point no
+ * longer repeats its first becomes open. The string and command forms are
+ * marked stale, to be rebuilt by Path.prototype.restyle_ only when they're
+ * next needed.
+ * @param {Boolean} closed Whether the path should be closed.
+ * @throws {PathSyntaxError} If the points no longer form a path.
+ * @private
+ */
+Path.prototype.rebuild_ = function(closed) {
+  var points = Array.prototype.slice.call(this);
+  var error = Path.checkPointArray(points);
+  if (error) {
+    throw error;
+  }
+
+  this.closed_ = closed && Path.isClosing_(points);
+  this.snapshot_ = Path.flattenPointArray(points);
+  this.dirty_ = false;
+  this.stale_ = true;
+};
+
+
+/**
+ * Recomputes the receiver's string and command forms from its points when
+ * they're stale. Each point is matched with the command which drew it as of
+ * the last time the forms were computed, first by identity, so points moved
+ * by operations like sort keep their commands, and failing that by index
+ * when the number of points hasn't changed, so replacing a point keeps its
+ * command. The commands are then rebuilt as described by
+ * Path.restyleCommands_.
+ * @private
+ */
+Path.prototype.restyle_ = function() {
+  if (!this.stale_) {
+    return;
+  }
+
+  var points = Array.prototype.slice.call(this);
+  var previous = this.points_;
+  var commands = this.commands_;
+  var lookup = Path.indexLookup_(previous);
+  var current = Path.commandsAsPointArray(commands);
+
+  var templates = points.map(function(point, index) {
+    var match = previous[index] === point ? index : lookup(point);
+    if (match === -1 && points.length === previous.length) {
+      match = index;
+    }
+    if (match === -1) {
+      return null;
+    }
+
+    var item = commands[match];
+    var letter = item.command.toUpperCase();
+    var args = letter === item.command ? item.args :
+      Path.offsetArgs_(letter, item.args,
+        match > 0 ? current[match - 1] : [0, 0], 1);
+
+    return {command: item.command, args: args};
+  });
+
+  this.commands_ = Path.restyleCommands_(points, templates, this.closed_);
+  this.path_ = Path.commandsAsPath(this.commands_);
+  this.points_ = points;
+  this.stale_ = false;
+};
+
+
+/**
+ * Returns a function which finds the index of an object in a list by
+ * identity, as indexOf would but without searching the list each time.
+ * Where an object appears more than once its first index is found.
+ * @param {Array} list The list to search.
+ * @return {Function(Object): Number} A function returning the index of its
+ *     argument in the list, or -1 if it isn't there.
+ * @private
+ */
+Path.indexLookup_ = function(list) {
+  var map = new Map();
+  for (var i = list.length - 1; i >= 0; i--) {
+    map.set(list[i], i);
+  }
+
+  return function(item) {
+    return map.has(item) ? map.get(item) : -1;
+  };
+};
+
+
+/**
+ * Replaces the points of a path with those provided. The points are
+ * assigned by index rather than pushed with apply, which fails once the
+ * number of points exceeds the platform's limit on arguments.
+ * @param {Path} path The path whose points to replace.
+ * @param {Array.<Array>} points The new points.
+ * @private
+ */
+Path.replacePoints_ = function(path, points) {
+  var len = points.length;
+
+  path.length = 0;
+  for (var i = 0; i < len; i++) {
+    path[i] = points[i];
+  }
+};
+
+
+/**
+ * Sets the receiver's path string to the path stringp provided. Any point
+ * array information is also updated as a result of this call.
+ * @param {string} arg A valid path string per Path.isPathString.
+ * @throws {PathSyntaxError} If the argument isn't a valid path string.
+ * @return {Path} The receiver.
+ */
+Path.prototype.setPath = function(arg) {
+  // Parsing validates the string, raising on anything invalid.
+  var commands = Path.parse(arg);
+
+  // Cache the original string representation provided.
+  this.path_ = arg;
+  this.commands_ = commands;
+  this.closed_ = commands[commands.length - 1].command.toUpperCase() === 'Z';
+
+  // Replace the receiver's points. We assign them directly since push
+  // validates, and we've done that already.
+  Path.replacePoints_(this, Path.commandsAsPointArray(commands));
+  this.points_ = Array.prototype.slice.call(this);
+  this.snapshot_ = Path.flattenPointArray(this);
+  this.dirty_ = false;
+  this.stale_ = false;
+
+  return this;
+};
+
+
+/**
+ * Sets the receiver's point data set to the point array provided. Any path
+ * string information is also updated as a result of this call.
+ * @param {Array.<Array>} arg A valid point array per Path.isPointArray.
+ * @param {Boolean} closed Optionally, whether the path is closed. By default
+ *     a point array whose last point repeats its first is closed. A closed
+ *     path whose last point doesn't has a copy of the first point added.
+ * @throws {PathSyntaxError} If the argument isn't a valid point array.
+ * @return {Path} The receiver.
+ */
+Path.prototype.setPoints = function(arg, closed) {
+  var error = Path.checkPointArray(arg);
+  if (error) {
+    throw error;
+  }
+
+  var points = Array.prototype.slice.call(arg);
+  if (closed === undefined) {
+    closed = Path.isClosing_(points);
+  } else if (closed && !Path.isClosing_(points)) {
+    points.push(points[0].slice(0));
+  }
+
+  // Update any existing and potentially conflicting path string data.
+  this.closed_ = closed;
+  this.commands_ = Path.pointArrayAsCommands(points, closed);
+  this.path_ = Path.commandsAsPath(this.commands_);
+
+  // Replace the receiver's points.
+  Path.replacePoints_(this, points);
+  this.points_ = points;
+  this.snapshot_ = Path.flattenPointArray(this);
+  this.dirty_ = false;
+  this.stale_ = false;
+
+  return this;
+};
+
+
+/**
+ * Slices a subset of the points out of the current path and uses them to
+ * create a new path.
+ * @param {Number} start The starting index. Default is 0.
+ * @param {Number} end The ending index. Default is the end of the path.
+ * @return {Path} A new path created from the slices point subset.
+ */
+Path.prototype.slice = function(start, end) {
+  return this.derive_(Array.prototype.slice.apply(this, arguments));
+};
+
+
+/**
+ * Brings the receiver's closed state up to date with its points when
+ * they've been modified, marking its string and command forms stale, see
+ * Path.prototype.rebuild_.
+ * @throws {PathSyntaxError} If the modified points no longer form a path.
+ * @private
+ */
+Path.prototype.sync_ = function() {
+  if (this.isModified_()) {
+    this.rebuild_(this.closed_);
+  }
+};
+
+
+/**
+ * Returns a new Path with the receiver's points in reverse order, leaving the
+ * receiver untouched. As with reverse, a closed path stays closed.
+ * @return {Path} A new reversed path.
+ */
+Path.prototype.toReversed = function() {
+  return this.derive_(Array.prototype.slice.call(this)).reverse();
+};
+
+
+/**
+ * Returns a new Path with the receiver's points sorted, leaving the receiver
+ * untouched. As with sort, a closed path stays closed.
+ * @param {Function(Object, Object)} compareFn An optional comparison
+ *     function, as for Array.prototype.sort.
+ * @return {Path} A new sorted path.
+ */
+Path.prototype.toSorted = function(compareFn) {
+  return this.derive_(Array.prototype.slice.call(this)).sort(compareFn);
+};
+
+
+/**
+ * Returns a new Path with points removed and/or inserted as splice would,
+ * leaving the receiver untouched. As with splice, a closed path stays
+ * closed.
+ * @param {Number} start The index at which to start changing points.
+ * @param {Number} deleteCount The number of points to remove.
+ * @param {...Array} var_args Points to insert at start.
+ * @return {Path} A new spliced path.
+ */
+Path.prototype.toSpliced = function(start, deleteCount, var_args) {
+  var path = this.derive_(Array.prototype.slice.call(this));
+  Path.prototype.splice.apply(path, arguments);
+
+  return path;
+};
+
+
+/**
+ * Returns the string representation of the Path in a form suitable for use
+ * in the 'd' attribute of an svg:path element. Without options the string is
+ * the one the path was built from, unless the path's points have since been
+ * modified. With options the string is regenerated from the path's commands.
+ * @param {Object} options Optional output settings, as for
+ *     Path.commandsAsPath.
+ * @return {string} A string representation of the path.
+ */
+Path.prototype.toString = function(options) {
+  this.sync_();
+  this.restyle_();
+
+  if (!options) {
+    return this.path_;
+  }
+
+  return Path.commandsAsPath(this.commands_, options);
+};
+
+
+/**
+ * Returns a new Path with the point at index replaced by point, leaving the
+ * receiver untouched. Negative indexes count back from the end.
+ * @param {Number} index The index of the point to replace.
+ * @param {Array} point The replacement point.
+ * @return {Path} A new path containing the replacement point.
+ */
+Path.prototype['with'] = function(index, point) {
+  var points = Array.prototype.slice.call(this);
+  var len = points.length;
+
+  index = index < 0 ? index + len : index;
+  if (index < 0 || index >= len) {
+    throw new RangeError('Invalid index: ' + index);
+  }
+  points[index] = point;
+
+  return this.derive_(points);
+};
+
+// ------------------------------------------------------------------------
+// Path Mutators
+// ------------------------------------------------------------------------
+
+/**
+ * The names of the Array methods which modify their receiver in place. Path
+ * overrides each of these to validate the result, see Path.mutator_.
+ * @type {Array.<string>}
+ */
+Path.MUTATORS = [
+  'copyWithin', 'fill', 'pop', 'push', 'reverse', 'shift', 'sort', 'splice',
+  'unshift'
+];
+
+
+/**
+ * Returns the error an in-place Array method would cause by running on a
+ * path, or null if the path would remain valid. Only the points the method
+ * adds are checked, along with the number of points left, so the cost
+ * depends on the size of the change rather than the size of the path. The
+ * other mutators only rearrange or copy points already in the path.
+ * @param {Path} path The path the method is to run on.
+ * @param {string} name The name of the Array method.
+ * @param {Arguments} args The arguments the method is to run with.
+ * @param {Number} len The number of points the method runs on, which for a
+ *     closed path excludes the closing point.
+ * @return {PathSyntaxError} The error describing the problem, or null.
+ * @private
+ */
+Path.checkMutation_ = function(path, name, args, len) {
+  var size = len;
+  var added = [];
+  var start = 0;
+
+  // Converts a relative index argument to an absolute one, as Array does.
+  var position = function(value, fallback) {
+    var index = value === undefined ? fallback : Math.trunc(value) || 0;
+    return index < 0 ? Math.max(len + index, 0) : Math.min(index, len);
+  };
+
+  switch (name) {
+    case 'push':
+      added = args;
+      start = len;
+      size = len + args.length;
+      break;
+    case 'unshift':
+      added = args;
+      size = len + args.length;
+      break;
+    case 'pop':
+    case 'shift':
+      size = Math.max(len - 1, 0);
+      break;
+    case 'splice':
+      start = position(args[0], 0);
+      var count = args.length < 2 ? (args.length ? len - start : 0) :
+        Math.min(Math.max(Math.trunc(args[1]) || 0, 0), len - start);
+      added = Array.prototype.slice.call(args, 2);
+      size = len - count + added.length;
+      break;
+    case 'fill':
+      added = [args[0]];
+      start = position(args[1], 0);
+      break;
+    default:
+      break;
+  }
+
+  for (var i = 0; i < added.length; i++) {
+    var error = Path.checkPoint_(added[i], start + i, path);
+    if (error) {
+      return error;
+    }
+  }
+
+  if (size < 2) {
+    return new PathSyntaxError(PathSyntaxError.TOO_FEW_POINTS, path,
+      {index: size});
+  }
+
+  return null;
+};
+
+
+/**
+ * Produces a Path version of an in-place Array method. The returned function
+ * verifies the change will leave a valid path before making it, so a failed
+ * mutation leaves the path as it was. The path's string and command forms
+ * aren't updated until they're next needed, keeping each change cheap.
+ * A closed path's last point only repeats its first, so on a closed path the
+ * method runs on the distinct vertices alone and the path is closed again
+ * afterwards. It stays closed until open is called.
+ * @param {string} name The name of the Array method to wrap.
+ * @return {Function} The validating version of the method.
+ * @private
+ */
+Path.mutator_ = function(name) {
+  var method = Array.prototype[name];
+
+  return function() {
+    var ring = this.closed_ && Path.isClosing_(this);
+    var error = Path.checkMutation_(this, name, arguments,
+      ring ? this.length - 1 : this.length);
+    if (error) {
+      throw error;
+    }
+
+    this.dirty_ = true;
+
+    if (!ring) {
+      return method.apply(this, arguments);
+    }
+
+    var end = Array.prototype.pop.call(this);
+    var result = method.apply(this, arguments);
+
+    // Keep the old closing point where the start hasn't moved, so its
+    // command survives the edit.
+    var first = this[0];
+    Array.prototype.push.call(this, first[0] === end[0] &&
+      first[1] === end[1] ? end : [first[0], first[1]]);
+
+    return name === 'push' || name === 'unshift' ? this.length : result;
+  };
+};
+
+// Install validating versions of each mutator the platform provides.
+Path.MUTATORS.forEach(function(name) {
+  if (typeof Array.prototype[name] === 'function') {
+    Path.prototype[name] = Path.mutator_(name);
+  }
+});
+
+
+/**
+ * Removes and/or inserts points in the receiver, as Array's splice does. The
+ * removed points are returned as a Path when there are enough of them to
+ * form one. A single point (or none) can't be a Path, so in that case they
+ * are returned as a plain Array.
+ * @param {Number} start The index at which to start changing points.
+ * @param {Number} deleteCount The number of points to remove.
+ * @param {...Array} var_args Points to insert at start.
+ * @return {Path|Array} The removed points.
+ */
+Path.prototype.splice = function(start, deleteCount, var_args) {
+  var removed = Path.mutator_('splice').apply(this, arguments);
+
+  return Path.isPointArray(removed) ? new Path(removed, {closed: false}) :
+    removed;
+};
+
+// ------------------------------------------------------------------------
+// Path Measurement
+// ------------------------------------------------------------------------
+
+// Measurements treat a path as the polyline through its points, so curves
+// and arcs are measured by the straight segments between their end points.
+// A closed path is one ending in a closepath, which contributes a last point
+// repeating its first as Path.pathAsPointArray produces. Measurements of
+// area treat an open path the way SVG fills one, as implicitly closed by a
+// segment from its last point back to its first. Since SVG's y axis points
+// down, a path with a positive signed area runs clockwise as displayed.
+
+
+/**
+ * Orientation constant for paths which run clockwise as displayed.
+ * @type {string}
+ */
+Path.CLOCKWISE = 'clockwise';
+
+
+/**
+ * Orientation constant for paths which run counter-clockwise as displayed.
+ * @type {string}
+ */
+Path.COUNTERCLOCKWISE = 'counterclockwise';
+
+
+/**
+ * Returns the signed area enclosed by the path, computed using the shoelace
+ * formula. Open paths are treated as implicitly closed. A repeated closing
+ * point contributes nothing, so closed and open forms of the same polygon
+ * have the same area. The sign reflects the orientation, see getOrientation.
+ * @return {Number} The signed area enclosed by the path.
+ */
+Path.prototype.getArea = function() {
+  var sum = 0;
+  var len = this.length;
+  for (var i = 0; i < len; i++) {
+    var a = this[i];
+    var b = this[(i + 1) % len];
+    sum += a[0] * b[1] - b[0] * a[1];
+  }
+
+  return sum / 2;
+};
+
+
+/**
+ * Returns the axis-aligned bounding box of the path's points in the form
+ * used by SVG's getBBox: {x: left, y: top, width: w, height: h}.
+ * @return {Object} The bounding box of the path.
+ */
+Path.prototype.getBounds = function() {
+  var minX = Infinity;
+  var minY = Infinity;
+  var maxX = -Infinity;
+  var maxY = -Infinity;
+
+  var len = this.length;
+  for (var i = 0; i < len; i++) {
+    var point = this[i];
+    minX = Math.min(minX, point[0]);
+    minY = Math.min(minY, point[1]);
+    maxX = Math.max(maxX, point[0]);
+    maxY = Math.max(maxY, point[1]);
+  }
+
+  return {x: minX, y: minY, width: maxX - minX, height: maxY - minY};
+};
+
+
+/**
+ * Returns the centroid of the path as an [x, y] point. For paths enclosing
+ * an area this is the centroid of that area, with open paths treated as
+ * implicitly closed. Paths enclosing no area, such as straight lines, use
+ * the centroid of their segments weighted by length instead, and a path
+ * whose points all coincide returns that point.
+ * @return {Array.<Number>} The centroid of the path.
+ */
+Path.prototype.getCentroid = function() {
+  var len = this.length;
+  var area = this.getArea();
+  var cx = 0;
+  var cy = 0;
+  var i;
+  var a;
+  var b;
+
+  if (area !== 0) {
+    for (i = 0; i < len; i++) {
+      a = this[i];
+      b = this[(i + 1) % len];
+      var cross = a[0] * b[1] - b[0] * a[1];
+      cx += (a[0] + b[0]) * cross;
+      cy += (a[1] + b[1]) * cross;
+    }
+    return [cx / (6 * area), cy / (6 * area)];
+  }
+
+  var total = 0;
+  for (i = 1; i < len; i++) {
+    a = this[i - 1];
+    b = this[i];
+    var length = Path.distance_(a, b);
+    cx += (a[0] + b[0]) / 2 * length;
+    cy += (a[1] + b[1]) / 2 * length;
+    total += length;
+  }
+
+  if (total === 0) {
+    return [this[0][0], this[0][1]];
+  }
+
+  return [cx / total, cy / total];
+};
+
+
+/**
+ * Returns the total length of the path, the sum of its segment lengths. For
+ * a closed path this includes the closing segment. For an open path it does
+ * not, since an open path isn't stroked back to its start.
+ * @return {Number} The length of the path.
+ */
+Path.prototype.getLength = function() {
+  return this.getSegmentLengths().reduce(function(sum, length) {
+    return sum + length;
+  }, 0);
+};
+
+
+/**
+ * Returns the orientation of the path as displayed, one of Path.CLOCKWISE or
+ * Path.COUNTERCLOCKWISE, or null if the path encloses no area and so has no
+ * orientation. Open paths are treated as implicitly closed.
+ * @return {?string} The orientation of the path.
+ */
+Path.prototype.getOrientation = function() {
+  var area = this.getArea();
+  if (area === 0) {
+    return null;
+  }
+
+  return area > 0 ? Path.CLOCKWISE : Path.COUNTERCLOCKWISE;
+};
+
+
+/**
+ * Returns the length of each segment in the path in order, so entry i is the
+ * distance from point i to point i + 1. A path of n points has n - 1
+ * segments, including the closing segment of a closed path.
+ * @return {Array.<Number>} The length of each segment.
+ */
+Path.prototype.getSegmentLengths = function() {
+  var lengths = [];
+  var len = this.length;
+  for (var i = 1; i < len; i++) {
+    lengths.push(Path.distance_(this[i - 1], this[i]));
+  }
+
+  return lengths;
+};
+
+
+/**
+ * Returns true if the path is closed, ending in a closepath. An open path
+ * which merely returns to its first point isn't closed.
+ * @return {Boolean} True if the path is closed.
+ */
+Path.prototype.isClosed = function() {
+  return this.closed;
+};
+
+
+/**
+ * Returns the distance between two points.
+ * @param {Array.<Number>} a The first point.
+ * @param {Array.<Number>} b The second point.
+ * @return {Number} The distance from a to b.
+ * @private
+ */
+Path.distance_ = function(a, b) {
+  var dx = b[0] - a[0];
+  var dy = b[1] - a[1];
+
+  return Math.sqrt(dx * dx + dy * dy);
+};
+
+// ------------------------------------------------------------------------
+// Path Transformation
+// ------------------------------------------------------------------------
+
+// Transforms are expressed as affine matrices in SVG's [a, b, c, d, e, f]
+// form, which maps a point x,y to a*x + c*y + e, b*x + d*y + f. Angles are
+// in degrees, again following SVG.
+
+
+/**
+ * The identity transform matrix.
+ * @type {Array.<Number>}
+ */
+Path.IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+
+
+/**
+ * The number of arguments each SVG transform function accepts, keyed by
+ * function name.
+ * @type {Object.<string, Array.<Number>>}
+ */
+Path.TRANSFORM_ARITY = {
+  matrix: [6],
+  translate: [1, 2],
+  scale: [1, 2],
+  rotate: [1, 3],
+  skewX: [1],
+  skewY: [1]
+};
+
+
+/**
+ * A regular expression matching a single SVG transform function such as
+ * 'rotate(45, 10, 10)', capturing any comma separating it from the function
+ * before, the function name and its argument list. This is a global regex
+ * so we can position it via lastIndex while scanning.
+ * @type {RegExp}
+ */
+Path.TRANSFORM_REGEX = /\s*(,?)\s*([A-Za-z]+)\s*\(([^)]*)\)\s*/g;
+
+
+/**
+ * Returns the product of two transform matrices. The result applies m2 first
+ * and then m1, matching the order of a transform list such as
+ * 'translate(...) rotate(...)' where the rightmost transform applies first.
+ * @param {Array.<Number>} m1 The outer transform matrix.
+ * @param {Array.<Number>} m2 The inner transform matrix.
+ * @return {Array.<Number>} The combined transform matrix.
+ */
+Path.multiplyMatrix = function(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[2] * m2[1],
+    m1[1] * m2[0] + m1[3] * m2[1],
+    m1[0] * m2[2] + m1[2] * m2[3],
+    m1[1] * m2[2] + m1[3] * m2[3],
+    m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+    m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+  ];
+};
+
+
+/**
+ * Returns the matrix for a single SVG transform function given its name and
+ * arguments, for example Path.transformMatrix('rotate', [90, 10, 10]).
+ * Omitted optional arguments take their SVG defaults.
+ * @param {string} name The transform function name, one of matrix,
+ *     translate, scale, rotate, skewX or skewY.
+ * @param {Array.<Number>} args The transform function's arguments.
+ * @return {Array.<Number>} The transform matrix.
+ */
+Path.transformMatrix = function(name, args) {
+  var radians = args[0] * Math.PI / 180;
+
+  switch (name) {
+    case 'matrix':
+      return args.slice(0, 6);
+    case 'translate':
+      return [1, 0, 0, 1, args[0], args[1] || 0];
+    case 'scale':
+      return [args[0], 0, 0, args.length > 1 ? args[1] : args[0], 0, 0];
+    case 'rotate':
+      var cos = Math.cos(radians);
+      var sin = Math.sin(radians);
+      var cx = args[1] || 0;
+      var cy = args[2] || 0;
+
+      // Rotation about cx,cy is translate(cx, cy) rotate(a) translate(-cx,
+      // -cy), which works out to this.
+      return [cos, sin, -sin, cos,
+        cx - cos * cx + sin * cy,
+        cy - sin * cx - cos * cy];
+    case 'skewX':
+      return [1, 0, Math.tan(radians), 1, 0, 0];
+    case 'skewY':
+      return [1, Math.tan(radians), 0, 1, 0, 0];
+    default:
+      return Path.IDENTITY_MATRIX.slice(0);
+  }
+};
+
+
+/**
+ * Parses the value of an SVG transform attribute, such as
+ * 'translate(10, 20) rotate(45)', into a single matrix equivalent to the
+ * whole transform list. To flatten a path into the coordinate space of its
+ * ancestors, multiply the matrices of each ancestor's transform from the
+ * outermost inward and apply the result with Path.prototype.transform.
+ * @param {string} arg The transform attribute value.
+ * @throws {PathSyntaxError} If the transform string is malformed.
+ * @return {Array.<Number>} The transform matrix.
+ */
+Path.parseTransform = function(arg) {
+  if (typeof arg !== 'string') {
+    Path.invalidPath(arg, PathSyntaxError.INVALID_TRANSFORM);
+  }
+
+  var matrix = Path.IDENTITY_MATRIX.slice(0);
+  var len = arg.length;
+  var pos = 0;
+
+  // An empty or all whitespace transform is simply the identity.
+  if (/^\s*$/.test(arg)) {
+    return matrix;
+  }
+
+  while (pos < len) {
+    Path.TRANSFORM_REGEX.lastIndex = pos;
+    var match = Path.TRANSFORM_REGEX.exec(arg);
+    // A comma may only separate functions, not lead the first of them.
+    if (!match || match.index !== pos || (pos === 0 && match[1]) ||
+        !Path.TRANSFORM_ARITY.hasOwnProperty(match[2])) {
+      Path.invalidPath(arg, PathSyntaxError.INVALID_TRANSFORM,
+        {offset: pos, expected: 'transform function'});
+    }
+
+    var name = match[2];
+    var list = match[3];
+    var args = [];
+    var at = /^\s*/.exec(list)[0].length;
+
+    // Arguments are read as numbers separated by whitespace and at most one
+    // comma, or by nothing where a sign starts the next, as in
+    // 'translate(10-5)'. A comma must be followed by another number.
+    while (at < list.length) {
+      Path.NUMBER_REGEX.lastIndex = at;
+      var number = Path.NUMBER_REGEX.exec(list);
+      if (!number || number.index !== at) {
+        Path.invalidPath(arg, PathSyntaxError.INVALID_TRANSFORM,
+          {offset: pos, expected: 'number'});
+      }
+      args.push(parseFloat(number[0]));
+      at += number[0].length;
+
+      var separator = /^\s*(,?)\s*/.exec(list.slice(at));
+      at += separator[0].length;
+      if (separator[1] && at === list.length) {
+        Path.invalidPath(arg, PathSyntaxError.INVALID_TRANSFORM,
+          {offset: pos, expected: 'number'});
+      }
+    }
+
+    if (Path.TRANSFORM_ARITY[name].indexOf(args.length) === -1) {
+      Path.invalidPath(arg, PathSyntaxError.INVALID_TRANSFORM,
+        {offset: pos, expected: Path.TRANSFORM_ARITY[name].join(' or ') +
+          ' arguments to ' + name});
+    }
+
+    matrix = Path.multiplyMatrix(matrix, Path.transformMatrix(name, args));
+    pos += match[0].length;
+  }
+
+  return matrix;
+};
+
+
+/**
+ * Applies a transform matrix to a single point.
+ * @param {Array.<Number>} point The x,y point to transform.
+ * @param {Array.<Number>} matrix The transform matrix.
+ * @return {Array.<Number>} The transformed point.
+ */
+Path.transformPoint = function(point, matrix) {
+  return [
+    matrix[0] * point[0] + matrix[2] * point[1] + matrix[4],
+    matrix[1] * point[0] + matrix[3] * point[1] + matrix[5]
+  ];
+};
+
+
+/**
+ * Applies a transform matrix to a list of commands as produced by
+ * Path.parse, returning a new list in absolute form. Curves remain curves
+ * since their control points transform like any other point. Horizontal and
+ * vertical lineto commands become general lineto commands, since they may
+ * no longer be axis-aligned. Arcs have their radii and rotation recomputed
+ * to describe the transformed ellipse.
+ * @param {Array.<Object>} commands The command list to transform.
+ * @param {Array.<Number>} matrix The transform matrix.
+ * @return {Array.<Object>} The transformed command list.
+ */
+Path.transformCommands = function(commands, matrix) {
+  var points = Path.commandsAsPointArray(commands);
+
+  return commands.map(function(item, index) {
+    var letter = item.command.toUpperCase();
+    var relative = item.command !== letter;
+    var args = item.args;
+
+    // The current point, which relative coordinates are offsets from.
+    var current = index > 0 ? points[index - 1] : [0, 0];
+    var dx = relative ? current[0] : 0;
+    var dy = relative ? current[1] : 0;
+
+    // Transforms the x,y pair at position i of args.
+    var pair = function(i) {
+      return Path.transformPoint([args[i] + dx, args[i + 1] + dy], matrix);
+    };
+
+    switch (letter) {
+      case 'Z':
+        return {command: 'Z', args: []};
+      case 'H':
+      case 'V':
+        return {command: 'L',
+          args: Path.transformPoint(points[index], matrix)};
+      case 'A':
+        return {command: 'A',
+          args: Path.transformArc_(args, matrix).concat(pair(5))};
+      default:
+        var result = [];
+        for (var i = 0; i < args.length; i += 2) {
+          result = result.concat(pair(i));
+        }
+        return {command: letter, args: result};
+    }
+  });
+};
+
+
+/**
+ * Computes the radii, rotation and flags of an elliptical arc after it has
+ * been transformed. The ellipse's axes are mapped through the linear part of
+ * the matrix and the result decomposed into its new semi-axes and rotation.
+ * A reflection reverses the direction of travel, flipping the sweep flag.
+ * @param {Array.<Number>} args The arc command's arguments.
+ * @param {Array.<Number>} matrix The transform matrix.
+ * @return {Array.<Number>} The first five arc arguments: rx, ry, rotation,
+ *     large-arc flag and sweep flag.
+ * @private
+ */
+Path.transformArc_ = function(args, matrix) {
+  var radians = args[2] * Math.PI / 180;
+  var cos = Math.cos(radians);
+  var sin = Math.sin(radians);
+
+  // The ellipse's axis vectors after rotation and transformation.
+  var m = Path.multiplyMatrix(matrix,
+    [cos * args[0], sin * args[0], -sin * args[1], cos * args[1], 0, 0]);
+
+  // The eigen decomposition of m * m' gives the squared semi-axes of the
+  // transformed ellipse and the direction of its major axis.
+  var p = m[0] * m[0] + m[2] * m[2];
+  var q = m[0] * m[1] + m[2] * m[3];
+  var r = m[1] * m[1] + m[3] * m[3];
+  var mid = (p + r) / 2;
+  var spread = Math.sqrt((p - r) * (p - r) / 4 + q * q);
+  var angle = Math.atan2(2 * q, p - r) / 2 * 180 / Math.PI;
+
+  var det = matrix[0] * matrix[3] - matrix[1] * matrix[2];
+  var sweep = det < 0 ? 1 - args[4] : args[4];
+
+  return [Math.sqrt(mid + spread), Math.sqrt(Math.max(mid - spread, 0)),
+    angle, args[3], sweep];
+};
+
+
+/**
+ * Returns a new Path with the receiver transformed by the given matrix or
+ * SVG transform attribute string. The receiver's commands are transformed,
+ * so curves and arcs are retained, with the result in absolute form.
+ * @param {Array.<Number>|string} matrix A transform matrix in SVG's
+ *     [a, b, c, d, e, f] form, or a transform attribute string.
+ * @return {Path} A new transformed path.
+ */
+Path.prototype.transform = function(matrix) {
+  if (typeof matrix === 'string') {
+    matrix = Path.parseTransform(matrix);
+  }
+
+  return new Path(Path.commandsAsPath(
+    Path.transformCommands(this.getCommands(), matrix)));
+};
+
+
+/**
+ * Returns a new Path with the receiver moved by tx, ty.
+ * @param {Number} tx The distance to move along x.
+ * @param {Number} ty The distance to move along y. Default is 0.
+ * @return {Path} A new translated path.
+ */
+Path.prototype.translate = function(tx, ty) {
+  return this.transform(Path.transformMatrix('translate', [tx, ty || 0]));
+};
+
+
+/**
+ * Returns a new Path with the receiver scaled about the origin.
+ * @param {Number} sx The scale factor along x.
+ * @param {Number} sy The scale factor along y. Default is sx.
+ * @return {Path} A new scaled path.
+ */
+Path.prototype.scale = function(sx, sy) {
+  return this.transform(Path.transformMatrix('scale',
+    [sx, typeof sy === 'number' ? sy : sx]));
+};
+
+
+/**
+ * Returns a new Path with the receiver rotated by angle degrees about cx, cy.
+ * @param {Number} angle The rotation angle in degrees.
+ * @param {Number} cx The x coordinate of the rotation center. Default is 0.
+ * @param {Number} cy The y coordinate of the rotation center. Default is 0.
+ * @return {Path} A new rotated path.
+ */
+Path.prototype.rotate = function(angle, cx, cy) {
+  return this.transform(Path.transformMatrix('rotate',
+    [angle, cx || 0, cy || 0]));
+};
+
+
+/**
+ * Returns a new Path with the receiver skewed by ax degrees along x and ay
+ * degrees along y, as skewX(ax) and skewY(ay) would.
+ * @param {Number} ax The skew angle along x in degrees.
+ * @param {Number} ay The skew angle along y in degrees. Default is 0.
+ * @return {Path} A new skewed path.
+ */
+Path.prototype.skew = function(ax, ay) {
+  return this.transform(Path.multiplyMatrix(
+    Path.transformMatrix('skewX', [ax]),
+    Path.transformMatrix('skewY', [ay || 0])));
+};
+
+// ------------------------------------------------------------------------
+// Path Hit Testing
+// ------------------------------------------------------------------------
+
+/**
+ * Fill rule constant for the SVG 'nonzero' rule, under which a point is
+ * inside when the path winds around it a nonzero number of times.
+ * @type {string}
+ */
+Path.NONZERO = 'nonzero';
+
+
+/**
+ * Fill rule constant for the SVG 'evenodd' rule, under which a point is
+ * inside when a ray from it crosses the path an odd number of times.
+ * @type {string}
+ */
+Path.EVENODD = 'evenodd';
+
+
+/**
+ * Returns the closest point on the segment from a to b to the point p,
+ * along with its parameter t, where t of 0 is a and t of 1 is b.
+ * @param {Array.<Number>} a The segment's start point.
+ * @param {Array.<Number>} b The segment's end point.
+ * @param {Array.<Number>} p The point to project onto the segment.
+ * @return {Object} An object of the form {point: [x, y], t: t}.
+ * @private
+ */
+Path.projectOntoSegment_ = function(a, b, p) {
+  var dx = b[0] - a[0];
+  var dy = b[1] - a[1];
+  var length2 = dx * dx + dy * dy;
+
+  // A zero length segment is just a point.
+  if (length2 === 0) {
+    return {point: [a[0], a[1]], t: 0};
+  }
+
+  var t = ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / length2;
+  t = Math.max(0, Math.min(1, t));
+
+  // Return the end points exactly rather than via arithmetic.
+  if (t === 0) {
+    return {point: [a[0], a[1]], t: 0};
+  }
+  if (t === 1) {
+    return {point: [b[0], b[1]], t: 1};
+  }
+
+  return {point: [a[0] + t * dx, a[1] + t * dy], t: t};
+};
+
+
+/**
+ * Counts how the ring formed by a list of points winds around a point. The
+ * ring is implicitly closed. The result is an object of the form
+ * {winding: w, crossings: c, boundary: b} where winding is the winding
+ * number, crossings the number of ring edges crossing a ray from the point,
+ * and boundary is true if the point lies on the ring itself, in which case
+ * the counts are incomplete.
+ * @param {Array.<Array>} points The points forming the ring.
+ * @param {Array.<Number>} point The x,y point to test.
+ * @return {Object} The winding information for the point.
+ * @private
+ */
+Path.windingNumber_ = function(points, point) {
+  var px = point[0];
+  var py = point[1];
+  var winding = 0;
+  var crossings = 0;
+
+  var len = points.length;
+  for (var i = 0; i < len; i++) {
+    var a = points[i];
+    var b = points[(i + 1) % len];
+
+    // The sign of this cross product tells which side of the line through
+    // a and b the point is on. Zero means the point is on that line.
+    var side = (b[0] - a[0]) * (py - a[1]) - (px - a[0]) * (b[1] - a[1]);
+
+    if (side === 0 &&
+        px >= Math.min(a[0], b[0]) && px <= Math.max(a[0], b[0]) &&
+        py >= Math.min(a[1], b[1]) && py <= Math.max(a[1], b[1])) {
+      return {winding: winding, crossings: crossings, boundary: true};
+    }
+
+    // Count edges crossing the horizontal ray to the right of the point,
+    // by direction. Each edge includes its lower end point but not its
+    // upper one so vertices on the ray aren't counted twice.
+    if (a[1] <= py) {
+      if (b[1] > py && side > 0) {
+        winding++;
+        crossings++;
+      }
+    } else if (b[1] <= py && side < 0) {
+      winding--;
+      crossings++;
+    }
+  }
+
+  return {winding: winding, crossings: crossings, boundary: false};
+};
+
+
+/**
+ * Returns the point on the path closest to the point provided. The result
+ * is an object of the form {point: [x, y], index: i, t: t, distance: d}
+ * where index identifies the segment from point i to point i + 1, t is the
+ * parameter along that segment from 0 to 1, and distance is the distance
+ * from the point provided to the closest point. When several segments are
+ * equally close the earliest is reported.
+ * @param {Array.<Number>} point The x,y point to measure from.
+ * @return {Object} The closest point on the path and where it lies.
+ */
+Path.prototype.closestPoint = function(point) {
+  var best = null;
+  var bestDistance2 = Infinity;
+
+  var len = this.length;
+  for (var i = 1; i < len; i++) {
+    var candidate = Path.projectOntoSegment_(this[i - 1], this[i], point);
+    var dx = candidate.point[0] - point[0];
+    var dy = candidate.point[1] - point[1];
+    var distance2 = dx * dx + dy * dy;
+
+    if (distance2 < bestDistance2) {
+      bestDistance2 = distance2;
+      best = {point: candidate.point, index: i - 1, t: candidate.t};
+    }
+  }
+
+  best.distance = Math.sqrt(bestDistance2);
+  return best;
+};
+
+
+/**
+ * Returns true if the point provided lies inside the region enclosed by the
+ * path, using the fill rule given in options. Points on the path itself are
+ * considered inside. Open paths are treated as implicitly closed, as SVG does
+ * when filling them. Only comparisons and products of coordinate differences
+ * are involved, so the result is exact for integer coordinates.
+ * @param {Array.<Number>} point The x,y point to test.
+ * @param {Object} options Optional settings. Supported keys are: rule, one
+ *     of Path.NONZERO (the default, as for SVG) or Path.EVENODD.
+ * @return {Boolean} True if the point is inside the path.
+ */
+Path.prototype.contains = function(point, options) {
+  var rule = (options && options.rule) || Path.NONZERO;
+  var result = Path.windingNumber_(this, point);
+
+  if (result.boundary) {
+    return true;
+  }
+
+  return rule === Path.EVENODD ?
+    result.crossings % 2 === 1 :
+    result.winding !== 0;
+};
+
+
+/**
+ * Returns the distance from the point provided to the closest point on the
+ * path. For closed paths this includes the closing segment.
+ * @param {Array.<Number>} point The x,y point to measure from.
+ * @return {Number} The distance to the path.
+ */
+Path.prototype.distanceTo = function(point) {
+  return this.closestPoint(point).distance;
+};
+
+// ------------------------------------------------------------------------
+// Path Simplification
+// ------------------------------------------------------------------------
+
+/**
+ * Simplification algorithm constant for Ramer-Douglas-Peucker, which keeps
+ * points lying further than the tolerance from the simplified line.
+ * @type {string}
+ */
+Path.DOUGLAS_PEUCKER = 'douglas-peucker';
+
+
+/**
+ * Simplification algorithm constant for Visvalingam-Whyatt, which repeatedly
+ * drops the point forming the smallest triangle with its neighbors until no
+ * triangle's area is below the tolerance.
+ * @type {string}
+ */
+Path.VISVALINGAM = 'visvalingam';
+
+
+/**
+ * Returns the area of the triangle formed by three points.
+ * @param {Array.<Number>} a The first point.
+ * @param {Array.<Number>} b The second point.
+ * @param {Array.<Number>} c The third point.
+ * @return {Number} The triangle's area.
+ * @private
+ */
+Path.triangleArea_ = function(a, b, c) {
+  return Math.abs((b[0] - a[0]) * (c[1] - a[1]) -
+    (c[0] - a[0]) * (b[1] - a[1])) / 2;
+};
+
+
+/**
+ * Simplifies a point array using Ramer-Douglas-Peucker, keeping the end
+ * points and any point further than tolerance from the line between the
+ * points kept on either side of it. The work list is managed explicitly
+ * rather than by recursion so long strokes can't exhaust the stack. Until
+ * minimum points are kept the furthest point of each range is kept whatever
+ * its distance, so a closed ring can't collapse onto its start.
+ * @param {Array.<Array>} points The points to simplify.
+ * @param {Number} tolerance The maximum distance a dropped point may lie from
+ *     the simplified line.
+ * @param {Number} minimum The fewest points to keep, where there are enough.
+ * @return {Array.<Array>} The simplified points.
+ * @private
+ */
+Path.douglasPeucker_ = function(points, tolerance, minimum) {
+  var len = points.length;
+  var keep = [];
+  var count = 2;
+  keep[0] = true;
+  keep[len - 1] = true;
+
+  var stack = [[0, len - 1]];
+  while (stack.length) {
+    var range = stack.pop();
+    var first = range[0];
+    var last = range[1];
+    var maxDistance = -1;
+    var index = -1;
+
+    for (var i = first + 1; i < last; i++) {
+      var projected = Path.projectOntoSegment_(points[first], points[last],
+        points[i]).point;
+      var distance = Path.distance_(projected, points[i]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+
+    if (index !== -1 && (maxDistance > tolerance || count < minimum)) {
+      keep[index] = true;
+      count++;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return points.filter(function(item, index) {
+    return keep[index] === true;
+  });
+};
+
+
+/**
+ * Simplifies a point array using Visvalingam-Whyatt. Each interior point's
+ * effective area is the area of the triangle it forms with its neighbors.
+ * The point with the smallest effective area is removed, its neighbors'
+ * areas updated, and the process repeated until every remaining area is at
+ * least tolerance or only minimum points remain. A binary heap keeps this
+ * O(n log n).
+ * @param {Array.<Array>} points The points to simplify.
+ * @param {Number} tolerance The minimum effective area a point must have to
+ *     be kept.
+ * @param {Number} minimum The fewest points to keep, where there are enough.
+ * @return {Array.<Array>} The simplified points.
+ * @private
+ */
+Path.visvalingam_ = function(points, tolerance, minimum) {
+  var len = points.length;
+  var prev = [];
+  var next = [];
+  var area = [];
+  var heap = [];
+  var slot = [];
+  var i;
+
+  // Heap helpers. The heap holds point indexes ordered by area, and slot
+  // tracks where each index sits so it can be found when its area changes.
+  var swap = function(a, b) {
+    var tmp = heap[a];
+    heap[a] = heap[b];
+    heap[b] = tmp;
+    slot[heap[a]] = a;
+    slot[heap[b]] = b;
+  };
+  var up = function(at) {
+    while (at > 0) {
+      var parent = (at - 1) >> 1;
+      if (area[heap[parent]] <= area[heap[at]]) {
+        break;
+      }
+      swap(at, parent);
+      at = parent;
+    }
+  };
+  var down = function(at) {
+    for (;;) {
+      var smallest = at;
+      var left = at * 2 + 1;
+      var right = left + 1;
+      if (left < heap.length && area[heap[left]] < area[heap[smallest]]) {
+        smallest = left;
+      }
+      if (right < heap.length && area[heap[right]] < area[heap[smallest]]) {
+        smallest = right;
+      }
+      if (smallest === at) {
+        break;
+      }
+      swap(at, smallest);
+      at = smallest;
+    }
+  };
+  var update = function(index) {
+    area[index] = Path.triangleArea_(points[prev[index]], points[index],
+      points[next[index]]);
+    up(slot[index]);
+    down(slot[index]);
+  };
+
+  for (i = 0; i < len; i++) {
+    prev[i] = i - 1;
+    next[i] = i + 1;
+  }
+  for (i = 1; i < len - 1; i++) {
+    area[i] = Path.triangleArea_(points[i - 1], points[i], points[i + 1]);
+    slot[i] = heap.length;
+    heap.push(i);
+    up(heap.length - 1);
+  }
+
+  var removed = [];
+  var remaining = len;
+  while (heap.length && area[heap[0]] < tolerance && remaining > minimum) {
+    var index = heap[0];
+    swap(0, heap.length - 1);
+    heap.pop();
+    if (heap.length) {
+      down(0);
+    }
+    removed[index] = true;
+    remaining--;
+
+    // Unlink the point and recompute the areas of its interior neighbors.
+    next[prev[index]] = next[index];
+    prev[next[index]] = prev[index];
+    if (prev[index] > 0) {
+      update(prev[index]);
+    }
+    if (next[index] < len - 1) {
+      update(next[index]);
+    }
+  }
+
+  return points.filter(function(item, index) {
+    return removed[index] !== true;
+  });
+};
+
+
+/**
+ * Returns a new Path with redundant points removed: consecutive duplicates,
+ * and points lying on the straight segment between their neighbors. Points
+ * where the path doubles back on itself are kept since removing them would
+ * change its shape. The first and last points are always kept, so closed
+ * paths stay closed.
+ * @return {Path} A new path without redundant points.
+ */
+Path.prototype.removeRedundantPoints = function() {
+  var points = [];
+  var len = this.length;
+
+  for (var i = 0; i < len; i++) {
+    var point = this[i];
+    var last = points[points.length - 1];
+
+    if (last && last[0] === point[0] && last[1] === point[1]) {
+      // The end point is kept over any duplicate preceding it.
+      if (i === len - 1) {
+        points[points.length - 1] = point;
+      }
+      continue;
+    }
+
+    // Drop the previous point if it lies between its neighbors on a
+    // straight line. The signs of the products tell us both whether the
+    // three are collinear and whether the middle one lies between.
+    var before = points[points.length - 2];
+    if (before) {
+      var cross = (last[0] - before[0]) * (point[1] - before[1]) -
+        (point[0] - before[0]) * (last[1] - before[1]);
+      var dot = (last[0] - before[0]) * (point[0] - last[0]) +
+        (last[1] - before[1]) * (point[1] - last[1]);
+      if (cross === 0 && dot > 0) {
+        points.pop();
+      }
+    }
+
+    points.push(point);
+  }
+
+  // A path whose points all coincide still needs two of them.
+  if (points.length < 2) {
+    points.push(this[len - 1]);
+  }
+
+  return this.derive_(points);
+};
+
+
+/**
+ * Returns a new simplified Path with fewer points approximating the
+ * receiver, suitable for reducing freehand strokes. Redundant points are
+ * first removed as by removeRedundantPoints. The first and last points are
+ * always kept, so closed paths stay closed and the result is always a valid
+ * path. A path ending at its start, closed or not, keeps at least three
+ * distinct points whatever the tolerance, so it remains a ring.
+ * @param {Number} tolerance For Douglas-Peucker, the maximum distance a
+ *     dropped point may lie from the simplified path. For Visvalingam, the
+ *     minimum area of the triangle a kept point forms with its neighbors.
+ * @param {Object} options Optional settings. Supported keys are: algorithm,
+ *     one of Path.DOUGLAS_PEUCKER (the default) or Path.VISVALINGAM.
+ * @return {Path} A new simplified path.
+ */
+Path.prototype.simplify = function(tolerance, options) {
+  var algorithm = (options && options.algorithm) || Path.DOUGLAS_PEUCKER;
+  var points = Array.prototype.slice.call(this.removeRedundantPoints());
+
+  // A path ending where it began, closed or not, needs its two ends and two
+  // more points to keep three distinct ones.
+  var minimum = Path.isClosing_(points) ? 4 : 2;
+
+  if (algorithm === Path.VISVALINGAM) {
+    return this.derive_(Path.visvalingam_(points, tolerance, minimum));
+  }
+
+  return this.derive_(Path.douglasPeucker_(points, tolerance, minimum));
+};
+
+// ------------------------------------------------------------------------
+// Path Intersection
+// ------------------------------------------------------------------------
+
+// Intersections are reported as objects of the form
+// {point: [x, y], segments: [i, j]} where segment i runs from point i to
+// point i + 1. To avoid reporting a crossing at a vertex once for each of the
+// segments meeting there, each segment owns its start point but not its end
+// point. The exception is the final segment of an open path, which owns both.
+
+
+/**
+ * Returns the intersections between segment a-b and segment c-d. Segments
+ * which cross or touch produce one intersection. Collinear segments which
+ * overlap produce one for each end of the overlap. Each intersection has the
+ * form {point: [x, y], t: t, u: u} where t and u are the parameters of the
+ * point along a-b and c-d respectively.
+ * @param {Array.<Number>} a The first segment's start point.
+ * @param {Array.<Number>} b The first segment's end point.
+ * @param {Array.<Number>} c The second segment's start point.
+ * @param {Array.<Number>} d The second segment's end point.
+ * @return {Array.<Object>} The intersections found, possibly none.
+ * @private
+ */
+Path.segmentIntersections_ = function(a, b, c, d) {
+  var rx = b[0] - a[0];
+  var ry = b[1] - a[1];
+  var sx = d[0] - c[0];
+  var sy = d[1] - c[1];
+  var qx = c[0] - a[0];
+  var qy = c[1] - a[1];
+
+  var denom = rx * sy - ry * sx;
+  var along = qx * ry - qy * rx;
+  var found = [];
+
+  // Locates the point at parameter t along a-b, returning the end points
+  // themselves where possible so the result is exact there.
+  var at = function(t, u) {
+    var point;
+    if (t === 0 || t === 1) {
+      point = t === 0 ? a : b;
+    } else if (u === 0 || u === 1) {
+      point = u === 0 ? c : d;
+    } else {
+      point = [a[0] + t * rx, a[1] + t * ry];
+    }
+    found.push({point: [point[0], point[1]], t: t, u: u});
+  };
+
+  if (denom !== 0) {
+    var t = (qx * sy - qy * sx) / denom;
+    var u = along / denom;
+    if (t >= 0 && t <= 1 && u >= 0 && u <= 1) {
+      at(t, u);
+    }
+    return found;
+  }
+
+  // Parallel segments only meet if they're also collinear.
+  if (along !== 0) {
+    return found;
+  }
+
+  // Project c-d onto a-b and clip the result to a-b to find the overlap.
+  var rr = rx * rx + ry * ry;
+  var ss = sx * sx + sy * sy;
+  var t0 = (qx * rx + qy * ry) / rr;
+  var t1 = t0 + (sx * rx + sy * ry) / rr;
+  var lo = Math.max(0, Math.min(t0, t1));
+  var hi = Math.min(1, Math.max(t0, t1));
+
+  // Converts an overlap end on a-b to its parameter on c-d.
+  var toU = function(t) {
+    return ((a[0] + t * rx - c[0]) * sx + (a[1] + t * ry - c[1]) * sy) / ss;
+  };
+
+  if (lo < hi) {
+    at(lo, toU(lo));
+    at(hi, toU(hi));
+  } else if (lo === hi) {
+    at(lo, toU(lo));
+  }
+
+  return found;
+};
+
+
+/**
+ * Orders two segments as produced by Path.segments_ by owner, then ring,
+ * then position along the ring.
+ * @param {Object} s1 The first segment.
+ * @param {Object} s2 The second segment.
+ * @return {Number} Negative, zero or positive as for Array.prototype.sort.
+ * @private
+ */
+Path.compareSegments_ = function(s1, s2) {
+  return s1.owner - s2.owner || s1.ring - s2.ring || s1.index - s2.index;
+};
+
+
+/**
+ * Returns the segments of a path in the form used by Path.sweep_. Segments
+ * of zero length are omitted since they can't cross anything. A point array
+ * is taken to be a closed ring, as produced by Path.rings_.
+ * @param {Path|Array.<Array>} path The path, or point array, whose segments
+ *     to return.
+ * @param {Number} owner An identifier for the path the segments belong to.
+ * @param {Number} ring An optional identifier for the ring the segments
+ *     belong to, when the owner is made up of several.
+ * @return {Array.<Object>} The path's segments.
+ * @private
+ */
+Path.segments_ = function(path, owner, ring) {
+  var segments = [];
+  var len = path.length;
+  var closed = path instanceof Path ? path.closed : true;
+
+  for (var i = 1; i < len; i++) {
+    var a = path[i - 1];
+    var b = path[i];
+    if (a[0] === b[0] && a[1] === b[1]) {
+      continue;
+    }
+
+    segments.push({
+      a: a,
+      b: b,
+      index: i - 1,
+      owner: owner,
+      ring: ring || 0,
+      ownsEnd: !closed && i === len - 1,
+      minX: Math.min(a[0], b[0]),
+      maxX: Math.max(a[0], b[0]),
+      minY: Math.min(a[1], b[1]),
+      maxY: Math.max(a[1], b[1])
+    });
+  }
+
+  return segments;
+};
+
+
+/**
+ * Finds intersections among a set of segments using a sweep line. The sweep
+ * visits segments in order of their leftmost x, holding those whose x extent
+ * it's within in an interval tree over their y extents, and retiring them in
+ * order of their rightmost x once it has passed them. Each segment is tested
+ * only against active segments whose y extents overlap its own, which the
+ * tree finds without visiting the rest, so paths which cross back and forth
+ * over the same x range, such as zigzags, stay fast as well as those made of
+ * many short segments.
+ * @param {Array.<Object>} segments The segments as produced by
+ *     Path.segments_.
+ * @param {Boolean} crossOwner True to compare only segments with different
+ *     owners, false to compare only segments with the same owner.
+ * @return {Array.<Object>} The intersections found, sorted by segment, each
+ *     of the form {point: [x, y], first: s1, second: s2, t: t, u: u} where
+ *     s1 and s2 are the segments involved and t and u the parameters of the
+ *     point along each.
+ * @private
+ */
+Path.sweep_ = function(segments, crossOwner) {
+  var results = [];
+  var len = segments.length;
+  var i;
+
+  var starts = segments.slice(0).sort(function(s1, s2) {
+    return s1.minX - s2.minX;
+  });
+  var ends = segments.slice(0).sort(function(s1, s2) {
+    return s1.maxX - s2.maxX;
+  });
+
+  // The interval tree is laid out implicitly over the sorted y extents of
+  // all the segments, with the node for a range of values centered on its
+  // middle value. Each segment belongs to the first node whose center lies
+  // within its y extent. Nodes hold their active segments in a list, and
+  // count the active segments beneath them so empty subtrees are skipped.
+  var values = [];
+  segments.forEach(function(item) {
+    values.push(item.minY, item.maxY);
+  });
+  values.sort(function(v1, v2) {
+    return v1 - v2;
+  });
+  values = values.filter(function(value, index) {
+    return index === 0 || value !== values[index - 1];
+  });
+
+  var lists = [];
+  var counts = [];
+  for (i = 0; i < values.length; i++) {
+    lists[i] = [];
+    counts[i] = 0;
+  }
+
+  // Adjusts the counts on the way down to a segment's node, returning the
+  // node. The list holding each active segment, and its slot there, are
+  // remembered so it can be removed without searching.
+  var node = new Map();
+  var slot = new Map();
+  var update = function(segment, delta) {
+    var lo = 0;
+    var hi = values.length - 1;
+    for (;;) {
+      var mid = (lo + hi) >> 1;
+      counts[mid] += delta;
+      if (segment.maxY < values[mid]) {
+        hi = mid - 1;
+      } else if (segment.minY > values[mid]) {
+        lo = mid + 1;
+      } else {
+        return mid;
+      }
+    }
+  };
+  var insert = function(segment) {
+    var list = lists[update(segment, 1)];
+    node.set(segment, list);
+    slot.set(segment, list.length);
+    list.push(segment);
+  };
+  var remove = function(segment) {
+    update(segment, -1);
+    var list = node.get(segment);
+    var last = list.pop();
+    if (last !== segment) {
+      var at = slot.get(segment);
+      list[at] = last;
+      slot.set(last, at);
+    }
+  };
+
+  // Tests a pair of segments, recording their intersections.
+  var compare = function(other, current) {
+    // Order the pair so the first belongs to the first path, or for a
+    // single path comes first along it.
+    var first = other;
+    var second = current;
+    if (Path.compareSegments_(first, second) > 0) {
+      first = current;
+      second = other;
+    }
+
+    var found = Path.segmentIntersections_(first.a, first.b,
+      second.a, second.b);
+    for (var k = 0; k < found.length; k++) {
+      if ((found[k].t === 1 && !first.ownsEnd) ||
+          (found[k].u === 1 && !second.ownsEnd)) {
+        continue;
+      }
+      results.push({
+        point: found[k].point,
+        first: first,
+        second: second,
+        t: found[k].t,
+        u: found[k].u
+      });
+    }
+  };
+
+  // Tests a segment against each active segment whose y extent overlaps.
+  var test = function(current) {
+    var stack = [[0, values.length - 1]];
+    while (stack.length) {
+      var range = stack.pop();
+      var lo = range[0];
+      var hi = range[1];
+      if (lo > hi) {
+        continue;
+      }
+      var mid = (lo + hi) >> 1;
+      if (counts[mid] === 0) {
+        continue;
+      }
+
+      var list = lists[mid];
+      for (var j = 0; j < list.length; j++) {
+        var other = list[j];
+        if ((other.owner !== current.owner) === crossOwner &&
+            other.maxY >= current.minY && other.minY <= current.maxY) {
+          compare(other, current);
+        }
+      }
+
+      if (current.minY < values[mid]) {
+        stack.push([lo, mid - 1]);
+      }
+      if (current.maxY > values[mid]) {
+        stack.push([mid + 1, hi]);
+      }
+    }
+  };
+
+  var retired = 0;
+  for (i = 0; i < len; i++) {
+    var current = starts[i];
+
+    // Retire segments the sweep has passed.
+    while (ends[retired].maxX < current.minX) {
+      remove(ends[retired++]);
+    }
+
+    test(current);
+    insert(current);
+  }
+
+  return results.sort(function(r1, r2) {
+    return Path.compareSegments_(r1.first, r2.first) ||
+      Path.compareSegments_(r1.second, r2.second) || r1.t - r2.t;
+  });
+};
+
+
+/**
+ * Converts the intersections found by Path.sweep_ into the public form
+ * reported by intersections and selfIntersections.
+ * @param {Array.<Object>} results The intersections found by Path.sweep_.
+ * @return {Array.<Object>} The intersections in public form.
+ * @private
+ */
+Path.publicIntersections_ = function(results) {
+  return results.map(function(item) {
+    return {point: item.point, segments: [item.first.index, item.second.index]};
+  });
+};
+
+
+/**
+ * Returns the points where the receiver crosses or touches the other path.
+ * Each is an object of the form {point: [x, y], segments: [i, j]} where i is
+ * the index of the receiver's segment and j that of the other path's.
+ * @param {Path} other The path to intersect with the receiver.
+ * @return {Array.<Object>} The intersections found, possibly none.
+ */
+Path.prototype.intersections = function(other) {
+  return Path.publicIntersections_(Path.sweep_(
+    Path.segments_(this, 0).concat(Path.segments_(other, 1)), true));
+};
+
+
+/**
+ * Returns the points where the receiver crosses or touches itself, other
+ * than where consecutive segments meet. A path with none is simple. Each is
+ * an object of the form {point: [x, y], segments: [i, j]} where i and j are
+ * the indexes of the two segments involved, with i < j.
+ * @return {Array.<Object>} The self-intersections found, possibly none.
+ */
+Path.prototype.selfIntersections = function() {
+  return Path.publicIntersections_(
+    Path.sweep_(Path.segments_(this, 0), false));
+};
+
+// ------------------------------------------------------------------------
+// Path Boolean Operations
+// ------------------------------------------------------------------------
+
+// Boolean operations work on the regions enclosed by closed paths, with open
+// paths treated as implicitly closed. Both inputs are split at every point
+// where their boundaries meet, after which each piece of boundary lies
+// entirely inside or outside the other region, or along its boundary. The
+// operation selects the pieces it needs and links them into rings. Results
+// are returned as a PathGroup, since they may consist of several pieces or
+// contain holes. Outer rings wind clockwise as displayed and holes the
+// opposite way. Inputs may also be PathGroups, such as earlier results, but
+// each ring is expected to be simple (not crossing itself).
+
+
+/**
+ * Which pieces of each input's boundary each operation keeps. For each
+ * operation there's an entry per input, mapping how a piece of that input's
+ * boundary relates to the other input (inside, outside, or shared with it in
+ * the same or opposite direction) to 1 to keep it or -1 to keep it reversed.
+ * Shared pieces are taken from the first input only, so they appear once.
+ * @type {Object.<string, Array.<Object>>}
+ * @private
+ */
+Path.BOOLEAN_RULES_ = {
+  union: [{outside: 1, same: 1}, {outside: 1}],
+  intersect: [{inside: 1, same: 1}, {inside: 1}],
+  difference: [{outside: 1, opposite: 1}, {inside: -1}],
+  xor: [{outside: 1, inside: -1}, {outside: 1, inside: -1}]
+};
+
+
+/**
+ * Returns the rings making up a boolean operation input as closed point
+ * arrays, oriented so that the region's total signed area is positive.
+ * @param {Path|PathGroup} arg The input path or group of paths.
+ * @return {Array.<Array>} The input's rings.
+ * @private
+ */
+Path.rings_ = function(arg) {
+  var paths = arg instanceof PathGroup ?
+    Array.prototype.slice.call(arg) :
+    [arg];
+  var total = 0;
+
+  var rings = paths.map(function(path) {
+    // Open paths are filled as if closed, though one may already end where
+    // it began.
+    var points = Array.prototype.slice.call(path);
+    if (!Path.isClosing_(points)) {
+      points.push(points[0]);
+    }
+    total += path.getArea();
+    return points;
+  });
+
+  if (total < 0) {
+    rings.forEach(function(ring) {
+      ring.reverse();
+    });
+  }
+
+  return rings;
+};
+
+
+/**
+ * Splits each ring of both inputs at the points where the inputs' boundaries
+ * meet, returning the resulting edges for each input in the form
+ * {a: start, b: end}.
+ * @param {Array.<Array.<Array>>} rings The rings of each input.
+ * @return {Array.<Array.<Object>>} The edges of each input.
+ * @private
+ */
+Path.splitRings_ = function(rings) {
+  var segments = [];
+  rings.forEach(function(set, owner) {
+    set.forEach(function(ring, index) {
+      segments = segments.concat(Path.segments_(ring, owner, index));
+    });
+  });
+
+  // Record where each segment needs splitting. The same point is used for
+  // both segments involved so the pieces meet exactly.
+  var splits = {};
+  var addSplit = function(segment, t, point) {
+    if (t > 0 && t < 1) {
+      var key = segment.owner + ':' + segment.ring + ':' + segment.index;
+      (splits[key] = splits[key] || []).push({t: t, point: point});
+    }
+  };
+  Path.sweep_(segments, true).forEach(function(item) {
+    addSplit(item.first, item.t, item.point);
+    addSplit(item.second, item.u, item.point);
+  });
+
+  return rings.map(function(set, owner) {
+    var edges = [];
+    set.forEach(function(ring, index) {
+      for (var i = 1; i < ring.length; i++) {
+        var list = (splits[owner + ':' + index + ':' + (i - 1)] || []).sort(
+          function(s1, s2) {
+            return s1.t - s2.t;
+          });
+
+        var start = ring[i - 1];
+        list.concat([{point: ring[i]}]).forEach(function(item) {
+          var end = item.point;
+          if (start[0] !== end[0] || start[1] !== end[1]) {
+            edges.push({a: start, b: end});
+          }
+          start = end;
+        });
+      }
+    });
+    return edges;
+  });
+};
+
+
+/**
+ * Links edges end to end into closed rings. Where several edges leave the
+ * same point the one turning furthest toward the interior is taken, so rings
+ * touching at a point come out as separate rings. Rings enclosing no area
+ * are dropped.
+ * @param {Array.<Object>} edges The edges to link, as {a: start, b: end}.
+ * @return {Array.<Path>} The closed rings formed.
+ * @private
+ */
+Path.linkEdges_ = function(edges) {
+  var key = function(point) {
+    return point[0] + ',' + point[1];
+  };
+
+  var outgoing = {};
+  edges.forEach(function(edge, index) {
+    var k = key(edge.a);
+    (outgoing[k] = outgoing[k] || []).push(index);
+  });
+
+  var used = [];
+  var rings = [];
+
+  for (var i = 0; i < edges.length; i++) {
+    if (used[i]) {
+      continue;
+    }
+
+    var edge = edges[i];
+    var points = [edge.a];
+    var start = key(edge.a);
+    used[i] = true;
+
+    for (;;) {
+      points.push(edge.b);
+      if (key(edge.b) === start) {
+        break;
+      }
+
+      var inX = edge.b[0] - edge.a[0];
+      var inY = edge.b[1] - edge.a[1];
+      var best = -1;
+      var bestTurn = -Infinity;
+
+      var candidates = outgoing[key(edge.b)] || [];
+      for (var j = 0; j < candidates.length; j++) {
+        var next = edges[candidates[j]];
+        if (used[candidates[j]]) {
+          continue;
+        }
+        var outX = next.b[0] - next.a[0];
+        var outY = next.b[1] - next.a[1];
+        var turn = Math.atan2(inX * outY - inY * outX, inX * outX + inY * outY);
+        if (turn > bestTurn) {
+          bestTurn = turn;
+          best = candidates[j];
+        }
+      }
+
+      // Numerical trouble can leave a chain without a way home. Drop it
+      // rather than produce an unclosed ring.
+      if (best === -1) {
+        points = null;
+        break;
+      }
+
+      used[best] = true;
+      edge = edges[best];
+    }
+
+    if (points && points.length > 3) {
+      var ring = new Path(points).removeRedundantPoints();
+      if (ring.getArea() !== 0) {
+        rings.push(ring);
+      }
+    }
+  }
+
+  return rings;
+};
+
+
+/**
+ * Performs a boolean operation on the regions enclosed by two paths.
+ * @param {Path|PathGroup} a The first input.
+ * @param {Path|PathGroup} b The second input.
+ * @param {string} operation The name of the operation, a key of
+ *     Path.BOOLEAN_RULES_.
+ * @return {PathGroup} The rings of the resulting region.
+ * @private
+ */
+Path.boolean_ = function(a, b, operation) {
+  var rings = [Path.rings_(a), Path.rings_(b)];
+  var edges = Path.splitRings_(rings);
+  var rules = Path.BOOLEAN_RULES_[operation];
+
+  var key = function(p, q) {
+    return p[0] + ',' + p[1] + ',' + q[0] + ',' + q[1];
+  };
+  var present = edges.map(function(list) {
+    var keys = {};
+    list.forEach(function(edge) {
+      keys[key(edge.a, edge.b)] = true;
+    });
+    return keys;
+  });
+
+  var selected = [];
+  edges.forEach(function(list, owner) {
+    var other = 1 - owner;
+
+    list.forEach(function(edge) {
+      var relation;
+      if (present[other][key(edge.a, edge.b)]) {
+        relation = owner === 0 ? 'same' : null;
+      } else if (present[other][key(edge.b, edge.a)]) {
+        relation = owner === 0 ? 'opposite' : null;
+      } else {
+        // Pieces don't cross the other boundary, so the midpoint tells us
+        // which side of it the whole piece is on.
+        var mid = [(edge.a[0] + edge.b[0]) / 2, (edge.a[1] + edge.b[1]) / 2];
+        var winding = 0;
+        rings[other].forEach(function(ring) {
+          winding += Path.windingNumber_(ring, mid).winding;
+        });
+        relation = winding !== 0 ? 'inside' : 'outside';
+      }
+
+      var rule = relation && rules[owner][relation];
+      if (rule === 1) {
+        selected.push(edge);
+      } else if (rule === -1) {
+        selected.push({a: edge.b, b: edge.a});
+      }
+    });
+  });
+
+  return new PathGroup(Path.linkEdges_(selected));
+};
+
+
+/**
+ * Returns the difference of two regions: the parts of a not within b.
+ * @param {Path|PathGroup} a The region to subtract from.
+ * @param {Path|PathGroup} b The region to subtract.
+ * @return {PathGroup} The rings of the resulting region.
+ */
+Path.difference = function(a, b) {
+  return Path.boolean_(a, b, 'difference');
+};
+
+
+/**
+ * Returns the intersection of two regions: the parts within both.
+ * @param {Path|PathGroup} a The first region.
+ * @param {Path|PathGroup} b The second region.
+ * @return {PathGroup} The rings of the resulting region.
+ */
+Path.intersect = function(a, b) {
+  return Path.boolean_(a, b, 'intersect');
+};
+
+
+/**
+ * Returns the union of two regions: the parts within either.
+ * @param {Path|PathGroup} a The first region.
+ * @param {Path|PathGroup} b The second region.
+ * @return {PathGroup} The rings of the resulting region.
+ */
+Path.union = function(a, b) {
+  return Path.boolean_(a, b, 'union');
+};
+
+
+/**
+ * Returns the exclusive or of two regions: the parts within exactly one.
+ * @param {Path|PathGroup} a The first region.
+ * @param {Path|PathGroup} b The second region.
+ * @return {PathGroup} The rings of the resulting region.
+ */
+Path.xor = function(a, b) {
+  return Path.boolean_(a, b, 'xor');
+};
+
+// ------------------------------------------------------------------------
+// Path Clipping
+// ------------------------------------------------------------------------
+
+/**
+ * Clips a closed ring to a rectangle using Sutherland-Hodgman, clipping
+ * against each edge of the rectangle in turn. Concave rings which leave and
+ * re-enter the rectangle come out as a single ring joined by edges running
+ * along the rectangle's boundary, as is usual for this algorithm.
+ * @param {Array.<Array>} points The ring's points, without a closing point.
+ * @param {Array.<Number>} bounds The rectangle as [left, top, right,
+ *     bottom].
+ * @return {Array.<Array>} The clipped ring's points, without a closing
+ *     point. Possibly empty.
+ * @private
+ */
+Path.clipPolygon_ = function(points, bounds) {
+  // Each clipping edge as the axis it bounds, its position, and the sign of
+  // the side to keep.
+  var edges = [[0, bounds[0], 1], [0, bounds[2], -1],
+    [1, bounds[1], 1], [1, bounds[3], -1]];
+
+  for (var e = 0; e < edges.length && points.length; e++) {
+    var axis = edges[e][0];
+    var value = edges[e][1];
+    var sign = edges[e][2];
+    var input = points;
+    var len = input.length;
+    points = [];
+
+    var inside = function(point) {
+      return (point[axis] - value) * sign >= 0;
+    };
+
+    // The crossing point, placed exactly on the clipping edge.
+    var cross = function(a, b) {
+      var t = (value - a[axis]) / (b[axis] - a[axis]);
+      var point = [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])];
+      point[axis] = value;
+      return point;
+    };
+
+    for (var i = 0; i < len; i++) {
+      var current = input[i];
+      var previous = input[(i + len - 1) % len];
+      if (inside(current)) {
+        if (!inside(previous)) {
+          points.push(cross(previous, current));
+        }
+        points.push(current);
+      } else if (inside(previous)) {
+        points.push(cross(previous, current));
+      }
+    }
+  }
+
+  return points;
+};
+
+
+/**
+ * Clips an open polyline to a rectangle, clipping each segment with
+ * Liang-Barsky and joining consecutive visible pieces. A polyline which
+ * leaves and re-enters the rectangle produces several pieces.
+ * @param {Array.<Array>} points The polyline's points.
+ * @param {Array.<Number>} bounds The rectangle as [left, top, right,
+ *     bottom].
+ * @return {Array.<Array.<Array>>} The point arrays of the visible pieces.
+ * @private
+ */
+Path.clipPolyline_ = function(points, bounds) {
+  var pieces = [];
+  var piece = null;
+
+  // The point at parameter t along a-b. End points are returned as is, and
+  // anything else is clamped to the rectangle to absorb rounding.
+  var at = function(a, b, t) {
+    if (t === 0 || t === 1) {
+      return t === 0 ? a : b;
+    }
+    return [
+      Math.min(bounds[2], Math.max(bounds[0], a[0] + t * (b[0] - a[0]))),
+      Math.min(bounds[3], Math.max(bounds[1], a[1] + t * (b[1] - a[1])))
+    ];
+  };
+
+  for (var i = 1; i < points.length; i++) {
+    var a = points[i - 1];
+    var b = points[i];
+    var dx = b[0] - a[0];
+    var dy = b[1] - a[1];
+    var p = [-dx, dx, -dy, dy];
+    var q = [a[0] - bounds[0], bounds[2] - a[0],
+      a[1] - bounds[1], bounds[3] - a[1]];
+    var t0 = 0;
+    var t1 = 1;
+    var visible = true;
+
+    for (var k = 0; k < 4 && visible; k++) {
+      if (p[k] === 0) {
+        visible = q[k] >= 0;
+      } else if (p[k] < 0) {
+        t0 = Math.max(t0, q[k] / p[k]);
+      } else {
+        t1 = Math.min(t1, q[k] / p[k]);
+      }
+    }
+
+    if (!visible || t0 > t1) {
+      piece = null;
+      continue;
+    }
+
+    var start = at(a, b, t0);
+    var end = at(a, b, t1);
+
+    // Continue the current piece if this segment picks up where it left
+    // off, otherwise start a new one. Segments which merely touch the
+    // rectangle at a single point aren't worth a piece of their own.
+    if (piece && t0 === 0) {
+      piece.push(end);
+    } else if (start[0] !== end[0] || start[1] !== end[1]) {
+      piece = [start, end];
+      pieces.push(piece);
+    }
+
+    if (t1 !== 1) {
+      piece = null;
+    }
+  }
+
+  return pieces;
+};
+
+
+/**
+ * Clips the path to a rectangle such as a viewport, returning the parts
+ * within it as a PathGroup. Closed paths are clipped as regions using
+ * Sutherland-Hodgman and produce at most one closed path. Open paths are
+ * clipped as lines using Liang-Barsky and produce an open path for each
+ * stretch within the rectangle. Parts which would have fewer than two
+ * points, or for closed paths no area, are omitted, so every path in the
+ * result is valid. A path entirely outside the rectangle produces an empty
+ * group.
+ * @param {Number} x The left edge of the rectangle.
+ * @param {Number} y The top edge of the rectangle.
+ * @param {Number} width The width of the rectangle.
+ * @param {Number} height The height of the rectangle.
+ * @return {PathGroup} The parts of the path within the rectangle.
+ */
+Path.prototype.clipToRect = function(x, y, width, height) {
+  var bounds = [x, y, x + width, y + height];
+  var points = Array.prototype.slice.call(this);
+
+  if (!this.isClosed()) {
+    return new PathGroup(Path.clipPolyline_(points, bounds).map(
+      function(piece) {
+        return new Path(piece, {closed: false});
+      }));
+  }
+
+  points = Path.clipPolygon_(points.slice(0, -1), bounds);
+  if (points.length < 3) {
+    return new PathGroup();
+  }
+
+  points.push(points[0]);
+  var ring = new Path(points).removeRedundantPoints();
+
+  return new PathGroup(ring.getArea() === 0 ? [] : [ring]);
+};
+
+// ------------------------------------------------------------------------
+// Path Sampling
+// ------------------------------------------------------------------------
+
+// Sampling parameterizes a path by arc length along the polyline through its
+// points, so t of 0 is the first point, t of 1 the last, and t of 0.5 the
+// point halfway along the path's length. Closed paths include their closing
+// segment, and since their last point repeats their first, so do samples
+// taken at t of 0 and 1.
+
+
+/**
+ * Returns the points at each of the given distances along the path, with the
+ * direction of the segment each lies on. Distances must be in ascending
+ * order and are clamped to the path's length. Zero length segments are
+ * skipped, and a point exactly on a vertex takes the direction of the
+ * segment leaving it, except at the very end of the path.
+ * @param {Array.<Number>} distances The distances along the path.
+ * @return {Array.<Object>} An object of the form {point: [x, y],
+ *     tangent: [dx, dy]} for each distance, where tangent is a unit vector.
+ * @private
+ */
+Path.prototype.sampleAt_ = function(distances) {
+  var lengths = this.getSegmentLengths();
+  var total = lengths.reduce(function(sum, length) {
+    return sum + length;
+  }, 0);
+
+  // The last segment with any length, whose direction is used at the end.
+  var last = lengths.length - 1;
+  while (last > 0 && lengths[last] === 0) {
+    last--;
+  }
+
+  var samples = [];
+  var index = 0;
+  var start = 0;
+
+  for (var i = 0; i < distances.length; i++) {
+    var distance = Math.max(0, Math.min(total, distances[i]));
+
+    // Advance to the segment containing this distance.
+    while (index < last &&
+        (lengths[index] === 0 || start + lengths[index] <= distance)) {
+      start += lengths[index];
+      index++;
+    }
+
+    var a = this[index];
+    var b = this[index + 1];
+    var length = lengths[index];
+    var t = length === 0 ? 0 : Math.min(1, (distance - start) / length);
+
+    var point;
+    if (t === 0 || t === 1) {
+      point = t === 0 ? [a[0], a[1]] : [b[0], b[1]];
+    } else {
+      point = [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])];
+    }
+
+    var tangent = length === 0 ? [0, 0] :
+      [(b[0] - a[0]) / length, (b[1] - a[1]) / length];
+
+    samples.push({point: point, tangent: tangent});
+  }
+
+  return samples;
+};
+
+
+/**
+ * Returns the point at parameter t along the path, where t runs from 0 at
+ * the first point to 1 at the last by arc length. Values of t outside that
+ * range are clamped.
+ * @param {Number} t The parameter along the path.
+ * @return {Array.<Number>} The x,y point at t.
+ */
+Path.prototype.pointAt = function(t) {
+  return this.sampleAt_([t * this.getLength()])[0].point;
+};
+
+
+/**
+ * Returns the unit tangent vector, the direction of travel, at parameter t
+ * along the path as for pointAt. At a vertex this is the direction of the
+ * segment leaving it, except at the end of the path where it's the direction
+ * of the final segment. A path whose points all coincide has no direction,
+ * and produces [0, 0].
+ * @param {Number} t The parameter along the path.
+ * @return {Array.<Number>} The unit tangent vector at t.
+ */
+Path.prototype.tangentAt = function(t) {
+  return this.sampleAt_([t * this.getLength()])[0].tangent;
+};
+
+
+/**
+ * The most points resampleEvery will produce. Spacings small enough to need
+ * more are rejected rather than exhausting memory.
+ * @type {Number}
+ */
+Path.RESAMPLE_LIMIT = 16777216;
+
+
+/**
+ * Returns a new Path of count points spaced evenly by arc length along the
+ * receiver, including its first and last points. Since points are evenly
+ * spaced the receiver's corners generally aren't retained. The result is
+ * closed only if the receiver is.
+ * @param {Number} count The number of points, an integer of at least two.
+ * @throws {RangeError} If count isn't an integer of at least two.
+ * @return {Path} A new resampled path.
+ */
+Path.prototype.resample = function(count) {
+  if (!Number.isInteger(count) || count < 2) {
+    throw new RangeError('Invalid count: ' + count);
+  }
+
+  var total = this.getLength();
+  var distances = [];
+  for (var i = 0; i < count; i++) {
+    distances.push(total * i / (count - 1));
+  }
+
+  return this.derive_(this.sampleAt_(distances).map(function(item) {
+    return item.point;
+  }));
+};
+
+
+/**
+ * Returns a new Path with points every distance units of arc length along
+ * the receiver, starting at its first point. The receiver's last point is
+ * always included, so the final spacing may be shorter.
+ * @param {Number} distance The spacing between points, finite and greater
+ *     than zero.
+ * @throws {RangeError} If distance isn't finite and greater than zero, or
+ *     would produce more than Path.RESAMPLE_LIMIT points.
+ * @return {Path} A new resampled path.
+ */
+Path.prototype.resampleEvery = function(distance) {
+  if (!(distance > 0) || !isFinite(distance)) {
+    throw new RangeError('Invalid distance: ' + distance);
+  }
+
+  // Counting the points up front, rather than stepping a running distance,
+  // means spacings too small to advance it can't loop forever.
+  var total = this.getLength();
+  var count = Math.max(1, Math.ceil(total / distance));
+  if (count >= Path.RESAMPLE_LIMIT) {
+    throw new RangeError('Invalid distance: ' + distance);
+  }
+
+  var distances = [];
+  for (var i = 0; i < count; i++) {
+    distances.push(i * distance);
+  }
+  distances.push(total);
+
+  return this.derive_(this.sampleAt_(distances).map(function(item) {
+    return item.point;
+  }));
+};
+
+
+/**
+ * Adds points to a point array until it has count of them, keeping all of
+ * its existing points. New points are spread over the segments in proportion
+ * to their lengths, evenly dividing each.
+ * @param {Array.<Array>} points The point array to add to.
+ * @param {Number} count The number of points required.
+ * @return {Array.<Array>} The point array with count points.
+ * @private
+ */
+Path.densify_ = function(points, count) {
+  var extra = count - points.length;
+  if (extra <= 0) {
+    return points.slice(0);
+  }
+
+  var lengths = [];
+  var total = 0;
+  for (var i = 1; i < points.length; i++) {
+    lengths.push(Path.distance_(points[i - 1], points[i]));
+    total += lengths[i - 1];
+  }
+
+  // Share the new points out by length, handing any left over by rounding
+  // to the segments with the largest remainders. With no length at all,
+  // share them evenly.
+  var shares = lengths.map(function(length, index) {
+    var exact = total === 0 ? extra / lengths.length : extra * length / total;
+    return {index: index, count: Math.floor(exact),
+      remainder: exact - Math.floor(exact)};
+  });
+  var given = shares.reduce(function(sum, share) {
+    return sum + share.count;
+  }, 0);
+  shares.slice(0).sort(function(s1, s2) {
+    return s2.remainder - s1.remainder || s1.index - s2.index;
+  }).slice(0, extra - given).forEach(function(share) {
+    share.count++;
+  });
+
+  var result = [points[0]];
+  for (i = 1; i < points.length; i++) {
+    var a = points[i - 1];
+    var b = points[i];
+    var n = shares[i - 1].count + 1;
+    for (var k = 1; k < n; k++) {
+      result.push([a[0] + (b[0] - a[0]) * k / n, a[1] + (b[1] - a[1]) * k / n]);
+    }
+    result.push(b);
+  }
+
+  return result;
+};
+
+
+/**
+ * Returns a new Path part way between two paths, suitable for animating a
+ * morph from one to the other. At t of 0 the result matches a and at t of 1
+ * it matches b. The paths are first given equal numbers of points by adding
+ * points along the one with fewer, keeping its corners. When both paths are
+ * closed, b's ring is also turned to run the same way as a's and started at
+ * the vertex which best lines up with a's first point, so the morph doesn't
+ * twist or spin. The result is closed only when both paths are.
+ * @param {Path} a The path at t of 0.
+ * @param {Path} b The path at t of 1.
+ * @param {Number} t The position between the paths, from 0 to 1.
+ * @return {Path} A new path between a and b.
+ */
+Path.interpolate = function(a, b, t) {
+  var closed = a.isClosed() && b.isClosed();
+  var from = Array.prototype.slice.call(a);
+  var to = Array.prototype.slice.call(b);
+  var i;
+
+  if (closed && a.getArea() * b.getArea() < 0) {
+    to.reverse();
+  }
+
+  var count = Math.max(from.length, to.length);
+  from = Path.densify_(from, count);
+  to = Path.densify_(to, count);
+
+  if (closed) {
+    // Work with the rings less their closing points, find the rotation of
+    // b's ring which best matches a's, then close both again.
+    from.pop();
+    to.pop();
+
+    var len = to.length;
+    var best = 0;
+    var bestCost = Infinity;
+    for (var offset = 0; offset < len; offset++) {
+      var cost = 0;
+      for (i = 0; i < len && cost < bestCost; i++) {
+        var p = from[i];
+        var q = to[(i + offset) % len];
+        cost += (p[0] - q[0]) * (p[0] - q[0]) + (p[1] - q[1]) * (p[1] - q[1]);
+      }
+      if (cost < bestCost) {
+        bestCost = cost;
+        best = offset;
+      }
+    }
+
+    to = to.slice(best).concat(to.slice(0, best));
+    from.push(from[0]);
+    to.push(to[0]);
+  }
+
+  return new Path(from.map(function(p, index) {
+    var q = to[index];
+    return [p[0] + (q[0] - p[0]) * t, p[1] + (q[1] - p[1]) * t];
+  }), {closed: closed});
+};
+
+// ------------------------------------------------------------------------
+// Path Interchange
+// ------------------------------------------------------------------------
+
+// Other formats describe shapes by their points alone, so curves and arcs
+// are exchanged as the straight segments between their end points. An open
+// path becomes a LineString and a closed path a single ring Polygon, whose
+// last point repeats its first as both GeoJSON and WKT require. Both also
+// require a ring of at least four positions, so a closed path with fewer
+// than three distinct points, which encloses nothing, is written as a
+// LineString instead. Coordinates beyond x and y, such as altitude, are
+// dropped on the way in.
+
+
+/**
+ * Returns the points to write for a path in other formats, and whether they
+ * form a valid ring: one of at least four positions, at least three of them
+ * distinct, whose last position repeats its first. The closing position is
+ * appended when a closed path's points don't already end with it.
+ * @param {Path} path The path to write.
+ * @return {Object} An object with the keys points, the points to write,
+ *     and ring, true if they form a valid ring.
+ * @private
+ */
+Path.interchangePoints_ = function(path) {
+  var points = Array.prototype.slice.call(path);
+
+  if (!path.isClosed()) {
+    return {points: points, ring: false};
+  }
+
+  if (!Path.isClosing_(points)) {
+    points.push(points[0]);
+  }
+
+  var distinct = new Set(points.map(function(point) {
+    return point[0] + ',' + point[1];
+  }));
+
+  return {points: points, ring: points.length >= 4 && distinct.size >= 3};
+};
+
+
+/**
+ * Creates a new Path from a GeoJSON LineString or Polygon geometry, or a
+ * Feature with one as its geometry. A LineString produces an open path even
+ * if it returns to its start. A Polygon must have a single ring, since a
+ * Path can't represent holes, and produces a closed path.
+ * @param {Object} arg The GeoJSON geometry or Feature.
+ * @throws {PathSyntaxError} If the argument isn't a suitable geometry.
+ * @return {Path} A new path matching the geometry.
+ */
+Path.fromGeoJSON = function(arg) {
+  var geometry = arg && arg.type === 'Feature' ? arg.geometry : arg;
+  var type = geometry && geometry.type;
+  var coordinates = geometry && geometry.coordinates;
+
+  if (type === 'Polygon') {
+    if (!Array.isArray(coordinates) || coordinates.length !== 1) {
+      Path.invalidPath(arg, PathSyntaxError.INVALID_GEOMETRY,
+        {expected: 'Polygon with a single ring'});
+    }
+    coordinates = coordinates[0];
+  } else if (type !== 'LineString') {
+    Path.invalidPath(arg, PathSyntaxError.INVALID_GEOMETRY,
+      {expected: 'LineString or Polygon'});
+  }
+
+  if (!Array.isArray(coordinates)) {
+    Path.invalidPath(arg, PathSyntaxError.INVALID_GEOMETRY,
+      {expected: 'coordinates'});
+  }
+
+  var path = new Path(coordinates.map(function(item) {
+    return Array.isArray(item) ? item.slice(0, 2) : item;
+  }));
+
+  return type === 'Polygon' ? path.close() : path.open();
+};
+
+
+/**
+ * Creates a new Path from WKT (Well-Known Text) for a LINESTRING or a
+ * POLYGON with a single ring, such as 'LINESTRING (30 10, 10 30, 40 40)'.
+ * Geometries with Z or M coordinates are accepted, keeping only x and y.
+ * @param {string} arg The WKT string to parse.
+ * @throws {PathSyntaxError} If the argument isn't suitable WKT.
+ * @return {Path} A new path matching the WKT.
+ */
+Path.fromWKT = function(arg) {
+  if (typeof arg !== 'string') {
+    Path.invalidPath(arg, PathSyntaxError.INVALID_INPUT);
+  }
+
+  var len = arg.length;
+  var pos = 0;
+
+  var fail = function(expected) {
+    Path.invalidPath(arg, PathSyntaxError.INVALID_GEOMETRY,
+      {offset: pos, expected: expected});
+  };
+
+  var skip = function() {
+    while (pos < len && Path.WHITESPACE.indexOf(arg.charAt(pos)) !== -1) {
+      pos++;
+    }
+  };
+
+  var expect = function(ch) {
+    skip();
+    if (arg.charAt(pos) !== ch) {
+      fail('\'' + ch + '\'');
+    }
+    pos++;
+  };
+
+  // Reads a parenthesized list of comma separated points, each being two
+  // or more numbers separated by whitespace.
+  var readPoints = function() {
+    var points = [];
+    expect('(');
+    do {
+      var coords = [];
+      skip();
+      Path.NUMBER_REGEX.lastIndex = pos;
+      var match = Path.NUMBER_REGEX.exec(arg);
+      while (match && match.index === pos) {
+        coords.push(parseFloat(match[0]));
+        pos += match[0].length;
+        skip();
+        Path.NUMBER_REGEX.lastIndex = pos;
+        match = Path.NUMBER_REGEX.exec(arg);
+      }
+      if (coords.length < 2) {
+        fail('coordinates');
+      }
+      points.push(coords.slice(0, 2));
+    } while (arg.charAt(pos) === ',' && ++pos);
+    expect(')');
+    return points;
+  };
+
+  skip();
+  var header = /^(LINESTRING|POLYGON)\s*(?:ZM|Z|M)?/i.exec(arg.slice(pos));
+  if (!header) {
+    fail('LINESTRING or POLYGON');
+  }
+  pos += header[0].length;
+
+  var polygon = header[1].toUpperCase() === 'POLYGON';
+  var points;
+  if (polygon) {
+    expect('(');
+    points = readPoints();
+    skip();
+    if (arg.charAt(pos) === ',') {
+      fail('POLYGON with a single ring');
+    }
+    expect(')');
+  } else {
+    points = readPoints();
+  }
+
+  skip();
+  if (pos < len) {
+    fail('end of input');
+  }
+
+  var path = new Path(points);
+
+  return polygon ? path.close() : path.open();
+};
+
+
+/**
+ * Creates a new Path from the structure produced by Path.prototype.toJSON,
+ * or a JSON string of it.
+ * @param {Object|string} arg The structure, or JSON text for it.
+ * @throws {SyntaxError} If a string argument isn't valid JSON.
+ * @throws {PathSyntaxError} If the structure doesn't describe a path.
+ * @return {Path} A new path matching the structure.
+ */
+Path.fromJSON = function(arg) {
+  var data = typeof arg === 'string' ? JSON.parse(arg) : arg;
+
+  if (!data || data.type !== 'Path' || typeof data.d !== 'string') {
+    Path.invalidPath(arg, PathSyntaxError.INVALID_GEOMETRY,
+      {expected: 'object of the form {type: \'Path\', d: string}'});
+  }
+
+  return new Path(data.d);
+};
+
+
+/**
+ * Returns a GeoJSON geometry for the receiver: a LineString when open, or a
+ * Polygon with a single ring when closed. A closed path too degenerate to
+ * make a valid ring produces a LineString.
+ * @return {Object} The GeoJSON geometry.
+ */
+Path.prototype.toGeoJSON = function() {
+  var result = Path.interchangePoints_(this);
+  var coordinates = result.points.map(function(point) {
+    return point.slice(0);
+  });
+
+  if (result.ring) {
+    return {type: 'Polygon', coordinates: [coordinates]};
+  }
+
+  return {type: 'LineString', coordinates: coordinates};
+};
+
+
+/**
+ * Returns the structure JSON.stringify uses for the receiver, of the form
+ * {type: 'Path', d: string} where d is the path's string form. This keeps
+ * the path's curves, relative commands and closed state, which its points
+ * alone would lose. Use Path.fromJSON to recreate the path.
+ * @return {Object} The JSON structure for the path.
+ */
+Path.prototype.toJSON = function() {
+  return {type: 'Path', d: this.toString()};
+};
+
+
+/**
+ * Returns WKT (Well-Known Text) for the receiver: a LINESTRING when open, or
+ * a POLYGON with a single ring when closed. A closed path too degenerate to
+ * make a valid ring produces a LINESTRING.
+ * @param {Object} options Optional output settings. Supported keys are:
+ *     precision: the number of decimal places to round coordinates to.
+ * @return {string} The WKT string.
+ */
+Path.prototype.toWKT = function(options) {
+  var precision = options ? options.precision : undefined;
+  var result = Path.interchangePoints_(this);
+
+  var points = result.points.map(function(point) {
+    return Path.formatNumber(point[0], precision) + ' ' +
+      Path.formatNumber(point[1], precision);
+  }).join(', ');
+
+  if (result.ring) {
+    return 'POLYGON ((' + points + '))';
+  }
+
+  return 'LINESTRING (' + points + ')';
+};
+
+// ------------------------------------------------------------------------
+// Path Elements
+// ------------------------------------------------------------------------
+
+// These functions only rely on getAttribute, setAttribute and
+// createElementNS, so they work with any DOM implementation, or stand-in,
+// providing those. An element's transform and styling are not considered.
+
+
+/**
+ * The SVG namespace, in which new path elements are created.
+ * @type {string}
+ */
+Path.SVG_NS = 'http://www.w3.org/2000/svg';
+
+
+/**
+ * Reads a numeric attribute of an SVG element, which defaults to zero when
+ * absent. Units such as px are ignored.
+ * @param {Element} element The element to read from.
+ * @param {string} name The attribute name.
+ * @throws {PathSyntaxError} If the attribute isn't numeric.
+ * @return {Number} The attribute's value.
+ * @private
+ */
+Path.numericAttribute_ = function(element, name) {
+  var value = element.getAttribute(name);
+  if (value === null || value === '') {
+    return 0;
+  }
+
+  var number = parseFloat(value);
+  if (!isFinite(number)) {
+    Path.invalidPath(element, PathSyntaxError.INVALID_ELEMENT,
+      {expected: 'number for ' + name});
+  }
+
+  return number;
+};
+
+
+/**
+ * Parses the points attribute of a polyline or polygon element, a list of
+ * coordinates separated by commas and/or whitespace, into a point array.
+ * @param {Element} element The element to read from.
+ * @throws {PathSyntaxError} If the attribute isn't a list of coordinates.
+ * @return {Array.<Array>} The points.
+ * @private
+ */
+Path.pointsAttribute_ = function(element) {
+  var value = element.getAttribute('points') || '';
+  var numbers = value.match(Path.NUMBER_REGEX) || [];
+
+  // Anything other than numbers and separators, or an unpaired coordinate,
+  // makes the attribute invalid.
+  if (/[^\s,]/.test(value.replace(Path.NUMBER_REGEX, ' ')) ||
+      numbers.length % 2 !== 0) {
+    Path.invalidPath(element, PathSyntaxError.INVALID_ELEMENT,
+      {expected: 'pairs of coordinates for points'});
+  }
+
+  var points = [];
+  for (var i = 0; i < numbers.length; i += 2) {
+    points.push([parseFloat(numbers[i]), parseFloat(numbers[i + 1])]);
+  }
+
+  var error = Path.checkPointArray(points);
+  if (error) {
+    throw error;
+  }
+
+  return points;
+};
+
+
+/**
+ * Returns the commands drawing an SVG rect element, per the equivalent path
+ * given by the SVG specification. Rounded corners are drawn with arcs, with
+ * a missing rx or ry taking the other's value and both limited to half the
+ * rectangle's size.
+ * @param {Element} element The rect element.
+ * @throws {PathSyntaxError} If the width or height is negative, which SVG
+ *     treats as an error.
+ * @return {Array.<Object>} The rect's command list.
+ * @private
+ */
+Path.rectCommands_ = function(element) {
+  var x = Path.numericAttribute_(element, 'x');
+  var y = Path.numericAttribute_(element, 'y');
+  var width = Path.numericAttribute_(element, 'width');
+  var height = Path.numericAttribute_(element, 'height');
+
+  if (width < 0 || height < 0) {
+    Path.invalidPath(element, PathSyntaxError.INVALID_ELEMENT,
+      {expected: 'non-negative width and height'});
+  }
+  var rx = element.getAttribute('rx');
+  var ry = element.getAttribute('ry');
+
+  rx = rx === null ? ry : rx;
+  ry = ry === null ? rx : ry;
+  rx = Math.min(Math.abs(parseFloat(rx) || 0), width / 2);
+  ry = Math.min(Math.abs(parseFloat(ry) || 0), height / 2);
+
+  var right = x + width;
+  var bottom = y + height;
+
+  if (!rx || !ry) {
+    return [
+      {command: 'M', args: [x, y]},
+      {command: 'H', args: [right]},
+      {command: 'V', args: [bottom]},
+      {command: 'H', args: [x]},
+      {command: 'Z', args: []}
+    ];
+  }
+
+  var corner = function(cx, cy) {
+    return {command: 'A', args: [rx, ry, 0, 0, 1, cx, cy]};
+  };
+
+  return [
+    {command: 'M', args: [x + rx, y]},
+    {command: 'H', args: [right - rx]},
+    corner(right, y + ry),
+    {command: 'V', args: [bottom - ry]},
+    corner(right - rx, bottom),
+    {command: 'H', args: [x + rx]},
+    corner(x, bottom - ry),
+    {command: 'V', args: [y + ry]},
+    corner(x + rx, y),
+    {command: 'Z', args: []}
+  ];
+};
+
+
+/**
+ * Creates a new Path equivalent to an SVG shape element. Supported elements
+ * are path, which uses its d attribute, polyline and polygon, which use their
+ * points, line, and rect, including rounded corners. A polygon or rect
+ * produces a closed path.
+ * @param {Element} element The SVG element to read.
+ * @throws {PathSyntaxError} If the element isn't supported or doesn't
+ *     describe a valid path.
+ * @return {Path} A new path equivalent to the element.
+ */
+Path.fromElement = function(element) {
+  var name = element && (element.localName || element.tagName);
+  name = typeof name === 'string' ? name.replace(/^.*:/, '').toLowerCase() :
+    '';
+
+  switch (name) {
+    case 'path':
+      var d = element.getAttribute('d');
+      if (!d) {
+        Path.invalidPath(element, PathSyntaxError.INVALID_ELEMENT,
+          {expected: 'd attribute'});
+      }
+      return new Path(d);
+    case 'polyline':
+    case 'polygon':
+      var points = Path.pointsAttribute_(element);
+      return new Path(Path.pointArrayAsPath(points,
+        {closed: name === 'polygon'}));
+    case 'line':
+      return new Path(Path.commandsAsPath([
+        {command: 'M', args: [Path.numericAttribute_(element, 'x1'),
+          Path.numericAttribute_(element, 'y1')]},
+        {command: 'L', args: [Path.numericAttribute_(element, 'x2'),
+          Path.numericAttribute_(element, 'y2')]}
+      ]));
+    case 'rect':
+      return new Path(Path.commandsAsPath(Path.rectCommands_(element)));
+    default:
+      Path.invalidPath(element, PathSyntaxError.INVALID_ELEMENT,
+        {expected: 'path, polyline, polygon, line or rect'});
+  }
+};
+
+
+/**
+ * Sets the d attribute of an SVG path element to the receiver's string form.
+ * @param {Element} element The path element to update.
+ * @param {Object} options Optional output settings, as for toString.
+ * @return {Element} The element.
+ */
+Path.prototype.applyTo = function(element, options) {
+  element.setAttribute('d', this.toString(options));
+
+  return element;
+};
+
+
+/**
+ * Creates a new SVG path element drawing the receiver.
+ * @param {Document} doc The document to create the element with. Default is
+ *     the global document.
+ * @param {Object} options Optional output settings, as for toString.
+ * @return {Element} The new path element.
+ */
+Path.prototype.toElement = function(doc, options) {
+  doc = doc || document;
+
+  return this.applyTo(doc.createElementNS(Path.SVG_NS, 'path'), options);
+};
+
+// ------------------------------------------------------------------------
+// Path Canvas Rendering
+// ------------------------------------------------------------------------
+
+/**
+ * Adds an SVG elliptical arc to a canvas context as an ellipse segment,
+ * converting the arc's end points to the center, radii and angles the
+ * canvas takes as described in the SVG implementation notes. As in SVG, an
+ * arc with a zero radius is drawn as a straight line, radii too small to
+ * reach the end point are scaled up until they do, and an arc ending where
+ * it starts is omitted.
+ * @param {CanvasRenderingContext2D} ctx The context to draw to.
+ * @param {Array.<Number>} from The arc's start point.
+ * @param {Array.<Number>} args The arc command's arguments, absolute.
+ * @private
+ */
+Path.drawArc_ = function(ctx, from, args) {
+  var x = args[5];
+  var y = args[6];
+  var rx = Math.abs(args[0]);
+  var ry = Math.abs(args[1]);
+
+  if (from[0] === x && from[1] === y) {
+    return;
+  }
+  if (rx === 0 || ry === 0) {
+    ctx.lineTo(x, y);
+    return;
+  }
+
+  var phi = args[2] * Math.PI / 180;
+  var cos = Math.cos(phi);
+  var sin = Math.sin(phi);
+  var sweep = args[4] !== 0;
+
+  // The start point relative to the chord's midpoint, unrotated.
+  var hx = (from[0] - x) / 2;
+  var hy = (from[1] - y) / 2;
+  var px = cos * hx + sin * hy;
+  var py = -sin * hx + cos * hy;
+
+  var scale = px * px / (rx * rx) + py * py / (ry * ry);
+  if (scale > 1) {
+    rx *= Math.sqrt(scale);
+    ry *= Math.sqrt(scale);
+  }
+
+  // The center, again relative to the chord's midpoint and unrotated.
+  var num = rx * rx * ry * ry - rx * rx * py * py - ry * ry * px * px;
+  var den = rx * rx * py * py + ry * ry * px * px;
+  var coef = (args[3] !== 0 === sweep ? -1 : 1) *
+    Math.sqrt(Math.max(0, num / den));
+  var qx = coef * rx * py / ry;
+  var qy = -coef * ry * px / rx;
+
+  var cx = cos * qx - sin * qy + (from[0] + x) / 2;
+  var cy = sin * qx + cos * qy + (from[1] + y) / 2;
+  var start = Math.atan2((py - qy) / ry, (px - qx) / rx);
+  var delta = Math.atan2((-py - qy) / ry, (-px - qx) / rx) - start;
+
+  if (!sweep && delta > 0) {
+    delta -= 2 * Math.PI;
+  } else if (sweep && delta < 0) {
+    delta += 2 * Math.PI;
+  }
+
+  ctx.ellipse(cx, cy, rx, ry, phi, start, start + delta, !sweep);
+};
+
+
+/**
+ * Adds the receiver to a canvas 2D context's current path, or to anything
+ * else providing the same path methods such as a Path2D. The path is drawn
+ * from its commands, so lineto commands are drawn with lineTo, curves with
+ * bezierCurveTo or quadraticCurveTo, arcs with ellipse and a closepath with
+ * closePath. The caller remains responsible for beginPath and for stroking
+ * or filling.
+ * @param {CanvasRenderingContext2D} ctx The context to draw to.
+ * @return {CanvasRenderingContext2D} The context.
+ */
+Path.prototype.drawTo = function(ctx) {
+  var commands = this.getCommands();
+  var points = Path.commandsAsPointArray(commands);
+
+  // The last control point of the previous curve, which smooth curves
+  // reflect through the current point for their first.
+  var control = null;
+  var previous = '';
+
+  commands.forEach(function(item, index) {
+    var letter = item.command.toUpperCase();
+    var current = index > 0 ? points[index - 1] : [0, 0];
+    var end = points[index];
+    var args = item.command !== letter ?
+      Path.offsetArgs_(letter, item.args, current, 1) : item.args;
+
+    var smooth = (letter === 'S' && /[CS]/.test(previous)) ||
+      (letter === 'T' && /[QT]/.test(previous));
+    var reflected = smooth ?
+      [2 * current[0] - control[0], 2 * current[1] - control[1]] :
+      current;
+    control = null;
+
+    switch (letter) {
+      case 'M':
+        ctx.moveTo(end[0], end[1]);
+        break;
+      case 'C':
+        ctx.bezierCurveTo(args[0], args[1], args[2], args[3], end[0], end[1]);
+        control = [args[2], args[3]];
+        break;
+      case 'S':
+        ctx.bezierCurveTo(reflected[0], reflected[1], args[0], args[1],
+          end[0], end[1]);
+        control = [args[0], args[1]];
+        break;
+      case 'Q':
+        ctx.quadraticCurveTo(args[0], args[1], end[0], end[1]);
+        control = [args[0], args[1]];
+        break;
+      case 'T':
+        ctx.quadraticCurveTo(reflected[0], reflected[1], end[0], end[1]);
+        control = reflected;
+        break;
+      case 'A':
+        Path.drawArc_(ctx, current, args);
+        break;
+      case 'Z':
+        ctx.closePath();
+        break;
+      default:
+        ctx.lineTo(end[0], end[1]);
+        break;
+    }
+
+    previous = letter;
+  });
+
+  return ctx;
+};
+
+
+/**
+ * Returns a new Path2D object drawing the receiver, for use with a canvas
+ * context's stroke, fill and isPointInPath. Path2D parses the receiver's
+ * string form itself, so curves and arcs are drawn exactly as in SVG.
+ * @return {Path2D} A new Path2D, or null where the platform lacks Path2D.
+ */
+Path.prototype.toPath2D = function() {
+  if (typeof Path2D !== 'function') {
+    return null;
+  }
+
+  return new Path2D(this.toString());
+};
+
+// ------------------------------------------------------------------------
+// Path Comparison
+// ------------------------------------------------------------------------
+
+/**
+ * Returns the ways the points of a path of n distinct points may be lined
+ * up against another's under the options given, each as [offset, step]:
+ * the other's point (offset + step * i) mod n is matched with point i.
+ * @param {Number} n The number of distinct points.
+ * @param {Boolean} closed True if the paths are closed.
+ * @param {Object} options Optional settings, as for Path.prototype.equals.
+ * @return {Array.<Array.<Number>>} The alignments to try.
+ * @private
+ */
+Path.alignments_ = function(n, closed, options) {
+  var ignoreStart = closed && options && options.ignoreStart;
+  var ignoreDirection = options && options.ignoreDirection;
+  var alignments = [];
+
+  for (var offset = 0; offset < (ignoreStart ? n : 1); offset++) {
+    alignments.push([offset, 1]);
+
+    // Reversing a ring keeps its start, reversing an open path swaps ends.
+    if (ignoreDirection) {
+      alignments.push([closed ? offset : n - 1, -1]);
+    }
+  }
+
+  return alignments;
+};
+
+
+/**
+ * Returns the distinct points of a path: all of them for an open path, but
+ * for a closed path all but the last, which repeats the first.
+ * @param {Path} path The path.
+ * @return {Array.<Array>} The path's distinct points.
+ * @private
+ */
+Path.distinctPoints_ = function(path) {
+  var points = Array.prototype.slice.call(path);
+  if (path.closed) {
+    points.pop();
+  }
+
+  return points;
+};
+
+
+/**
+ * Returns true if the receiver and the path provided are the same shape:
+ * both open or both closed, with the same points in the same order. Like
+ * the measurement functions only the points are compared, so paths drawn
+ * with different commands, such as relative rather than absolute ones,
+ * can be equal. By default the points must match exactly, but options can
+ * relax this.
+ * @param {Path|Array.<Array>} other The path to compare with. A point array
+ *     is compared as the Path it would produce.
+ * @param {Object} options Optional settings. Supported keys are:
+ *     tolerance: the distance by which matching points may differ.
+ *     ignoreStart: true if closed paths which begin at different points of
+ *         the same ring are equal.
+ *     ignoreDirection: true if paths with their points in reverse order are
+ *         equal.
+ * @return {Boolean} True if the paths are equal.
+ */
+Path.prototype.equals = function(other, options) {
+  if (!(other instanceof Path)) {
+    if (!Path.isPointArray(other)) {
+      return false;
+    }
+    other = new Path(other);
+  }
+
+  var closed = this.closed;
+  if (closed !== other.closed || this.length !== other.length) {
+    return false;
+  }
+
+  var tolerance = (options && options.tolerance) || 0;
+  var mine = Path.distinctPoints_(this);
+  var theirs = Path.distinctPoints_(other);
+  var n = mine.length;
+
+  var same = function(a, b) {
+    return tolerance ? Path.distance_(a, b) <= tolerance :
+      a[0] === b[0] && a[1] === b[1];
+  };
+
+  return Path.alignments_(n, closed, options).some(function(alignment) {
+    for (var i = 0; i < n; i++) {
+      var j = ((alignment[0] + alignment[1] * i) % n + n) % n;
+      if (!same(mine[i], theirs[j])) {
+        return false;
+      }
+    }
+    return true;
+  });
+};
+
+
+/**
+ * Returns a hash of the receiver's shape, a string suitable for use as a
+ * cache key. Paths equal per Path.prototype.equals, given the same
+ * ignoreStart and ignoreDirection options, have the same hash. The hash is
+ * stable, so can be stored, but tolerance isn't supported since points
+ * within tolerance of each other may still hash differently.
+ * @param {Object} options Optional settings. Supported keys are
+ *     ignoreStart and ignoreDirection, as for Path.prototype.equals.
+ * @return {string} The hash, 16 hexadecimal digits.
+ */
+Path.prototype.hash = function(options) {
+  var closed = this.closed;
+  var points = Path.distinctPoints_(this);
+  var n = points.length;
+
+  // Compares two alignments' orderings of the points, by coordinates.
+  var order = function(a, b) {
+    for (var i = 0; i < n; i++) {
+      var p = points[((a[0] + a[1] * i) % n + n) % n];
+      var q = points[((b[0] + b[1] * i) % n + n) % n];
+      if (p[0] !== q[0] || p[1] !== q[1]) {
+        return p[0] !== q[0] ? p[0] - q[0] : p[1] - q[1];
+      }
+    }
+    return 0;
+  };
+
+  // Hash the least ordering, so each of the ways equal paths may be lined
+  // up against each other hashes alike.
+  var least = Path.alignments_(n, closed, options).reduce(function(a, b) {
+    return order(b, a) < 0 ? b : a;
+  });
+
+  // Two 32-bit FNV-1a style hashes with different primes, together making
+  // collisions between distinct shapes vanishingly rare.
+  var h1 = 0x811c9dc5;
+  var h2 = 0x811c9dc5;
+  var add = function(text) {
+    for (var i = 0; i < text.length; i++) {
+      h1 = Math.imul(h1 ^ text.charCodeAt(i), 0x01000193);
+      h2 = Math.imul(h2 ^ text.charCodeAt(i), 0x5bd1e995);
+    }
+  };
+
+  add(closed ? 'Z' : 'M');
+  for (var i = 0; i < n; i++) {
+    var point = points[((least[0] + least[1] * i) % n + n) % n];
+    add(point[0] + ',' + point[1] + ';');
+  }
+
+  return ('0000000' + (h1 >>> 0).toString(16)).slice(-8) +
+    ('0000000' + (h2 >>> 0).toString(16)).slice(-8);
+};
+
+// ------------------------------------------------------------------------
+// Path Differencing
+// ------------------------------------------------------------------------
+
+/**
+ * The largest table, in entries, Path.diff will build to find the longest
+ * common subsequence of two paths' points. Beyond this, differing runs of
+ * points are matched greedily instead, which may not be minimal.
+ * @type {Number}
+ */
+Path.DIFF_LIMIT = 4194304;
+
+
+/**
+ * Returns the list of operations which turn one path into another, for use
+ * with Path.prototype.patch. The operations are found from the longest
+ * common subsequence of the paths' points, so the points the paths share
+ * are kept and the list is as short as possible. Each operation is a plain
+ * object, so lists can be sent as JSON, and records the points it affects,
+ * so lists can be inverted with Path.invertDiff. Operations take one of the
+ * forms:
+ *
+ *     {op: 'insert', index: i, point: [x, y]}
+ *     {op: 'delete', index: i, point: [x, y]}
+ *     {op: 'move', index: i, from: [x, y], to: [x, y]}
+ *     {op: 'close'} or {op: 'open'}
+ *
+ * Indexes refer to the points as they stand when the operation is applied,
+ * after those preceding it in the list.
+ * @param {Path|Array.<Array>} a The path to start from.
+ * @param {Path|Array.<Array>} b The path to finish with.
+ * @throws {PathSyntaxError} If either argument isn't a valid path.
+ * @return {Array.<Object>} The operations turning a into b.
+ */
+Path.diff = function(a, b) {
+  a = a instanceof Path ? a : new Path(a);
+  b = b instanceof Path ? b : new Path(b);
+
+  var same = function(p, q) {
+    return p[0] === q[0] && p[1] === q[1];
+  };
+
+  // Points the paths share at either end needn't take part in the search.
+  var start = 0;
+  var endA = a.length;
+  var endB = b.length;
+  while (start < endA && start < endB && same(a[start], b[start])) {
+    start++;
+  }
+  while (endA > start && endB > start && same(a[endA - 1], b[endB - 1])) {
+    endA--;
+    endB--;
+  }
+
+  // The length of the longest common subsequence of a[i..] and b[j..], for
+  // each i and j, working back from the ends.
+  var rows = endA - start + 1;
+  var cols = endB - start + 1;
+  var table = rows * cols <= Path.DIFF_LIMIT ?
+    new Uint32Array(rows * cols) : null;
+  var lcs = function(i, j) {
+    return table ? table[(i - start) * cols + (j - start)] : 0;
+  };
+
+  for (var i = endA - 1; table && i >= start; i--) {
+    for (var j = endB - 1; j >= start; j--) {
+      table[(i - start) * cols + (j - start)] = same(a[i], b[j]) ?
+        lcs(i + 1, j + 1) + 1 :
+        Math.max(lcs(i + 1, j), lcs(i, j + 1));
+    }
+  }
+
+  // Walk forward through both paths, keeping common points. A point which
+  // can be replaced without losing any common points becomes a move, rather
+  // than a delete and an insert.
+  var ops = [];
+  var index = start;
+  i = start;
+  j = start;
+
+  while (i < endA || j < endB) {
+    if (i < endA && j < endB && same(a[i], b[j])) {
+      i++;
+      j++;
+      index++;
+    } else if (i < endA && j < endB && lcs(i + 1, j + 1) === lcs(i, j)) {
+      ops.push({op: 'move', index: index, from: a[i].slice(0),
+        to: b[j].slice(0)});
+      i++;
+      j++;
+      index++;
+    } else if (j < endB && (i === endA || lcs(i, j + 1) >= lcs(i + 1, j))) {
+      ops.push({op: 'insert', index: index, point: b[j].slice(0)});
+      j++;
+      index++;
+    } else {
+      ops.push({op: 'delete', index: index, point: a[i].slice(0)});
+      i++;
+    }
+  }
+
+  if (a.closed !== b.closed) {
+    ops.push({op: b.closed ? 'close' : 'open'});
+  }
+
+  return ops;
+};
+
+
+/**
+ * Returns the list of operations which undoes the one provided, so that
+ * patching a path with ops and then with Path.invertDiff(ops) restores it.
+ * @param {Array.<Object>} ops Operations as produced by Path.diff.
+ * @return {Array.<Object>} The inverse operations.
+ */
+Path.invertDiff = function(ops) {
+  var inverses = {insert: 'delete', delete: 'insert', close: 'open',
+    open: 'close'};
+
+  return ops.slice(0).reverse().map(function(op) {
+    var inverse = {op: inverses[op.op] || op.op};
+
+    if (op.op === 'move') {
+      inverse.index = op.index;
+      inverse.from = op.to.slice(0);
+      inverse.to = op.from.slice(0);
+    } else if (op.op === 'insert' || op.op === 'delete') {
+      inverse.index = op.index;
+      inverse.point = op.point.slice(0);
+    }
+
+    return inverse;
+  });
+};
+
+
+/**
+ * Returns a new Path made by applying the operations provided, as produced
+ * by Path.diff, to the receiver, which is left unchanged. The new path is a
+ * copy of the receiver, so a PackedPath is patched into a PackedPath. Each
+ * operation is checked against the points it affects, so a patch made from
+ * some other path is rejected rather than misapplied. A close operation on
+ * a path which doesn't end at its start adds a closing point, as close
+ * does.
+ * @param {Array.<Object>} ops The operations to apply.
+ * @throws {PathSyntaxError} If an operation is malformed or doesn't match
+ *     the path, or the result isn't a valid path.
+ * @return {Path} The patched path.
+ */
+Path.prototype.patch = function(ops) {
+  var path = this.clone();
+  var points = Array.prototype.slice.call(path);
+  var closed = path.closed;
+
+  if (!Array.isArray(ops)) {
+    Path.invalidPath(ops, PathSyntaxError.INVALID_PATCH,
+      {expected: 'array of operations'});
+  }
+
+  ops.forEach(function(op) {
+    var kind = op && op.op;
+    var index = op && op.index;
+    var point = kind === 'move' ? op.from : op && op.point;
+
+    if (kind === 'close' || kind === 'open') {
+      closed = kind === 'close';
+      return;
+    }
+
+    if (kind !== 'insert' && kind !== 'delete' && kind !== 'move') {
+      Path.invalidPath(ops, PathSyntaxError.INVALID_PATCH,
+        {expected: 'insert, delete, move, close or open operation'});
+    }
+
+    var last = kind === 'insert' ? points.length : points.length - 1;
+    if (typeof index !== 'number' || index % 1 !== 0 || index < 0 ||
+        index > last || !Path.isPoint_(point) ||
+        (kind === 'move' && !Path.isPoint_(op.to))) {
+      Path.invalidPath(ops, PathSyntaxError.INVALID_PATCH,
+        {expected: kind + ' with a point and an index within the path'});
+    }
+
+    if (kind !== 'insert' && (points[index][0] !== point[0] ||
+        points[index][1] !== point[1])) {
+      Path.invalidPath(ops, PathSyntaxError.INVALID_PATCH,
+        {expected: 'point ' + point.join(',') + ' at index ' + index});
+    }
+
+    if (kind === 'insert') {
+      points.splice(index, 0, point.slice(0));
+    } else if (kind === 'delete') {
+      points.splice(index, 1);
+    } else {
+      points[index] = op.to.slice(0);
+    }
+  });
+
+  return path.setPoints(points, closed);
+};
+
+// ========================================================================
+// PathParser Type Definition
+// ------------------------------------------------------------------------
+
+/**
+ * Constructs a new PathParser, which parses an SVG data path string handed
+ * to it in pieces. Very large path strings, such as the d attributes of CAD
+ * exports, can be parsed as they arrive this way, rather than held in memory
+ * whole and parsed in one go. Each command is passed to the callback as soon
+ * as it's complete, in the form Path.parse returns, or with the points
+ * option the point it ends at is passed instead.
+ *
+ * Pieces may be split anywhere, even part way through a number. Errors are
+ * raised by the write or end call which reveals them, positioned relative
+ * to the path string as a whole, and once raised are raised again by any
+ * further call.
+ * @param {Function(Object)} callback A function receiving each command, or
+ *     each point, in turn.
+ * @param {Object} options Optional settings. Supported keys are:
+ *     points: true to receive the absolute x,y point each command ends at
+ *         rather than the command itself.
+ * @constructor
+ */
+function PathParser(callback, options) {
+  this.callback_ = callback;
+  this.points_ = !!(options && options.points);
+
+  // The input not yet consumed, and where it falls in the path string.
+  this.text_ = '';
+  this.offset_ = 0;
+  this.line_ = 1;
+  this.column_ = 1;
+
+  // The state of the path so far.
+  this.count_ = 0;
+  this.drawn_ = false;
+  this.closed_ = false;
+  this.command_ = null;
+  this.current_ = [0, 0];
+  this.opener_ = null;
+
+  this.ended_ = false;
+  this.error_ = null;
+}
+
+
+/**
+ * Thrown within PathParser.prototype.scan_ when the input runs out part way
+ * through a command which more input may complete.
+ * @type {Object}
+ * @private
+ */
+PathParser.MORE_ = {};
+
+
+/**
+ * A regular expression matching the input left over after a number which
+ * more input might turn into part of that number, or the start of another.
+ * @type {RegExp}
+ * @private
+ */
+PathParser.PARTIAL_REGEX = /^(?:[+-]?\.?|[eE][+-]?)$/;
+
+
+/**
+ * Parses an SVG data path string supplied in pieces, as for PathParser, but
+ * yielding each command, or each point, rather than passing it to a
+ * callback. Commands are yielded as each piece completes them, so pieces
+ * which are read lazily, a file at a time for example, are never all held
+ * in memory at once.
+ * @param {Iterable.<string>|string} chunks The pieces of the path string, in
+ *     order. A string is taken as a single piece.
+ * @param {Object} options Optional settings, as for PathParser.
+ * @throws {PathSyntaxError} If the pieces don't form a valid path string.
+ * @return {Iterator.<Object>} An iterator over the commands or points.
+ */
+PathParser.iterate = function*(chunks, options) {
+  var queue = [];
+  var parser = new PathParser(function(item) {
+    queue.push(item);
+  }, options);
+
+  if (typeof chunks === 'string') {
+    chunks = [chunks];
+  }
+
+  for (var chunk of chunks) {
+    parser.write(chunk);
+    yield* queue;
+    queue.length = 0;
+  }
+
+  parser.end();
+  yield* queue;
+};
+
+
+/**
+ * Verifies a piece of input can be accepted.
+ * @param {string} chunk The piece of input.
+ * @throws {PathSyntaxError} If the piece isn't a string, or an earlier
+ *     piece was invalid.
+ * @throws {Error} If the parser has already ended.
+ * @private
+ */
+PathParser.prototype.check_ = function(chunk) {
+  if (this.error_) {
+    throw this.error_;
+  }
+  if (this.ended_) {
+    throw new Error('PathParser written to after end.');
+  }
+  if (typeof chunk !== 'string') {
+    Path.invalidPath(chunk, PathSyntaxError.INVALID_INPUT);
+  }
+};
+
+
+/**
+ * Drops input which has been parsed, noting how far into the path string
+ * the input which remains begins.
+ * @param {Number} pos The length of input parsed.
+ * @private
+ */
+PathParser.prototype.consume_ = function(pos) {
+
+  // A carriage return may begin a two character line break, so keep it
+  // with whatever follows.
+  if (pos > 0 && this.text_.charAt(pos - 1) === '\r') {
+    pos--;
+  }
+
+  var position = this.locate_(pos);
+  this.line_ = position.line;
+  this.column_ = position.column;
+  this.offset_ += pos;
+  this.text_ = this.text_.slice(pos);
+};
+
+
+/**
+ * Passes a parsed command to the callback, or the point it ends at.
+ * @param {string} letter The command's letter.
+ * @param {Array.<Number>} args The command's arguments.
+ * @private
+ */
+PathParser.prototype.emit_ = function(letter, args) {
+  this.count_++;
+
+  if (!this.points_) {
+    this.callback_({command: letter, args: args});
+    return;
+  }
+
+  this.current_ = Path.endPoint_(letter, args, this.current_, this.opener_);
+  this.opener_ = this.opener_ || this.current_;
+  this.callback_(this.current_.slice(0));
+};
+
+
+/**
+ * Signals the end of the input, parsing whatever remains.
+ * @param {string} chunk Optionally, a final piece of input.
+ * @throws {PathSyntaxError} If the input isn't a valid path string.
+ * @return {PathParser} The receiver.
+ */
+PathParser.prototype.end = function(chunk) {
+  this.check_(arguments.length ? chunk : '');
+  this.text_ += arguments.length ? chunk : '';
+  this.run_(true);
+  this.ended_ = true;
+
+  return this;
+};
+
+
+/**
+ * Raises an error for a problem at the given position in the input.
+ * @param {string} code One of the PathSyntaxError code constants.
+ * @param {Number} pos The position of the problem in the unconsumed input.
+ * @param {string} expected A description of what was expected.
+ * @throws {PathSyntaxError} The error describing the problem.
+ * @private
+ */
+PathParser.prototype.fail_ = function(code, pos, expected) {
+  var position = this.locate_(pos);
+
+  Path.invalidPath(this.text_, code, {
+    offset: this.offset_ + pos,
+    line: position.line,
+    column: position.column,
+    expected: expected
+  });
+};
+
+
+/**
+ * Returns the 1-based line and column of a position in the input.
+ * @param {Number} pos The position in the unconsumed input.
+ * @return {Object} An object with the keys line and column.
+ * @private
+ */
+PathParser.prototype.locate_ = function(pos) {
+  var lines = this.text_.slice(0, pos).split(/\r\n|\r|\n/);
+  var last = lines[lines.length - 1].length;
+
+  return lines.length > 1 ?
+    {line: this.line_ + lines.length - 1, column: last + 1} :
+    {line: this.line_, column: this.column_ + last};
+};
+
+
+/**
+ * Parses as much of the input as possible, dropping what was parsed. Any
+ * error is kept so that later calls raise it again.
+ * @param {Boolean} final True if no more input will follow.
+ * @throws {PathSyntaxError} If the input isn't a valid path string.
+ * @private
+ */
+PathParser.prototype.run_ = function(final) {
+  try {
+    this.consume_(this.scan_(final));
+  } catch (e) {
+    this.error_ = e;
+    throw e;
+  }
+};
+
+
+/**
+ * Parses the commands in the unconsumed input, emitting each. Unless the
+ * input is final, parsing stops at a command the input ends part way
+ * through, which is left to be parsed once more input arrives.
+ *
+ * The full SVG 1.1 grammar is accepted, but the path must be connected, as
+ * described for Path.parse.
+ * @param {Boolean} final True if no more input will follow.
+ * @throws {PathSyntaxError} If the input isn't a valid path string.
+ * @return {Number} The length of input parsed.
+ * @private
+ */
+PathParser.prototype.scan_ = function(final) {
+  var parser = this;
+  var arg = this.text_;
+  var len = arg.length;
+  var pos = 0;
+
+  // Stops parsing when the input runs out, unless no more will follow.
+  var more = function() {
+    if (!final) {
+      throw PathParser.MORE_;
+    }
+  };
+
+  // Advances past any whitespace, and optionally a single comma along with
+  // the whitespace which follows it. Returns true if a comma was consumed.
+  var skip = function(comma) {
+    while (pos < len && Path.WHITESPACE.indexOf(arg.charAt(pos)) !== -1) {
+      pos++;
+    }
+    if (comma && arg.charAt(pos) === ',') {
+      pos++;
+      skip(false);
+      return true;
+    }
+    return false;
+  };
+
+  // Reports a missing value at the current position, distinguishing input
+  // which simply ran out from input containing something unexpected.
+  var missing = function(code, expected) {
+    if (pos >= len) {
+      more();
+    }
+    parser.fail_(pos < len ? code : PathSyntaxError.UNEXPECTED_END, pos,
+      expected);
+  };
+
+  // Reads a number at the current position, failing if there isn't one. A
+  // number the input ends part way through, such as '1.' or '1e', may yet
+  // be completed, so waits for more input.
+  var readNumber = function() {
+    Path.NUMBER_REGEX.lastIndex = pos;
+    var match = Path.NUMBER_REGEX.exec(arg);
+    var end = match && match.index === pos ? pos + match[0].length : pos;
+    if (len - end < 3 && PathParser.PARTIAL_REGEX.test(arg.slice(end))) {
+      more();
+    }
+    if (end === pos) {
+      missing(PathSyntaxError.EXPECTED_NUMBER, 'number');
+    }
+    pos = end;
+    return parseFloat(match[0]);
+  };
+
+  // Arc flags are a single 0 or 1 and need no separator from what follows,
+  // so 'a10 10 0 01 20 20' is legal and must not be read as a number.
+  var readFlag = function() {
+    var ch = arg.charAt(pos);
+    if (ch !== '0' && ch !== '1') {
+      missing(PathSyntaxError.EXPECTED_FLAG, 'flag (0 or 1)');
+    }
+    pos++;
+    return ch === '1' ? 1 : 0;
+  };
+
+  // True when the current position begins a number, signaling an implicit
+  // repetition of the current command.
+  var atNumber = function() {
+    if (pos >= len) {
+      more();
+    }
+    return pos < len && '+-.0123456789'.indexOf(arg.charAt(pos)) !== -1;
+  };
+
+  var start = 0;
+
+  try {
+    for (;;) {
+      start = pos;
+      var command = null;
+
+      // Following a command other than closepath its arguments may repeat,
+      // optionally separated by a comma, but only when a repetition follows.
+      if (this.command_) {
+        if (skip(true) && !atNumber()) {
+          missing(PathSyntaxError.EXPECTED_NUMBER, 'number');
+        }
+        command = atNumber() ? this.command_ : null;
+      } else {
+        skip(false);
+      }
+
+      if (!command) {
+        if (pos >= len) {
+          more();
+          break;
+        }
+
+        var letter = arg.charAt(pos);
+        var expected = this.count_ ? 'command' : 'moveto';
+
+        if (this.closed_) {
+          this.fail_(PathSyntaxError.CLOSEPATH_NOT_LAST, pos, 'end of path');
+        }
+        if (!Path.COMMAND_ARITY.hasOwnProperty(letter.toUpperCase())) {
+          this.fail_(PathSyntaxError.UNKNOWN_COMMAND, pos, expected);
+        }
+
+        // The path must be connected: one moveto, and it must come first.
+        if ((this.count_ === 0) !== (letter.toUpperCase() === 'M')) {
+          this.fail_(PathSyntaxError.MOVETO_NOT_FIRST, pos, expected);
+        }
+
+        pos++;
+        skip(false);
+
+        if (letter.toUpperCase() === 'Z') {
+          this.emit_(letter, []);
+          this.closed_ = true;
+          this.command_ = null;
+          continue;
+        }
+
+        command = letter;
+      }
+
+      var upper = command.toUpperCase();
+      var arity = Path.COMMAND_ARITY[upper];
+      var args = [];
+      for (var i = 0; i < arity; i++) {
+        if (i > 0) {
+          skip(true);
+        }
+        args.push(upper === 'A' && (i === 3 || i === 4) ?
+          readFlag() : readNumber());
+      }
+
+      this.emit_(command, args);
+      this.drawn_ = this.drawn_ || this.count_ === 2;
+
+      // Additional pairs following a moveto are treated as lineto commands.
+      if (upper === 'M') {
+        command = command === 'm' ? 'l' : 'L';
+      }
+      this.command_ = command;
+    }
+  } catch (e) {
+    if (e !== PathParser.MORE_) {
+      throw e;
+    }
+    return start;
+  }
+
+  // A moveto alone, or a moveto with only a closepath, isn't a "path".
+  // Empty input fails here as well, lacking even the moveto.
+  if (this.count_ === 0) {
+    this.fail_(PathSyntaxError.UNEXPECTED_END, pos, 'moveto');
+  }
+  if (!this.drawn_) {
+    this.fail_(PathSyntaxError.TOO_FEW_POINTS, pos, 'drawing command');
+  }
+
+  return pos;
+};
+
+
+/**
+ * Supplies the next piece of input, parsing every command it completes.
+ * @param {string} chunk The piece of input.
+ * @throws {PathSyntaxError} If the input so far isn't the beginning of a
+ *     valid path string.
+ * @return {PathParser} The receiver.
+ */
+PathParser.prototype.write = function(chunk) {
+  this.check_(chunk);
+  this.text_ += chunk;
+  this.run_(false);
+
+  return this;
+};
+
+// ========================================================================
+// PackedPath Type Definition
+// ------------------------------------------------------------------------
+
+/**
+ * Constructs a new PackedPath, a Path whose coordinates are stored in a
+ * single typed array rather than an array per point, for paths too large
+ * for that to be practical. A PackedPath is a Path and an Array like any
+ * other, but reading path[i] returns a new [x, y] array built from the
+ * stored coordinates, so editing that array in place doesn't affect the
+ * path. Assign path[i] a new point instead. Building that array costs an
+ * allocation per read, so loops over many points should read coordinates
+ * with getX and getY, or from getCoordinates, instead.
+ *
+ * Packed paths store their points alone, so like the measurement functions
+ * they treat curves and arcs as the straight segments between their end
+ * points, and their string form is written with absolute lineto commands.
+ * Methods returning new paths, such as map and slice, return ordinary Paths.
+ * @param {string|Array.<Array>|Float64Array|Int32Array} arg A path string,
+ *     an array of x,y pairs, or a typed array of coordinates in x,y order.
+ * @param {Object} options Optional settings. Supported keys are:
+ *     type: Float64Array (the default) or Int32Array, the storage type.
+ *         Int32Array storage takes four bytes per coordinate rather than
+ *         eight, halving the coordinate storage, but requires integer
+ *         coordinates.
+ *     closed: whether the path is closed, for point and coordinate arrays,
+ *         see Path.prototype.setPoints.
+ * @throws {PathSyntaxError} If the input isn't a valid path.
+ * @throws {TypeError} If the storage type isn't supported.
+ * @constructor
+ * @extends {Path}
+ */
+class PackedPath extends Path {
+
+  constructor(arg, options) {
+    var type = (options && options.type) || Float64Array;
+    if (type !== Float64Array && type !== Int32Array) {
+      throw new TypeError('PackedPath storage must be a Float64Array or ' +
+        'Int32Array.');
+    }
+
+    // The instance proper is a proxy, which maps indexes and length onto
+    // the coordinates. Its target must be a true array for Array.isArray.
+    var target = [];
+    Object.setPrototypeOf(target, new.target.prototype);
+    target.coords_ = new type(8);
+    target.count_ = 0;
+
+    var path = new Proxy(target, PackedPath.HANDLER_);
+    var closed = options ? options.closed : undefined;
+
+    if (typeof arg === 'string') {
+      path.setPath(arg);
+    } else if (arg instanceof Float64Array || arg instanceof Int32Array) {
+      path.setCoordinates(arg, closed);
+    } else if (Array.isArray(arg)) {
+      path.setPoints(arg, closed);
+    } else {
+      Path.invalidPath(arg, PathSyntaxError.INVALID_INPUT);
+    }
+
+    return path;
+  }
+}
+
+
+/**
+ * Returns the index a property key names, or -1 if it isn't an array index.
+ * @param {string|Symbol} key The property key.
+ * @return {Number} The index, or -1.
+ * @private
+ */
+PackedPath.index_ = function(key) {
+  if (typeof key !== 'string') {
+    return -1;
+  }
+
+  var code = key.charCodeAt(0);
+  if (code < 48 || code > 57) {
+    return -1;
+  }
+
+  var index = Number(key);
+  return String(index) === key && index % 1 === 0 && index < 4294967295 ?
+    index : -1;
+};
+
+
+/**
+ * Stores a point at the given index of a packed path's coordinates. The
+ * index may be at most one past the last point, appending a point and
+ * growing the storage as needed.
+ * @param {Array} target The packed path's proxy target.
+ * @param {Number} index The index to store at.
+ * @param {Object} point The point to store.
+ * @throws {PathSyntaxError} If the point isn't valid, or isn't storable.
+ * @throws {RangeError} If the index would leave a gap.
+ * @private
+ */
+PackedPath.store_ = function(target, index, point) {
+  var error = Path.checkPoint_(point, index, point);
+  if (error) {
+    throw error;
+  }
+  PackedPath.checkStorable_(target.coords_, point[0], point[1], index);
+
+  if (index > target.count_) {
+    throw new RangeError('Invalid index: ' + index);
+  }
+
+  var coords = target.coords_;
+  if (index * 2 + 2 > coords.length) {
+    coords = new coords.constructor(coords.length * 2);
+    coords.set(target.coords_);
+    target.coords_ = coords;
+  }
+
+  coords[index * 2] = point[0];
+  coords[index * 2 + 1] = point[1];
+  target.count_ = Math.max(target.count_, index + 1);
+};
+
+
+/**
+ * Verifies that coordinates can be stored in the given storage without
+ * change, which for Int32Array storage requires 32-bit integers.
+ * @param {Float64Array|Int32Array} coords The storage.
+ * @param {Number} x The x coordinate.
+ * @param {Number} y The y coordinate.
+ * @param {Number} index The point's index, for reporting.
+ * @throws {PathSyntaxError} If the coordinates can't be stored.
+ * @private
+ */
+PackedPath.checkStorable_ = function(coords, x, y, index) {
+  if (coords instanceof Int32Array && (x !== (x | 0) || y !== (y | 0))) {
+    Path.invalidPath([x, y], PathSyntaxError.INVALID_POINT,
+      {index: index, expected: '32-bit integer coordinates'});
+  }
+};
+
+
+/**
+ * The proxy handler giving packed paths their array behavior. Indexes and
+ * length are mapped onto the stored coordinates, everything else is passed
+ * through to the target.
+ * @type {Object}
+ * @private
+ */
+PackedPath.HANDLER_ = {
+  get: function(target, key, receiver) {
+    if (key === 'length') {
+      return target.count_;
+    }
+
+    var index = PackedPath.index_(key);
+    if (index !== -1) {
+      return index < target.count_ ?
+        [target.coords_[index * 2], target.coords_[index * 2 + 1]] :
+        undefined;
+    }
+
+    return Reflect.get(target, key, receiver);
+  },
+
+  set: function(target, key, value, receiver) {
+    // The length may only shorten the path, and not below two points. Too
+    // short a path is reported as Path reports it.
+    if (key === 'length') {
+      if (!Number.isInteger(value) || value < 0 || value > target.count_) {
+        throw new RangeError('Invalid length: ' + value);
+      }
+      if (value < 2) {
+        Path.invalidPath(receiver, PathSyntaxError.TOO_FEW_POINTS,
+          {index: value});
+      }
+      target.count_ = value;
+      return true;
+    }
+
+    var index = PackedPath.index_(key);
+    if (index !== -1) {
+      PackedPath.store_(target, index, value);
+      return true;
+    }
+
+    return Reflect.set(target, key, value);
+  },
+
+  has: function(target, key) {
+    var index = PackedPath.index_(key);
+    if (index !== -1) {
+      return index < target.count_;
+    }
+
+    return Reflect.has(target, key);
+  },
+
+  // Array methods only delete trailing points just before shortening the
+  // length, which does the actual removal.
+  deleteProperty: function(target, key) {
+    if (PackedPath.index_(key) !== -1) {
+      return true;
+    }
+
+    return Reflect.deleteProperty(target, key);
+  },
+
+  ownKeys: function(target) {
+    var keys = [];
+    for (var i = 0; i < target.count_; i++) {
+      keys.push(String(i));
+    }
+
+    return keys.concat(Reflect.ownKeys(target));
+  },
+
+  getOwnPropertyDescriptor: function(target, key) {
+    if (key === 'length') {
+      return {value: target.count_, writable: true, enumerable: false,
+        configurable: false};
+    }
+
+    var index = PackedPath.index_(key);
+    if (index !== -1) {
+      return index < target.count_ ? {value: [target.coords_[index * 2],
+        target.coords_[index * 2 + 1]], writable: true, enumerable: true,
+        configurable: true} : undefined;
+    }
+
+    return Reflect.getOwnPropertyDescriptor(target, key);
+  },
+
+  defineProperty: function(target, key, descriptor) {
+    if (key === 'length' || PackedPath.index_(key) !== -1) {
+      return PackedPath.HANDLER_.set(target, key, descriptor.value);
+    }
+
+    return Reflect.defineProperty(target, key, descriptor);
+  }
+};
+
+
+/**
+ * Produces a packed version of an in-place Array method. Rather than
+ * running the method through the proxy, which can leave gaps in the points
+ * part way through, the method is run on a plain copy of the points, which
+ * are stored back once they're known to be valid. As for Path.mutator_, a
+ * closed path is edited as its distinct vertices and stays closed.
+ * @param {string} name The name of the Array method to wrap.
+ * @return {Function} The packed version of the method.
+ * @private
+ */
+PackedPath.mutator_ = function(name) {
+  var method = Array.prototype[name];
+
+  return function() {
+    var ring = this.closed_ && Path.isClosing_(this);
+    var points = Array.prototype.slice.call(this, 0,
+      ring ? this.length - 1 : this.length);
+    var result = method.apply(points, arguments);
+
+    var error = Path.checkPointArray(points);
+    if (error) {
+      throw error;
+    }
+    this.setPoints(points, ring);
+
+    return name === 'push' || name === 'unshift' ? this.length : result;
+  };
+};
+
+// Install packed versions of each mutator the platform provides.
+Path.MUTATORS.forEach(function(name) {
+  if (typeof Array.prototype[name] === 'function') {
+    PackedPath.prototype[name] = PackedPath.mutator_(name);
+  }
+});
+
+
+/**
+ * Returns a new PackedPath with identical points to the receiver, and the
+ * same storage type.
+ * @return {PackedPath} A new duplicate PackedPath.
+ */
+PackedPath.prototype.clone = function() {
+  return new PackedPath(this.getCoordinates(), {
+    type: this.coords_.constructor,
+    closed: this.closed_
+  });
+};
+
+
+/**
+ * Returns the axis-aligned bounding box of the path's points as for
+ * Path.prototype.getBounds, read straight from the receiver's storage.
+ * @return {Object} The bounding box of the path.
+ */
+PackedPath.prototype.getBounds = function() {
+  var coords = this.coords_;
+  var minX = Infinity;
+  var minY = Infinity;
+  var maxX = -Infinity;
+  var maxY = -Infinity;
+
+  for (var i = 0; i < this.count_ * 2; i += 2) {
+    minX = Math.min(minX, coords[i]);
+    minY = Math.min(minY, coords[i + 1]);
+    maxX = Math.max(maxX, coords[i]);
+    maxY = Math.max(maxY, coords[i + 1]);
+  }
+
+  return {x: minX, y: minY, width: maxX - minX, height: maxY - minY};
+};
+
+
+/**
+ * Returns the list of commands making up the path, a moveto followed by
+ * lineto commands and a closepath when closed.
+ * @return {Array.<Object>} The path's command list.
+ */
+PackedPath.prototype.getCommands = function() {
+  this.sync_();
+
+  return Path.pointArrayAsCommands(Array.prototype.slice.call(this),
+    this.closed_);
+};
+
+
+/**
+ * Returns the receiver's coordinates in x,y order. The array returned is a
+ * view onto the receiver's storage rather than a copy, so it's cheap to
+ * get, and suitable for handing to APIs such as WebGL, but changes to it
+ * change the path.
+ * @return {Float64Array|Int32Array} The receiver's coordinates.
+ */
+PackedPath.prototype.getCoordinates = function() {
+  return this.coords_.subarray(0, this.count_ * 2);
+};
+
+
+/**
+ * Returns the length of each of the receiver's segments, read straight
+ * from its storage.
+ * @return {Array.<Number>} The segment lengths, in order.
+ */
+PackedPath.prototype.getSegmentLengths = function() {
+  var coords = this.coords_;
+  var lengths = new Array(Math.max(this.count_ - 1, 0));
+
+  for (var i = 0; i < lengths.length; i++) {
+    var dx = coords[i * 2 + 2] - coords[i * 2];
+    var dy = coords[i * 2 + 3] - coords[i * 2 + 1];
+    lengths[i] = Math.sqrt(dx * dx + dy * dy);
+  }
+
+  return lengths;
+};
+
+
+/**
+ * Returns the x coordinate of the point at index, read straight from the
+ * receiver's storage without building the point as path[index] does.
+ * @param {Number} index The index of the point.
+ * @return {Number|undefined} The x coordinate, or undefined if there's no
+ *     point at index.
+ */
+PackedPath.prototype.getX = function(index) {
+  return index >= 0 && index < this.count_ ? this.coords_[index * 2] :
+    undefined;
+};
+
+
+/**
+ * Returns the y coordinate of the point at index, read straight from the
+ * receiver's storage without building the point as path[index] does.
+ * @param {Number} index The index of the point.
+ * @return {Number|undefined} The y coordinate, or undefined if there's no
+ *     point at index.
+ */
+PackedPath.prototype.getY = function(index) {
+  return index >= 0 && index < this.count_ ? this.coords_[index * 2 + 1] :
+    undefined;
+};
+
+
+/**
+ * Packed paths keep no derived forms which could go stale, so are never
+ * considered modified.
+ * @return {Boolean} False.
+ * @private
+ */
+PackedPath.prototype.isModified_ = function() {
+  return false;
+};
+
+
+/**
+ * Updates the receiver's closed state, which requires the last point to
+ * repeat the first.
+ * @param {Boolean} closed Whether the path should be closed.
+ * @private
+ */
+PackedPath.prototype.rebuild_ = function(closed) {
+  this.closed_ = closed && Path.isClosing_(this);
+};
+
+
+/**
+ * Sets the receiver's coordinates to those provided, in x,y order.
+ * @param {Float64Array|Int32Array|Array.<Number>} arg The coordinates.
+ * @param {Boolean} closed Optionally, whether the path is closed, see
+ *     Path.prototype.setPoints.
+ * @throws {PathSyntaxError} If the coordinates aren't a valid path.
+ * @return {PackedPath} The receiver.
+ */
+PackedPath.prototype.setCoordinates = function(arg, closed) {
+  var len = arg.length;
+  if (len < 4 || len % 2 !== 0) {
+    Path.invalidPath(arg, len % 2 ? PathSyntaxError.INVALID_POINT :
+      PathSyntaxError.TOO_FEW_POINTS, {index: Math.floor(len / 2)});
+  }
+
+  var type = this.coords_.constructor;
+  var count = len / 2;
+  var closing = arg[0] === arg[len - 2] && arg[1] === arg[len - 1];
+  if (closed === undefined) {
+    closed = closing;
+  }
+
+  var coords = new type(closed && !closing ? len + 2 : len);
+  for (var i = 0; i < len; i += 2) {
+    var error = Path.checkPoint_([arg[i], arg[i + 1]], i / 2, arg);
+    if (error) {
+      throw error;
+    }
+    PackedPath.checkStorable_(coords, arg[i], arg[i + 1], i / 2);
+    coords[i] = arg[i];
+    coords[i + 1] = arg[i + 1];
+  }
+
+  if (closed && !closing) {
+    coords[len] = arg[0];
+    coords[len + 1] = arg[1];
+    count++;
+  }
+
+  this.coords_ = coords;
+  this.count_ = count;
+  this.closed_ = closed;
+
+  return this;
+};
+
+
+/**
+ * Sets the receiver's points from a path string, parsing it straight into
+ * the receiver's storage.
+ * @param {string} arg A valid path string per Path.isPathString.
+ * @throws {PathSyntaxError} If the argument isn't a valid path string.
+ * @return {PackedPath} The receiver.
+ */
+PackedPath.prototype.setPath = function(arg) {
+  var coords = new this.coords_.constructor(64);
+  var count = 0;
+  var current = [0, 0];
+  var opener;
+  var closed = false;
+
+  new PathParser(function(item) {
+    var command = item.command;
+    current = Path.endPoint_(command, item.args, current, opener);
+    opener = opener || current;
+    closed = command === 'Z' || command === 'z';
+
+    PackedPath.checkStorable_(coords, current[0], current[1], count);
+    if (count * 2 + 2 > coords.length) {
+      var grown = new coords.constructor(coords.length * 2);
+      grown.set(coords);
+      coords = grown;
+    }
+    coords[count * 2] = current[0];
+    coords[count * 2 + 1] = current[1];
+    count++;
+  }).end(arg);
+
+  // Drop the spare room growth leaves, large paths being the point here.
+  this.coords_ = coords.slice(0, count * 2);
+  this.count_ = count;
+  this.closed_ = closed;
+
+  return this;
+};
+
+
+/**
+ * Sets the receiver's points to the point array provided.
+ * @param {Array.<Array>} arg A valid point array per Path.isPointArray.
+ * @param {Boolean} closed Optionally, whether the path is closed, see
+ *     Path.prototype.setPoints.
+ * @throws {PathSyntaxError} If the argument isn't a valid point array.
+ * @return {PackedPath} The receiver.
+ */
+PackedPath.prototype.setPoints = function(arg, closed) {
+  var error = Path.checkPointArray(arg);
+  if (error) {
+    throw error;
+  }
+
+  return this.setCoordinates(Path.flattenPointArray(arg), closed);
+};
+
+
+/**
+ * Removes and/or inserts points in the receiver, as Array's splice does,
+ * returning the removed points as for Path.prototype.splice.
+ * @param {Number} start The index at which to start changing points.
+ * @param {Number} deleteCount The number of points to remove.
+ * @param {...Array} var_args Points to insert at start.
+ * @return {Path|Array} The removed points.
+ */
+PackedPath.prototype.splice = function(start, deleteCount, var_args) {
+  var removed = PackedPath.mutator_('splice').apply(this, arguments);
+
+  return Path.isPointArray(removed) ? new Path(removed, {closed: false}) :
+    removed;
+};
+
+
+/**
+ * Brings the receiver's closed state up to date with its points, a closed
+ * path whose last point no longer repeats its first becoming open.
+ * @private
+ */
+PackedPath.prototype.sync_ = function() {
+  if (this.closed_ && !Path.isClosing_(this)) {
+    this.closed_ = false;
+  }
+};
+
+
+/**
+ * Returns the string representation of the path, written straight from the
+ * receiver's storage. Options other than precision are handled as for
+ * Path.prototype.toString, from the receiver's commands.
+ * @param {Object} options Optional output settings, as for
+ *     Path.commandsAsPath.
+ * @return {string} A string representation of the path.
+ */
+PackedPath.prototype.toString = function(options) {
+  this.sync_();
+
+  if (options && (options.form || options.shorthand || options.implicit ||
+      options.compact)) {
+    return Path.commandsAsPath(this.getCommands(), options);
+  }
+
+  var precision = options ? options.precision : undefined;
+  var coords = this.coords_;
+  var count = this.closed_ ? this.count_ - 1 : this.count_;
+  var parts = new Array(count);
+
+  for (var i = 0; i < count; i++) {
+    parts[i] = (i === 0 ? 'M' : 'L') +
+      Path.formatNumber(coords[i * 2], precision) + ' ' +
+      Path.formatNumber(coords[i * 2 + 1], precision);
+  }
+  if (this.closed_) {
+    parts.push('Z');
+  }
+
+  return parts.join(' ');
+};
+
+// ========================================================================
+// ImmutablePath Type Definition
+// ------------------------------------------------------------------------
+
+/**
+ * Constructs a new ImmutablePath, a Path which can't be changed once made,
+ * so can be shared without fear of one user corrupting it for the others.
+ * Every method which would change the path throws a TypeError, and the path
+ * and its points are frozen, so assigning to them fails too (and throws in
+ * strict mode code). Methods returning new paths, clone among them, return
+ * ordinary Paths, so a changeable copy is always easy to come by.
+ * @param {string|Array.<Array>} path A path string or point array, as for
+ *     Path.
+ * @throws {PathSyntaxError} If the input isn't a valid path.
+ * @constructor
+ * @extends {Path}
+ */
+class ImmutablePath extends Path {
+
+  constructor(path) {
+    // Freeze copies of the points, so a caller's own arrays stay writable.
+    super(Array.isArray(path) ? Array.prototype.map.call(path,
+      function(point) {
+        return Array.isArray(point) ? point.slice() : point;
+      }) : path);
+
+    Array.prototype.forEach.call(this, function(point) {
+      Object.freeze(point);
+    });
+    Object.freeze(this);
+  }
+}
+
+
+/**
+ * Produces a version of a Path method which changes the path, throwing once
+ * the path is frozen. Until then, while it's being constructed, the Path
+ * method is used.
+ * @param {string} name The name of the method.
+ * @return {Function} The rejecting version of the method.
+ * @private
+ */
+ImmutablePath.reject_ = function(name) {
+  var method = Path.prototype[name];
+
+  return function() {
+    if (Object.isFrozen(this)) {
+      throw new TypeError('ImmutablePath can\'t be changed by ' + name + '.');
+    }
+
+    return method.apply(this, arguments);
+  };
+};
+
+// Install rejecting versions of each method which changes the path.
+['close', 'open', 'setPath', 'setPoints'].concat(Path.MUTATORS).forEach(
+  function(name) {
+    if (typeof Path.prototype[name] === 'function') {
+      ImmutablePath.prototype[name] = ImmutablePath.reject_(name);
+    }
+  });
+
+
+/**
+ * Returns an ImmutablePath with the same points and commands as the path
+ * provided, or the path itself if it's already immutable. Unlike
+ * Object.freeze this leaves the original path, and any point array given,
+ * unchanged and writable.
+ * @param {Path|string|Array.<Array>} path The path to freeze, or a path
+ *     string or point array to build one from.
+ * @throws {PathSyntaxError} If the input isn't a valid path.
+ * @return {ImmutablePath} The immutable path.
+ */
+Path.freeze = function(path) {
+  if (path instanceof ImmutablePath) {
+    return path;
+  }
+
+  return new ImmutablePath(path instanceof Path ? path.toString() : path);
+};
+
+// ========================================================================
+// PathGroup Type Definition
+// ------------------------------------------------------------------------
+
+/**
+ * Constructs a new PathGroup, an ordered collection of Path objects treated
+ * as a single shape, such as the result of a boolean operation or a glyph
+ * with holes. Like Path, PathGroup inherits from Array so the usual array
+ * methods work on it. A group may be built from its paths, or from a
+ * compound path string containing several subpaths, each beginning with a
+ * moveto, which is split into one Path per subpath.
+ * @param {Array.<Path>|string} paths The paths making up the group, or a
+ *     compound path string. Default is none.
+ * @throws {PathSyntaxError} If a string argument isn't a valid path.
+ * @throws {TypeError} If an array argument contains something other than a
+ *     Path.
+ * @constructor
+ * @extends {Array}
+ */
+class PathGroup extends Array {
+
+  constructor(paths) {
+    super();
+
+    if (typeof paths === 'string') {
+      paths = PathGroup.splitPath_(paths);
+    }
+    paths = paths || [];
+
+    var len = paths.length;
+    for (var i = 0; i < len; i++) {
+      if (!(paths[i] instanceof Path)) {
+        throw new TypeError('PathGroup members must be Path instances.');
+      }
+    }
+
+    Array.prototype.push.apply(this, paths);
+  }
 
   /**
-   * Returns true if the object provided is an instance of Array.
-   * @param {Object} arg The object to test.
-   * @return {Boolean} True if the argument is a valid JS Array.
+   * The constructor Array's own methods use for the arrays they return,
+   * plain Arrays as for Path.
+   * @type {Function}
    */
-  Array.isArray = function(arg) {
-    // Try to avoid objects which instanceof might lie about...like Path
-    // instances :).
-    return typeof arg === 'object' &&
-        Object.prototype.toString.call(arg) === '[object Array]';
-  };
+  static get [Symbol.species]() {
+    return Array;
+  }
 }
 
+
+/**
+ * Role of a ring whose inside is filled, see getRoles.
+ * @type {string}
+ */
+PathGroup.OUTER = 'outer';
+
+
+/**
+ * Role of a ring whose inside is not filled, see getRoles.
+ * @type {string}
+ */
+PathGroup.HOLE = 'hole';
+
+
+/**
+ * A relative moveto at the start of a subpath, capturing its coordinates.
+ * @type {RegExp}
+ */
+PathGroup.RELATIVE_MOVETO_REGEX = new RegExp('^m\\s*(' +
+  Path.NUMBER_REGEX.source + ')\\s*,?\\s*(' + Path.NUMBER_REGEX.source + ')');
+
+
+/**
+ * Returns a point just inside a ring, beside the middle of its longest
+ * edge, for testing whether the ring's inside is filled.
+ * @param {Array.<Array>} ring The ring's points.
+ * @return {Array.<Number>} The x,y point just inside the ring.
+ * @private
+ */
+PathGroup.probe_ = function(ring) {
+  var a;
+  var b;
+  var longest = -1;
+
+  var len = ring.length;
+  for (var i = 0; i < len; i++) {
+    var length = Path.distance_(ring[i], ring[(i + 1) % len]);
+    if (length > longest) {
+      longest = length;
+      a = ring[i];
+      b = ring[(i + 1) % len];
+    }
+  }
+
+  // Step a tiny distance off the edge's midpoint, to whichever side the
+  // ring winds around.
+  var scale = 1e-7;
+  var mid = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+  var normal = [(a[1] - b[1]) * scale, (b[0] - a[0]) * scale];
+  var point = [mid[0] + normal[0], mid[1] + normal[1]];
+
+  var result = Path.windingNumber_(ring, point);
+  if (result.boundary || result.winding === 0) {
+    point = [mid[0] - normal[0], mid[1] - normal[1]];
+  }
+
+  return point;
+};
+
+
+/**
+ * Splits a compound path string into a Path for each of its subpaths. Each
+ * subpath begins with a moveto, or with any other command following a
+ * closepath, which SVG starts from the closed subpath's first point. Since
+ * each Path stands alone, a relative moveto beginning a later subpath is
+ * made absolute, and the implied moveto of a subpath without one is added.
+ * Errors are reported at their position in the full string.
+ * @param {string} arg The compound path string.
+ * @throws {PathSyntaxError} If the string isn't a valid compound path.
+ * @return {Array.<Path>} A Path for each subpath.
+ * @private
+ */
+PathGroup.splitPath_ = function(arg) {
+  var pieces = [];
+  var len = arg.length;
+  var start = 0;
+  var implied = false;
+
+  // Find where each subpath starts. Only a closepath followed by a command
+  // starts one without a moveto, anything else there is left for Path to
+  // report.
+  for (var i = 0; i < len; i++) {
+    var ch = arg.charAt(i);
+    if ((ch === 'M' || ch === 'm') && /\S/.test(arg.slice(start, i))) {
+      pieces.push({start: start, end: i, implied: implied});
+      start = i;
+      implied = false;
+    } else if (ch === 'Z' || ch === 'z') {
+      var next = i + 1;
+      while (next < len && Path.WHITESPACE.indexOf(arg.charAt(next)) !== -1) {
+        next++;
+      }
+      var letter = arg.charAt(next).toUpperCase();
+      if (letter !== 'M' && Path.COMMAND_ARITY.hasOwnProperty(letter)) {
+        pieces.push({start: start, end: next, implied: implied});
+        start = next;
+        implied = true;
+        i = next - 1;
+      }
+    }
+  }
+  pieces.push({start: start, end: len, implied: implied});
+
+  var paths = [];
+  var current = [0, 0];
+  var opener = current;
+
+  pieces.forEach(function(piece, index) {
+    var text = arg.slice(piece.start, piece.end).replace(/\s+$/, '');
+    var lead = text.length - text.replace(/^\s+/, '').length;
+    text = text.slice(lead);
+
+    var prefix = '';
+    var rest = text;
+    var match = index > 0 && PathGroup.RELATIVE_MOVETO_REGEX.exec(text);
+
+    if (match) {
+      prefix = 'M' + Path.formatNumber(parseFloat(match[1]) + current[0]) +
+        ' ' + Path.formatNumber(parseFloat(match[2]) + current[1]);
+      rest = text.slice(match[0].length);
+
+      // Pairs following a relative moveto are relative lineto commands,
+      // which they'd no longer be following an absolute one.
+      if (/^[\s,]*[+\-.\d]/.test(rest)) {
+        rest = rest.replace(/^[\s,]*/, '');
+        prefix += ' l';
+      }
+    } else if (piece.implied) {
+      prefix = 'M' + Path.formatNumber(opener[0]) + ' ' +
+        Path.formatNumber(opener[1]) + ' ';
+    }
+
+    var path;
+    try {
+      path = new Path(prefix + rest);
+    } catch (e) {
+      if (!(e instanceof PathSyntaxError) || e.offset === null) {
+        throw e;
+      }
+      var offset = Math.max(0, e.offset - prefix.length) +
+        text.length - rest.length;
+      Path.invalidPath(arg, e.code,
+        {offset: piece.start + lead + offset, expected: e.expected});
+    }
+
+    paths.push(path);
+    current = path[path.length - 1];
+    opener = path[0];
+  });
+
+  return paths;
+};
+
+
+/**
+ * Returns the total signed area of the group's paths. Since holes wind
+ * opposite to the rings containing them, this is the area of the shape.
+ * @return {Number} The signed area of the group.
+ */
+PathGroup.prototype.getArea = function() {
+  var area = 0;
+  var len = this.length;
+  for (var i = 0; i < len; i++) {
+    area += this[i].getArea();
+  }
+  return area;
+};
+
+
+/**
+ * Returns the role of each of the group's paths, in order, as the group
+ * would be filled: PathGroup.OUTER for a ring whose inside is filled, and
+ * PathGroup.HOLE for one whose inside isn't. This is found from the
+ * winding of all the group's rings around a point just inside each ring,
+ * so a ring running opposite to the ring around it is a hole under the
+ * nonzero rule, while one running the same way is not. Open paths are
+ * treated as implicitly closed, as SVG fills them. A ring enclosing no area,
+ * such as a single line, has no inside to be a hole and is reported as
+ * PathGroup.OUTER.
+ * @param {Object} options Optional settings. Supported keys are:
+ *     rule: Path.NONZERO (the default) or Path.EVENODD.
+ * @return {Array.<string>} The role of each path.
+ */
+PathGroup.prototype.getRoles = function(options) {
+  var evenodd = options && options.rule === Path.EVENODD;
+  var rings = Array.prototype.map.call(this, function(path) {
+    return Array.prototype.slice.call(path);
+  });
+
+  var paths = this;
+
+  return rings.map(function(ring, index) {
+    if (paths[index].getArea() === 0) {
+      return PathGroup.OUTER;
+    }
+
+    var point = PathGroup.probe_(ring);
+    var winding = 0;
+    var crossings = 0;
+
+    rings.forEach(function(other) {
+      var result = Path.windingNumber_(other, point);
+      winding += result.winding;
+      crossings += result.crossings;
+    });
+
+    var filled = evenodd ? crossings % 2 === 1 : winding !== 0;
+
+    return filled ? PathGroup.OUTER : PathGroup.HOLE;
+  });
+};
+
+
+/**
+ * Returns the string representation of the group, each path's string in
+ * turn, in a form suitable for use in the 'd' attribute of an svg:path
+ * element.
+ * @param {Object} options Optional output settings, as for
+ *     Path.prototype.toString.
+ * @return {string} A string representation of the group.
+ */
+PathGroup.prototype.toString = function(options) {
+  return Array.prototype.map.call(this, function(path) {
+    return path.toString(options);
+  }).join(options && options.compact ? '' : ' ');
+};
+
 // ========================================================================
-// Path Type Definition
+// PathIndex Type Definition
 // ------------------------------------------------------------------------
 
 /**
- * Constructs a new Path instance. The input to the constructor should be a
- * path string per (see http://www.w3.org/TR/SVG/paths.html) containing a
- * single moveto command, one to N lineto commands, and an optional closepath;
- * or an array of ordered pairs in [x, y] form.
- * @param {string|Array.<Array>} path  A path string or array of x,y pairs.
+ * Constructs a new PathIndex, a spatial index of Paths by bounding box which
+ * finds the paths in a region, or nearest a point, without visiting every
+ * path. The index is an R-tree: a balanced tree whose nodes each hold the
+ * bounding box of everything beneath them, so whole subtrees lying outside
+ * a query can be skipped.
+ *
+ * Paths are indexed by their bounds when inserted, so a path changed after
+ * insertion must be passed to update before it will be found in its new
+ * position.
+ * @param {Object} options Optional settings. Supported keys are:
+ *     maxEntries: the most children a node holds before it splits, at least
+ *         4, defaulting to PathIndex.MAX_ENTRIES. Larger nodes make for
+ *         faster inserts but slower searches.
  * @constructor
  */
-function Path(path) {
-
-  if (Path.isPathString(path)) {
-    this.setPath(path);
-    return this;
-  }
+function PathIndex(options) {
+  this.maxEntries_ = Math.max(4,
+    (options && options.maxEntries) || PathIndex.MAX_ENTRIES);
+  this.minEntries_ = Math.max(2, Math.ceil(this.maxEntries_ * 0.4));
 
-  if (Path.isPointArray(path)) {
-    this.setPoints(path);
-    return this;
-  }
+  // The entry for each path, holding the bounds it was indexed under.
+  this.entries_ = new Map();
 
-  // Handle error in a consistent fashion.
-  Path.invalidPath(path);
+  this.root_ = PathIndex.node_([], true);
 }
 
 
 /**
- * Message used when a path constructor fails to receive valid input.
- * @type {string}
+ * The default for the most children an index node holds.
+ * @type {Number}
  */
-Path.INVALID_PATH_MSG = 'Invalid path.';
+PathIndex.MAX_ENTRIES = 9;
 
 
 /**
- * A regular expression which verifies the specific svg:path string subset
- * our constructor will accept: moveto, lineto, and closepath commands using
- * integer values (which removes the \U0046 decimal from consideration):
- * Moveto commands: M or m followed by 2 integer values.
- * Lineto commands: L or l followed by multiples of 2 integer values.
- * Closepath commands: Z or z. Must be the last value in the string.
- * Note that for this challenge lineto variations are _not_ supported:
- * -- NO Horizontal lineto: H or h followed by 1 or more integer values.
- * -- NO Vertical lineto: V or v followed by 1 or more integer values.
- * @type {RegExp}
+ * The number of paths in the index.
+ * @type {Number}
  */
-Path.DATA_STRING_REGEX =
-  /^([Mm][ ]*[+-]?\d+ [+-]?\d+)([ ]*[Ll][ ]*[+-]?\d+ [+-]?\d+){1,}([ ]*[Zz])*$/;
+Object.defineProperty(PathIndex.prototype, 'size', {
+  get: function() {
+    return this.entries_.size;
+  }
+});
 
 
 /**
- * A variation on the DATA_STRING_REGEX intended to slice out lineto
- * sequences. This regex will create 3 chunks for each component of the path
- * string: moveto, lineto sequence, and closepath.
+ * Returns the area of a bounding box.
+ * @param {Object} box The box, with the keys minX, minY, maxX and maxY.
+ * @return {Number} The area of the box.
+ * @private
  */
-Path.DATA_SLICE_REGEX = /^([Mm][ ]*[+-]?\d+ [+-]?\d+)(.*?)([ ]*[Zz])*$/;
+PathIndex.area_ = function(box) {
+  return (box.maxX - box.minX) * (box.maxY - box.minY);
+};
 
 
 /**
- * A regular expression used to pull apart a lineto path component. Note that
- * this is a global regex. We'll leverage String.replace as an iterator to
- * work across sequences of lineto commands in the path.
+ * Returns the distance from a point to the nearest part of a bounding box,
+ * which is zero for points within it.
+ * @param {Object} box The box, with the keys minX, minY, maxX and maxY.
+ * @param {Array.<Number>} point The x,y point to measure from.
+ * @return {Number} The distance from the point to the box.
+ * @private
  */
-Path.LINETO_STRING_REGEX =
-  /[ ]*([Ll])[ ]*([+-]?\d+) ([+-]?\d+)| ([+-]?\d+) ([+-]?\d+)/g;
+PathIndex.boxDistance_ = function(box, point) {
+  var dx = Math.max(box.minX - point[0], 0, point[0] - box.maxX);
+  var dy = Math.max(box.minY - point[1], 0, point[1] - box.maxY);
+
+  return Math.sqrt(dx * dx + dy * dy);
+};
 
 
 /**
- * A regular expression used to pull apart moveto path components.
+ * Returns the child of an index node best suited to hold an entry: the one
+ * whose box grows least to include it, or when that's a tie, the smallest.
+ * @param {Object} node The index node.
+ * @param {Object} entry The entry to place.
+ * @return {Object} The chosen child node.
+ * @private
  */
-Path.MOVETO_STRING_REGEX = /([Mm])[ ]*([+-]?\d+) ([+-]?\d+)/;
+PathIndex.chooseChild_ = function(node, entry) {
+  var best = null;
+  var bestGrowth = Infinity;
+  var bestArea = Infinity;
+
+  node.children.forEach(function(child) {
+    var area = PathIndex.area_(child);
+    var growth = PathIndex.area_(PathIndex.union_(child, entry)) - area;
+
+    if (growth < bestGrowth || (growth === bestGrowth && area < bestArea)) {
+      best = child;
+      bestGrowth = growth;
+      bestArea = area;
+    }
+  });
+
+  return best;
+};
 
 
 /**
- * Provides common error reporting for invalid path data.
- * @param {Object} arg The invalid path data.
+ * Returns true if the first bounding box wholly contains the second.
+ * @param {Object} a The containing box.
+ * @param {Object} b The contained box.
+ * @return {Boolean} True if a contains b.
+ * @private
  */
-Path.invalidPath = function(arg) {
-  throw new Error(Path.INVALID_PATH_MSG);
+PathIndex.contains_ = function(a, b) {
+  return a.minX <= b.minX && a.minY <= b.minY &&
+    b.maxX <= a.maxX && b.maxY <= a.maxY;
 };
 
 
 /**
- * A utility function which verifies that a String conforms to the
- * requirements for a valid "path string" for Path construction.
- * @param {Object} arg The argument to test.
- * @return {Boolean} True if the argument is a valid path string.
+ * Returns a new index entry for a path, recording its current bounds.
+ * @param {Path} path The path to make an entry for.
+ * @throws {TypeError} If the argument isn't a Path.
+ * @return {Object} The entry.
+ * @private
  */
-Path.isPathString = function(arg) {
-  return Path.DATA_STRING_REGEX.test(arg);
+PathIndex.entry_ = function(path) {
+  if (!(path instanceof Path)) {
+    throw new TypeError('PathIndex entries must be Paths.');
+  }
+
+  var bounds = path.getBounds();
+
+  return {path: path, minX: bounds.x, minY: bounds.y,
+    maxX: bounds.x + bounds.width, maxY: bounds.y + bounds.height};
 };
 
 
 /**
- * A utility routine which verifies that an Array conforms to the requirements
- * for a "point array" for Path construction. Note that at least two points
- * are necessary to construct a line, and hence a path. Also note only integer
- * values are accepted in point arrays for the present time.
- * @param {Object} arg The argument to test.
- * @return {Boolean} True if the argument is a valid point array.
+ * Returns true if two bounding boxes overlap, or touch.
+ * @param {Object} a The first box.
+ * @param {Object} b The second box.
+ * @return {Boolean} True if the boxes intersect.
+ * @private
  */
-Path.isPointArray = function(arg) {
+PathIndex.intersects_ = function(a, b) {
+  return a.minX <= b.maxX && b.minX <= a.maxX &&
+    a.minY <= b.maxY && b.minY <= a.maxY;
+};
 
-  if (!Array.isArray(arg)) {
-    return false;
-  }
 
-  // Require at least two points, otherwise it's not a "path".
-  var len = arg.length;
-  if (len < 2) {
-    return false;
+/**
+ * Returns the entries held beneath an index node.
+ * @param {Object} node The node.
+ * @return {Array.<Object>} The entries beneath the node.
+ * @private
+ */
+PathIndex.leafEntries_ = function(node) {
+  if (node.leaf) {
+    return node.children.slice(0);
   }
 
-  for (var i = 0; i < len; i++) {
-    var point = arg[i];
-    if (!Array.isArray(point)) {
-      return false;
-    }
+  return node.children.reduce(function(entries, child) {
+    return entries.concat(PathIndex.leafEntries_(child));
+  }, []);
+};
 
-    // Points contain only X and Y integer values in our spec.
-    if (point.length !== 2) {
-      return false;
-    }
 
-    // Subtlety here. NaN will return typeof 'number'...but we won't
-    // validate a potential point array containing NaN values.
-    if (typeof point[0] !== 'number' || isNaN(point[0]) ||
-        typeof point[1] !== 'number' || isNaN(point[1])) {
-      return false;
+/**
+ * Returns a new index node holding the children given.
+ * @param {Array.<Object>} children The node's children, entries for a leaf
+ *     node and other nodes otherwise.
+ * @param {Boolean} leaf True if the node is a leaf.
+ * @return {Object} The node.
+ * @private
+ */
+PathIndex.node_ = function(children, leaf) {
+  return PathIndex.refit_({children: children, leaf: leaf});
+};
+
+
+/**
+ * Builds a tree holding the entries given in one pass, using the
+ * Sort-Tile-Recursive method: entries are sorted into vertical slices by x,
+ * and each slice into nodes by y, giving compact, well separated nodes. The
+ * nodes are then grouped the same way, and so on up to a single root.
+ * @param {Array.<Object>} entries The entries to hold.
+ * @param {Number} max The most children a node may hold.
+ * @return {Object} The root of the tree.
+ * @private
+ */
+PathIndex.pack_ = function(entries, max) {
+  var centerX = function(a, b) {
+    return (a.minX + a.maxX) - (b.minX + b.maxX);
+  };
+  var centerY = function(a, b) {
+    return (a.minY + a.maxY) - (b.minY + b.maxY);
+  };
+
+  var items = entries;
+  var leaf = true;
+
+  while (leaf || items.length > 1) {
+    var nodes = [];
+    var size = Math.ceil(Math.sqrt(Math.ceil(items.length / max))) * max;
+
+    items = items.slice(0).sort(centerX);
+    for (var i = 0; i < items.length; i += size) {
+      var slice = items.slice(i, i + size).sort(centerY);
+      for (var j = 0; j < slice.length; j += max) {
+        nodes.push(PathIndex.node_(slice.slice(j, j + max), leaf));
+      }
     }
 
-    // Verify integer values.
-    if (parseInt(point[0]) !== parseFloat(point[0]) ||
-        parseInt(point[1]) !== parseFloat(point[1])) {
-      return false;
+    items = nodes;
+    leaf = false;
+  }
+
+  return items[0] || PathIndex.node_([], true);
+};
+
+
+/**
+ * Removes and returns the item with the smallest distance from a binary
+ * heap of items ordered by their distance key.
+ * @param {Array.<Object>} heap The heap.
+ * @return {Object} The nearest item.
+ * @private
+ */
+PathIndex.pop_ = function(heap) {
+  var top = heap[0];
+  var last = heap.pop();
+  var len = heap.length;
+
+  if (len) {
+    var i = 0;
+    for (;;) {
+      var child = i * 2 + 1;
+      if (child >= len) {
+        break;
+      }
+      if (child + 1 < len && heap[child + 1].distance < heap[child].distance) {
+        child++;
+      }
+      if (heap[child].distance >= last.distance) {
+        break;
+      }
+      heap[i] = heap[child];
+      i = child;
     }
+    heap[i] = last;
   }
 
-  return true;
+  return top;
 };
 
 
 /**
- * Converts a valid SVG data path string into an equivalent point array.
- * @param {Object} arg The presumed SVG data path to convert to points.
- * @return {Array.<Array>} An array of x,y pairs.
+ * Adds an item to a binary heap of items ordered by their distance key.
+ * @param {Array.<Object>} heap The heap.
+ * @param {Object} item The item, with a numeric distance key.
+ * @private
  */
-Path.pathAsPointArray = function(arg) {
-  if (!Path.isPathString(arg)) {
-    return;
+PathIndex.push_ = function(heap, item) {
+  var i = heap.length;
+
+  while (i > 0) {
+    var parent = (i - 1) >> 1;
+    if (heap[parent].distance <= item.distance) {
+      break;
+    }
+    heap[i] = heap[parent];
+    i = parent;
   }
+  heap[i] = item;
+};
 
-  // Split the path into constituent parts. Should be 3, which the last can be
-  // empty (closed path is optional).
-  var parts = Path.DATA_SLICE_REGEX.exec(arg);
 
-  var moveto = parts[1];
-  var lineto = parts[2];
-  var closed = parts[3];
+/**
+ * Recomputes a node's bounding box from its children.
+ * @param {Object} node The node to refit.
+ * @return {Object} The node.
+ * @private
+ */
+PathIndex.refit_ = function(node) {
+  node.minX = Infinity;
+  node.minY = Infinity;
+  node.maxX = -Infinity;
+  node.maxY = -Infinity;
 
-  var points = [];
+  node.children.forEach(function(child) {
+    node.minX = Math.min(node.minX, child.minX);
+    node.minY = Math.min(node.minY, child.minY);
+    node.maxX = Math.max(node.maxX, child.maxX);
+    node.maxY = Math.max(node.maxY, child.maxY);
+  });
 
-  // Partition the moveto component by slicing out the x,y via regex. Save
-  // this point in case we're looking at a closed path...we'll need it again.
-  var movetoParts = Path.MOVETO_STRING_REGEX.exec(moveto);
-  var opener = [parseInt(movetoParts[2], 10), parseInt(movetoParts[3], 10)];
-  points.push(opener);
+  return node;
+};
 
-  // Store whether we're relative outside our iteration function below so it
-  // can "remember" that state as it iterates.
-  var relative = false;
 
-  // Reset the index on the regex so it works whenever we call it.
-  Path.LINETO_STRING_REGEX.lastIndex = 0;
-
-  // There can be multiple lineto commands, and in addition, only the first
-  // truly requires a leading L or l to initialize the sequence. Here we'll
-  // leverage String.replace to loop across all matches within the lineto
-  // sequence, creating a new point for each chunk we find.
-  lineto.replace(Path.LINETO_STRING_REGEX, function(whole, one, two, three) {
-    // If three chunks matched there's a leading L or l. Use that to update
-    // our conception of relative vs. absolute coordinates.
-    if (three) {
-      relative = (one === 'l');
-      var x = parseInt(two, 10);
-      var y = parseInt(three, 10);
-    } else {
-      var x = parseInt(one, 10);
-      var y = parseInt(two, 10);
-    }
+/**
+ * Splits an overfull node in two, leaving the first part of its children in
+ * place and returning a new sibling holding the rest. Children are ordered
+ * along the node's longer side, and divided where the two halves overlap
+ * least, or when that's a tie, cover least area.
+ * @param {Object} node The node to split.
+ * @param {Number} min The fewest children either half may hold.
+ * @return {Object} The new sibling node.
+ * @private
+ */
+PathIndex.split_ = function(node, min) {
+  var children = node.children;
+  var horizontal = node.maxX - node.minX >= node.maxY - node.minY;
 
-    if (relative) {
-      x += points[points.length - 1][0];
-      y += points[points.length - 1][1];
-    }
-    points.push([x, y]);
+  children.sort(function(a, b) {
+    return horizontal ?
+      (a.minX + a.maxX) - (b.minX + b.maxX) :
+      (a.minY + a.maxY) - (b.minY + b.maxY);
   });
 
-  // If the string is closed then we have to duplicate the initial point as
-  // the last point to properly duplicate the path semantics in point form.
-  if (closed) {
-    points.push(opener);
+  var best = min;
+  var bestOverlap = Infinity;
+  var bestArea = Infinity;
+
+  for (var i = min; i <= children.length - min; i++) {
+    var left = PathIndex.node_(children.slice(0, i), node.leaf);
+    var right = PathIndex.node_(children.slice(i), node.leaf);
+    var overlap = PathIndex.intersects_(left, right) ?
+      (Math.min(left.maxX, right.maxX) - Math.max(left.minX, right.minX)) *
+      (Math.min(left.maxY, right.maxY) - Math.max(left.minY, right.minY)) :
+      0;
+    var area = PathIndex.area_(left) + PathIndex.area_(right);
+
+    if (overlap < bestOverlap || (overlap === bestOverlap && area < bestArea)) {
+      best = i;
+      bestOverlap = overlap;
+      bestArea = area;
+    }
   }
 
-  return points;
+  var sibling = PathIndex.node_(children.splice(best), node.leaf);
+  PathIndex.refit_(node);
+
+  return sibling;
 };
 
 
 /**
- * A utility function for producing a valid SVG data path from a point array.
- * Note that paths produced by this routine always use absolute references and
- * do not optimize for consecutive sequences of lineto commands.
- * @param {Object} arg The presumed array of x,y point pairs to convert.
- * @return {string} The SVG data path string representing the point array.
+ * Returns the bounding box covering two others.
+ * @param {Object} a The first box.
+ * @param {Object} b The second box.
+ * @return {Object} The box covering both.
+ * @private
  */
-Path.pointArrayAsPath = function(arg) {
-  if (!Path.isPointArray(arg)) {
-    return;
-  }
+PathIndex.union_ = function(a, b) {
+  return {
+    minX: Math.min(a.minX, b.minX),
+    minY: Math.min(a.minY, b.minY),
+    maxX: Math.max(a.maxX, b.maxX),
+    maxY: Math.max(a.maxY, b.maxY)
+  };
+};
 
-  // Make a copy, in case we modify we don't want to affect the input.
-  var points = arg.slice(0);
 
-  // If the path is closed track that and eliminate the final point.
-  var closed = false;
-  if ((points[0][0] === points[points.length - 1][0]) &&
-      (points[0][1] === points[points.length - 1][1])) {
-    closed = true;
-    points.length = points.length - 1;
-  }
+/**
+ * Removes every path from the index.
+ * @return {PathIndex} The receiver.
+ */
+PathIndex.prototype.clear = function() {
+  this.entries_.clear();
+  this.root_ = PathIndex.node_([], true);
 
-  // Inject a string value with each point representing the command.
-  points = points.map(function(item, index) {
-    return (index == 0 ? 'M' : 'L') + item[0] + ' ' + item[1];
-  });
-  var str = points.join(' ');
+  return this;
+};
 
-  // If it's a closed path add a final 'Z' to wrap things up.
-  if (closed) {
-    str += ' Z';
-  }
 
-  return str;
+/**
+ * Returns true if the path provided is in the index.
+ * @param {Path} path The path to look for.
+ * @return {Boolean} True if the path is indexed.
+ */
+PathIndex.prototype.has = function(path) {
+  return this.entries_.has(path);
 };
 
-// ------------------------------------------------------------------------
-// Path Instance Definition
-// ------------------------------------------------------------------------
 
-// Make the prototype of our Path constructor an array. This will allow
-// instances of Path to behave like array instances for most operations.
-Path.prototype = [];
+/**
+ * Adds a path to the index under its current bounds. Inserting a path
+ * already in the index updates it instead, see PathIndex.prototype.update.
+ * @param {Path} path The path to add.
+ * @throws {TypeError} If the argument isn't a Path.
+ * @return {PathIndex} The receiver.
+ */
+PathIndex.prototype.insert = function(path) {
+  if (this.entries_.has(path)) {
+    return this.update(path);
+  }
+
+  var entry = PathIndex.entry_(path);
+  this.entries_.set(path, entry);
+  this.insertEntry_(entry);
+
+  return this;
+};
 
 
 /**
- * The internal representation of the path in string form.
- * @type {string}
+ * Adds an entry to the tree, growing a new root if the old one splits.
+ * @param {Object} entry The entry to add.
  * @private
  */
-Path.prototype.path_ = null;
+PathIndex.prototype.insertEntry_ = function(entry) {
+  var sibling = this.insertInto_(this.root_, entry);
+  if (sibling) {
+    this.root_ = PathIndex.node_([this.root_, sibling], false);
+  }
+};
 
 
 /**
- * Returns a new Path instance with identical points to the receiver.
- * @return {Path} A new duplicate Path.
+ * Adds an entry beneath the node given, splitting any node that overflows
+ * on the way back up.
+ * @param {Object} node The node to add beneath.
+ * @param {Object} entry The entry to add.
+ * @return {Object} The new sibling node if the node was split, or null.
+ * @private
  */
-Path.prototype.clone = function() {
-  return this.slice(0);
+PathIndex.prototype.insertInto_ = function(node, entry) {
+  if (node.leaf) {
+    node.children.push(entry);
+  } else {
+    var sibling = this.insertInto_(PathIndex.chooseChild_(node, entry), entry);
+    if (sibling) {
+      node.children.push(sibling);
+    }
+  }
+
+  PathIndex.refit_(node);
+
+  return node.children.length > this.maxEntries_ ?
+    PathIndex.split_(node, this.minEntries_) :
+    null;
 };
 
 
 /**
- * Iterates over the points in the current path, filtering them based on the
- * test logic in 'callback'. Points for which callback returns true will be
- * used to attempt to produce a new path instance.
- * @param {Function(Object, Number, Array)} callback A filtering function
- *     taking a value, index, and the Path itself. The filter function should
- *     return true if the value should be preserved in the result Path.
- * @param {Object} thisObject An optional binding context.
- * @return {Path} A new path based on the filtered point set.
+ * Adds many paths to the index at once. Loading an empty index this way
+ * builds a better tree, in a fraction of the time, than inserting the paths
+ * one by one.
+ * @param {Array.<Path>} paths The paths to add.
+ * @throws {TypeError} If any of the paths isn't a Path.
+ * @return {PathIndex} The receiver.
  */
-Path.prototype.filter = function(callback, thisObject) {
-  return new Path(Array.prototype.filter.call(this, callback, thisObject));
+PathIndex.prototype.load = function(paths) {
+  var index = this;
+
+  if (this.entries_.size) {
+    Array.prototype.forEach.call(paths, function(path) {
+      index.insert(path);
+    });
+    return this;
+  }
+
+  var entries = new Map();
+  Array.prototype.forEach.call(paths, function(path) {
+    entries.set(path, PathIndex.entry_(path));
+  });
+
+  this.entries_ = entries;
+  this.root_ = PathIndex.pack_(Array.from(entries.values()),
+    this.maxEntries_);
+
+  return this;
 };
 
 
 /**
- * Iterates over the points in the current path and uses them to produce a new
- * set of points which form the basis of a new path. Note that for this
- * operation to function properly the callback function must return an array
- * containing two integer values representing a single point.
- * @param {Function(Object, Number, Array)} callback A processing function
- *     taking a value, index, and the Path itself. The function should return
- *     a new value which will be placed in the returned Array.
- * @param {Object} thisObject An optional binding context.
- * @return {Path} A new path created using the points returned by callback.
+ * Returns the paths nearest the point provided, closest first. Distances are
+ * measured to the paths themselves, as for Path.prototype.distanceTo, so a
+ * point inside a closed path is as far from it as from its outline.
+ * @param {Array.<Number>} point The x,y point to measure from.
+ * @param {Number} k Optionally, the number of paths to return, by default
+ *     1. Fewer are returned if the index holds fewer.
+ * @return {Array.<Path>} The nearest paths.
  */
-Path.prototype.map = function(callback, thisObject) {
-  return new Path(Array.prototype.map.call(this, callback, thisObject));
+PathIndex.prototype.nearest = function(point, k) {
+  var count = k === undefined ? 1 : k;
+  var found = [];
+  var heap = [{distance: 0, node: this.root_}];
+
+  // Nodes are visited nearest first, with their boxes giving the least
+  // distance to anything within them. A path whose actual distance comes
+  // off the heap is therefore nearer than anything left unvisited.
+  while (heap.length && found.length < count) {
+    var item = PathIndex.pop_(heap);
+    if (item.path) {
+      found.push(item.path);
+      continue;
+    }
+
+    var node = item.node;
+    node.children.forEach(function(child) {
+      PathIndex.push_(heap, node.leaf ?
+        {distance: child.path.distanceTo(point), path: child.path} :
+        {distance: PathIndex.boxDistance_(child, point), node: child});
+    });
+  }
+
+  return found;
 };
 
 
 /**
- * Sets the receiver's path string to the path stringp provided. Any point
- * array information is also updated as a result of this call.
- * @param {Array.<Array>} arg A valid point array per Path.isPointArray.
- * @return {Path} The receiver.
+ * Removes a path from the index. Nodes left with fewer than the minimum
+ * number of children are dissolved and the entries beneath them inserted
+ * again, so the tree stays as compact after many removals as it was built.
+ * @param {Path} path The path to remove.
+ * @return {Boolean} True if the path was in the index.
  */
-Path.prototype.setPath = function(arg) {
-  if (!Path.isPathString(arg)) {
-    Path.invalidPath(arg);
+PathIndex.prototype.remove = function(path) {
+  var entry = this.entries_.get(path);
+  if (!entry) {
+    return false;
   }
 
-  // Cache the original string representation provided.
-  this.path_ = arg;
+  var orphans = [];
+  this.entries_.delete(path);
+  this.removeFrom_(this.root_, entry, orphans);
+
+  // Drop levels left with a single child.
+  while (!this.root_.leaf && this.root_.children.length === 1) {
+    this.root_ = this.root_.children[0];
+  }
+  if (!this.root_.leaf && this.root_.children.length === 0) {
+    this.root_ = PathIndex.node_([], true);
+  }
 
-  // Truncate and then merge points into the receiver.
-  this.length = 0;
-  this.push.apply(this, Path.pathAsPointArray(arg));
+  var index = this;
+  orphans.forEach(function(node) {
+    PathIndex.leafEntries_(node).forEach(function(item) {
+      index.insertEntry_(item);
+    });
+  });
 
-  return this;
+  return true;
 };
 
 
 /**
- * Sets the receiver's point data set to the point array provided. Any path
- * string information is also updated as a result of this call.
- * @param {Array.<Array>} arg A valid point array per Path.isPointArray.
- * @return {Path} The receiver.
+ * Removes an entry from beneath the node given. Any node below it which is
+ * left underfull is removed too, and added to the orphans for its entries
+ * to be inserted again. Only nodes whose boxes contain the entry's are
+ * searched.
+ * @param {Object} node The node to remove from.
+ * @param {Object} entry The entry to remove.
+ * @param {Array.<Object>} orphans The nodes removed for being underfull.
+ * @return {Boolean} True if the entry was found.
+ * @private
  */
-Path.prototype.setPoints = function(arg) {
-  if (!Path.isPointArray(arg)) {
-    Path.invalidPath(arg);
-  }
+PathIndex.prototype.removeFrom_ = function(node, entry, orphans) {
+  var children = node.children;
+  var len = children.length;
 
-  // Update any existing and potentially conflicting path string data.
-  this.path_ = Path.pointArrayAsPath(arg);
+  for (var i = 0; i < len; i++) {
+    var child = children[i];
 
-  // Truncate and then merge points into the receiver.
-  this.length = 0;
-  this.push.apply(this, arg);
+    if (node.leaf ? child === entry : PathIndex.contains_(child, entry) &&
+        this.removeFrom_(child, entry, orphans)) {
+      if (node.leaf) {
+        children.splice(i, 1);
+      } else if (child.children.length < this.minEntries_) {
+        children.splice(i, 1);
+        orphans.push(child);
+      }
+      PathIndex.refit_(node);
+      return true;
+    }
+  }
 
-  return this;
+  return false;
 };
 
 
 /**
- * Slices a subset of the points out of the current path and uses them to
- * create a new path.
- * @param {Number} start The starting index. Default is 0.
- * @param {Number} end The ending index. Default is the end of the path.
- * @return {Path} A new path created from the slices point subset.
+ * Returns the paths whose bounding boxes intersect the rectangle provided,
+ * in no particular order. Since the test is by bounding box, callers
+ * needing exact results can refine them with methods such as
+ * Path.prototype.clipToRect.
+ * @param {Object} rect The rectangle to search, in the form returned by
+ *     Path.prototype.getBounds: {x: left, y: top, width: w, height: h}.
+ * @return {Array.<Path>} The paths found.
  */
-Path.prototype.slice = function(start, end) {
-  return new Path(Array.prototype.slice.apply(this, arguments));
+PathIndex.prototype.search = function(rect) {
+  var box = {minX: rect.x, minY: rect.y, maxX: rect.x + rect.width,
+    maxY: rect.y + rect.height};
+  var found = [];
+  var stack = [this.root_];
+
+  while (stack.length) {
+    var node = stack.pop();
+    if (!PathIndex.intersects_(node, box)) {
+      continue;
+    }
+
+    node.children.forEach(function(child) {
+      if (!node.leaf) {
+        stack.push(child);
+      } else if (PathIndex.intersects_(child, box)) {
+        found.push(child.path);
+      }
+    });
+  }
+
+  return found;
 };
 
 
 /**
- * Returns the string representation of the Path in a form suitable for use
- * in the 'd' attribute of an svg:path element.
- * @return {string} A string representation of the path.
+ * Re-indexes a path under its current bounds, as is needed after the path
+ * changes. Updating a path not in the index inserts it.
+ * @param {Path} path The path to update.
+ * @throws {TypeError} If the argument isn't a Path.
+ * @return {PathIndex} The receiver.
  */
-Path.prototype.toString = function() {
-  return this.path_;
+PathIndex.prototype.update = function(path) {
+  this.remove(path);
+
+  return this.insert(path);
+};
+
+// ========================================================================
+// Module Exports
+// ------------------------------------------------------------------------
+
+return {
+  ImmutablePath: ImmutablePath,
+  Path: Path,
+  PackedPath: PackedPath,
+  PathGroup: PathGroup,
+  PathIndex: PathIndex,
+  PathParser: PathParser,
+  PathSyntaxError: PathSyntaxError
 };
 
+}));
+
 // ========================================================================
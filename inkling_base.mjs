@@ -0,0 +1,23 @@
+// ========================================================================
+// NAME: inkling_base.mjs
+// AUTH: Scott Shattuck
+
+/**
+ * @fileoverview The ECMAScript module entry point. The implementation lives
+ * in inkling_base.js, which defines the module in a form require and script
+ * tags can load as well, and is re-exported here.
+ */
+
+import inkling from './inkling_base.js';
+
+export const ImmutablePath = inkling.ImmutablePath;
+export const Path = inkling.Path;
+export const PackedPath = inkling.PackedPath;
+export const PathGroup = inkling.PathGroup;
+export const PathIndex = inkling.PathIndex;
+export const PathParser = inkling.PathParser;
+export const PathSyntaxError = inkling.PathSyntaxError;
+
+export default inkling;
+
+// ========================================================================
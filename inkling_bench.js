@@ -0,0 +1,145 @@
+// ========================================================================
+// NAME: inkling_bench.js
+// AUTH: Scott Shattuck
+
+/**
+ * @fileoverview A simple benchmark comparing Path with PackedPath on a large
+ * path. Run it from Node, ideally with the garbage collector exposed so the
+ * memory figures are steady:
+ *
+ *     node --expose-gc inkling_bench.js [points]
+ *
+ * For each type the time taken to parse a path string, write it back out
+ * and measure it is reported, along with the heap memory the path holds.
+ */
+
+var inkling = require('./inkling_base.js');
+
+var Path = inkling.Path;
+var PackedPath = inkling.PackedPath;
+
+// ========================================================================
+// Benchmark Infrastructure
+// ------------------------------------------------------------------------
+
+/**
+ * Collects garbage if the collector is exposed, so memory readings reflect
+ * live objects only.
+ */
+function collect() {
+  if (typeof global.gc === 'function') {
+    global.gc();
+  }
+}
+
+
+/**
+ * Returns the heap memory in use, in bytes. Typed array contents live
+ * outside the JavaScript heap, so they're included via arrayBuffers.
+ * @return {Number} The heap memory in use.
+ */
+function heapUsed() {
+  var usage = process.memoryUsage();
+  return usage.heapUsed + (usage.arrayBuffers || 0);
+}
+
+
+/**
+ * Invokes a function, returning the time it took in milliseconds along with
+ * its result.
+ * @param {Function} func The function to time.
+ * @return {Object} An object with the keys ms and result.
+ */
+function time(func) {
+  var start = process.hrtime();
+  var result = func();
+  var elapsed = process.hrtime(start);
+
+  return {ms: elapsed[0] * 1e3 + elapsed[1] / 1e6, result: result};
+}
+
+
+/**
+ * Produces a path string of the given number of points, a random walk with
+ * integer coordinates so it suits both storage types.
+ * @param {Number} count The number of points.
+ * @return {string} The path string.
+ */
+function trace(count) {
+  var parts = ['M0 0'];
+  var x = 0;
+  var y = 0;
+
+  for (var i = 1; i < count; i++) {
+    x += Math.floor(Math.random() * 21) - 10;
+    y += Math.floor(Math.random() * 21) - 10;
+    parts.push('L' + x + ' ' + y);
+  }
+
+  return parts.join(' ');
+}
+
+
+/**
+ * Runs the benchmark for one kind of path, printing a line of results. The
+ * path is returned so the caller can keep it alive. Releasing it would let
+ * its memory be freed part way through measuring the next path.
+ * @param {string} label The name to report the results under.
+ * @param {Function} create A function building the path from a string.
+ * @param {string} str The path string to use.
+ * @return {Path} The path built.
+ */
+function run(label, create, str) {
+  collect();
+  var before = heapUsed();
+
+  var parse = time(function() {
+    return create(str);
+  });
+  var path = parse.result;
+
+  collect();
+  var memory = heapUsed() - before;
+
+  var write = time(function() {
+    return path.toString();
+  });
+  var measure = time(function() {
+    return path.getLength();
+  });
+
+  console.log(label +
+    '  parse: ' + parse.ms.toFixed(1) + 'ms' +
+    '  toString: ' + write.ms.toFixed(1) + 'ms' +
+    '  getLength: ' + measure.ms.toFixed(1) + 'ms' +
+    '  memory: ' + (memory / 1048576).toFixed(1) + 'MB');
+
+  return path;
+}
+
+// ========================================================================
+// Benchmark
+// ------------------------------------------------------------------------
+
+var count = Number(process.argv[2]) || 200000;
+var str = trace(count);
+
+console.log('Points: ' + count +
+  (typeof global.gc === 'function' ? '' :
+    ' (run with --expose-gc for steadier memory figures)'));
+
+var paths = [];
+
+paths.push(run('Path                   ', function(arg) {
+  return new Path(arg);
+}, str));
+
+paths.push(run('PackedPath (Float64)   ', function(arg) {
+  return new PackedPath(arg);
+}, str));
+
+paths.push(run('PackedPath (Int32)     ', function(arg) {
+  return new PackedPath(arg, {type: Int32Array});
+}, str));
+
+// ========================================================================
@@ -54,12 +54,18 @@ test.summary = {
 /**
  * A comparison (equality) check routine that can manage testing whether a
  * pair of arrays are equal. This is necessary for properly testing the
- * various pathToPointArray invocations.
+ * various pathToPointArray invocations. Paths are compared by shape, via
+ * their equals method, rather than by their strings.
  * @param {Object} actual The actual value, or first value if you prefer.
  * @param {Object} expected The expected, or second value.
  * @param {string} message The message to output when the test fails.
  */
 function compare(actual, expected, message) {
+  if (actual instanceof Path) {
+    queue(actual.equals(expected), actual, expected, message);
+    return;
+  }
+
   if (!Array.isArray(actual) || !Array.isArray(expected)) {
     queue(actual == expected, actual, expected, message);
     return;
@@ -158,6 +164,21 @@ function raises(func, message) {
 }
 
 
+/**
+ * Invokes a function and returns whatever it throws. This allows tests to
+ * inspect the error raised rather than simply verifying that one was.
+ * @param {Function} func The function expected to raise an error.
+ * @return {Object} The thrown object, or undefined if nothing was thrown.
+ */
+function thrown(func) {
+  try {
+    func();
+  } catch (e) {
+    return e;
+  }
+}
+
+
 /**
  * Outputs a test name along with any queued test result information. The
  * various functions such as equal, identical, ok, not, raises, etc. push
@@ -434,26 +455,143 @@ function runTests() {
       'Path string \'m100 100 L100 200 L200 100 Z\' failed to pass.');
   });
 
+  // separators and implicit repetition
+
+  test('Path.isPathString("M100,100L100,200")', function() {
+    ok(Path.isPathString('M100,100L100,200'),
+      'Path string \'M100,100L100,200\' failed to pass.');
+  });
+
+  test('Path.isPathString("M100-100L-100-200")', function() {
+    ok(Path.isPathString('M100-100L-100-200'),
+      'Path string \'M100-100L-100-200\' failed to pass.');
+  });
+
+  test('Path.isPathString("M100 100 200 200 300 100")', function() {
+    ok(Path.isPathString('M100 100 200 200 300 100'),
+      'Path string \'M100 100 200 200 300 100\' failed to pass.');
+  });
+
+  test('Path.isPathString("  M100 100\\nL100 200\\tZ  ")', function() {
+    ok(Path.isPathString('  M100 100\nL100 200\tZ  '),
+      'Path string with surrounding whitespace failed to pass.');
+  });
+
+  test('!!! Path.isPathString("M100 100,L100 200")', function() {
+    not(Path.isPathString('M100 100,L100 200'),
+      'Path string \'M100 100,L100 200\' should not pass.');
+  });
+
+  test('!!! Path.isPathString("M100,,100L100 200")', function() {
+    not(Path.isPathString('M100,,100L100 200'),
+      'Path string \'M100,,100L100 200\' should not pass.');
+  });
+
+  // remaining drawing commands
+
+  test('Path.isPathString("M100 100H200V200h-100v-100")', function() {
+    ok(Path.isPathString('M100 100H200V200h-100v-100'),
+      'Path string \'M100 100H200V200h-100v-100\' failed to pass.');
+  });
+
+  test('Path.isPathString("M0 0C10 10 20 10 30 0S50-10 60 0")', function() {
+    ok(Path.isPathString('M0 0C10 10 20 10 30 0S50-10 60 0'),
+      'Path string \'M0 0C10 10 20 10 30 0S50-10 60 0\' failed to pass.');
+  });
+
+  test('Path.isPathString("M0 0Q10 10 20 0T40 0t20 0")', function() {
+    ok(Path.isPathString('M0 0Q10 10 20 0T40 0t20 0'),
+      'Path string \'M0 0Q10 10 20 0T40 0t20 0\' failed to pass.');
+  });
+
+  test('Path.isPathString("M0 0A25 25 -30 0 1 50 -25a25,25 0 1050 0")',
+      function() {
+    ok(Path.isPathString('M0 0A25 25 -30 0 1 50 -25a25,25 0 1050 0'),
+      'Path string with compact arc flags failed to pass.');
+  });
+
+  test('!!! Path.isPathString("M0 0A25 25 0 2 1 50 -25")', function() {
+    not(Path.isPathString('M0 0A25 25 0 2 1 50 -25'),
+      'Path string with an arc flag of 2 should not pass.');
+  });
+
+  test('!!! Path.isPathString("M0 0C10 10 20 10")', function() {
+    not(Path.isPathString('M0 0C10 10 20 10'),
+      'Path string with a short curveto should not pass.');
+  });
+
+  test('!!! Path.isPathString("M0 0B10 10")', function() {
+    not(Path.isPathString('M0 0B10 10'),
+      'Path string with an unknown command should not pass.');
+  });
+
+  // connectedness
+
+  test('!!! Path.isPathString("M0 0L10 10M20 20L30 30")', function() {
+    not(Path.isPathString('M0 0L10 10M20 20L30 30'),
+      'Path string with a second moveto should not pass.');
+  });
+
+  test('!!! Path.isPathString("M0 0L10 10ZL20 20")', function() {
+    not(Path.isPathString('M0 0L10 10ZL20 20'),
+      'Path string with a closepath before the end should not pass.');
+  });
+
+  test('!!! Path.isPathString("M0 0L10 10ZZ")', function() {
+    not(Path.isPathString('M0 0L10 10ZZ'),
+      'Path string with a doubled closepath should not pass.');
+  });
+
+  test('!!! Path.isPathString("M0 0Z")', function() {
+    not(Path.isPathString('M0 0Z'),
+      'Path string \'M0 0Z\' has no drawing command, should not pass.');
+  });
+
+  test('!!! Path.isPathString(100)', function() {
+    not(Path.isPathString(100),
+      'Non-string value should not pass.');
+  });
+
   // floating point points
 
-  test('!!! Path.isPathString("m100.0 100l0 100")', function() {
-    not(Path.isPathString('m100.0 100l0 100'),
-      'Path string \'m100.0 100l0 100\' has ., should not pass.');
+  test('Path.isPathString("m100.0 100l0 100")', function() {
+    ok(Path.isPathString('m100.0 100l0 100'),
+      'Path string \'m100.0 100l0 100\' failed to pass.');
+  });
+
+  test('Path.isPathString("m100 100.0 l0 100")', function() {
+    ok(Path.isPathString('m100 100.0 l0 100'),
+      'Path string \'m100 100.0 l0 100\' failed to pass.');
+  });
+
+  test('Path.isPathString("m100 100L100.0 200")', function() {
+    ok(Path.isPathString('m100 100L100.0 200'),
+      'Path string \'m100 100L100.0 200\' failed to pass.');
   });
 
-  test('!!! Path.isPathString("m100 100.0 l0 100")', function() {
-    not(Path.isPathString('m100 100.0 l0 100'),
-      'Path string \'m100 100.0 l0 100\' has ., should not pass.');
+  test('Path.isPathString("m100 100 L100 200.0")', function() {
+    ok(Path.isPathString('m100 100 L100 200.0'),
+      'Path string \'m100 100 L100 200.0\' failed to pass.');
   });
 
-  test('!!! Path.isPathString("m100 100L100.0 200")', function() {
-    not(Path.isPathString('m100 100L100.0 200'),
-      'Path string \'m100 100L100.0 200\' has ., should not pass.');
+  test('Path.isPathString("M.5 .5L-.5-1.5")', function() {
+    ok(Path.isPathString('M.5 .5L-.5-1.5'),
+      'Path string \'M.5 .5L-.5-1.5\' failed to pass.');
   });
 
-  test('!!! Path.isPathString("m100 100 L100 200.0")', function() {
-    not(Path.isPathString('m100 100 L100 200.0'),
-      'Path string \'m100 100 L100 200.0\' has ., should not pass.');
+  test('Path.isPathString("M0.5 1e2 L3 4E-1")', function() {
+    ok(Path.isPathString('M0.5 1e2 L3 4E-1'),
+      'Path string \'M0.5 1e2 L3 4E-1\' failed to pass.');
+  });
+
+  test('!!! Path.isPathString("M0.5 1e L3 4")', function() {
+    not(Path.isPathString('M0.5 1e L3 4'),
+      'Path string \'M0.5 1e L3 4\' has a bad exponent, should not pass.');
+  });
+
+  test('!!! Path.isPathString("M. 1 L3 4")', function() {
+    not(Path.isPathString('M. 1 L3 4'),
+      'Path string \'M. 1 L3 4\' has a bare ., should not pass.');
   });
 
 
@@ -479,6 +617,16 @@ function runTests() {
   });
 
 
+  test('Path.isPointArray([[0.5, 1], [1e2, -2.25]])', function() {
+    ok(Path.isPointArray([[0.5, 1], [1e2, -2.25]]),
+      'Point array \'[[0.5, 1], [1e2, -2.25]]\' failed to pass.');
+  });
+
+  test('!!! Path.isPointArray([[0, 0], [Infinity, 0]])', function() {
+    not(Path.isPointArray([[0, 0], [Infinity, 0]]),
+      'Point array \'[[0, 0], [Infinity, 0]]\' should have failed.');
+  });
+
   test('!!! Path.isPointArray(badPoints)', function() {
     not(Path.isPointArray(badPoints),
       'Point array \'badPoints\' should have failed on NaN.');
@@ -495,6 +643,48 @@ function runTests() {
   });
 
 
+  // ---
+  // parse tests.
+  // ---
+
+  report('Path.parse() Tests');
+
+  test('Path.parse(\'M100 100L100 200\')', function() {
+    var commands = Path.parse('M100 100L100 200');
+    equal(commands.length, 2, 'Wrong number of commands.');
+    equal(commands[0].command, 'M', 'First command not a moveto.');
+    compare(commands[1].args, [100, 200], 'Lineto arguments wrong.');
+  });
+
+  test('Path.parse(\'m10 10 20 20\') implicit lineto', function() {
+    var commands = Path.parse('m10 10 20 20');
+    equal(commands[1].command, 'l',
+      'Implicit pair after m not a relative lineto.');
+    compare(commands[1].args, [20, 20], 'Implicit lineto arguments wrong.');
+  });
+
+  test('Path.parse(\'M0 0C1 2 3 4 5 6 7 8 9 10 11 12\') repetition',
+      function() {
+    var commands = Path.parse('M0 0C1 2 3 4 5 6 7 8 9 10 11 12');
+    equal(commands.length, 3, 'Repeated curveto not expanded.');
+    equal(commands[2].command, 'C', 'Repeated curveto lost its letter.');
+    compare(commands[2].args, [7, 8, 9, 10, 11, 12],
+      'Repeated curveto arguments wrong.');
+  });
+
+  test('Path.parse(\'M0 0a25,25 0 1050 0\') arc flags', function() {
+    var commands = Path.parse('M0 0a25,25 0 1050 0');
+    compare(commands[1].args, [25, 25, 0, 1, 0, 50, 0],
+      'Compact arc flags not separated.');
+  });
+
+  test('!!! Path.parse(\'M0 0L10\')', function() {
+    raises(function() {
+      Path.parse('M0 0L10');
+    }, 'Path.parse failed to raise on incomplete lineto.');
+  });
+
+
   // ---
   // Path-to-Points tests.
   // ---
@@ -566,6 +756,53 @@ function runTests() {
   });
 
 
+  // decimal and exponent paths
+
+  test('Path.pathAsPointArray(\'M.5 1e2l1.5-.5\')', function() {
+    compare(Path.pathAsPointArray('M.5 1e2l1.5-.5'),
+      [[0.5, 100], [2, 99.5]],
+      'Path \'M.5 1e2l1.5-.5\' not equal to [[0.5, 100], [2, 99.5]]');
+  });
+
+  test('Path.pathAsPointArray(\'M0.5.5L1.5.5\')', function() {
+    compare(Path.pathAsPointArray('M0.5.5L1.5.5'),
+      [[0.5, 0.5], [1.5, 0.5]],
+      'Path \'M0.5.5L1.5.5\' not equal to [[0.5, 0.5], [1.5, 0.5]]');
+  });
+
+  // shortcut, curve and arc paths
+
+  test('Path.pathAsPointArray(\'M100 100H200V200h-100z\')', function() {
+    compare(Path.pathAsPointArray('M100 100H200V200h-100z'),
+      [[100, 100], [200, 100], [200, 200], [100, 200], [100, 100]],
+      'Path \'M100 100H200V200h-100z\' not equal to ' +
+      '[[100, 100], [200, 100], [200, 200], [100, 200], [100, 100]]');
+  });
+
+  test('Path.pathAsPointArray(\'M0 0C10 10 20 10 30 0s20-10 30 0\')',
+      function() {
+    compare(Path.pathAsPointArray('M0 0C10 10 20 10 30 0s20-10 30 0'),
+      [[0, 0], [30, 0], [60, 0]],
+      'Path \'M0 0C10 10 20 10 30 0s20-10 30 0\' not equal to ' +
+      '[[0, 0], [30, 0], [60, 0]]');
+  });
+
+  test('Path.pathAsPointArray(\'m10 10q10 10 20 0a5 5 0 0 1 10 0\')',
+      function() {
+    compare(Path.pathAsPointArray('m10 10q10 10 20 0a5 5 0 0 1 10 0'),
+      [[10, 10], [30, 10], [40, 10]],
+      'Path \'m10 10q10 10 20 0a5 5 0 0 1 10 0\' not equal to ' +
+      '[[10, 10], [30, 10], [40, 10]]');
+  });
+
+  test('Path.pathAsPointArray(\'m10 10 10 0 0 10\')', function() {
+    compare(Path.pathAsPointArray('m10 10 10 0 0 10'),
+      [[10, 10], [20, 10], [20, 20]],
+      'Path \'m10 10 10 0 0 10\' not equal to ' +
+      '[[10, 10], [20, 10], [20, 20]]');
+  });
+
+
   // ---
   // Points-to-Path tests.
   // ---
@@ -613,6 +850,23 @@ function runTests() {
   });
 
 
+  // precision
+
+  test('Path.pointArrayAsPath([[0.125, 1], [2.5, 3.3333]], {precision: 2})',
+      function() {
+    compare(Path.pointArrayAsPath([[0.125, 1], [2.5, 3.3333]],
+      {precision: 2}),
+      'M0.13 1 L2.5 3.33',
+      'Rounded path not equal to \'M0.13 1 L2.5 3.33\'');
+  });
+
+  test('Path.pointArrayAsPath([[0.5, 1], [2.25, 3]])', function() {
+    compare(Path.pointArrayAsPath([[0.5, 1], [2.25, 3]]),
+      'M0.5 1 L2.25 3',
+      'Path not equal to \'M0.5 1 L2.25 3\'');
+  });
+
+
   // ---
   // Constructor tests.
   // ---
@@ -643,6 +897,156 @@ function runTests() {
   });
 
 
+  test('new Path(\'M0 0 H10 V10 Z\')', function() {
+    var path = new Path('M0 0 H10 V10 Z');
+    equal(path.length, 4, 'Path from H/V string has wrong point count.');
+    equal(path.toString(), 'M0 0 H10 V10 Z',
+      'Path from H/V string did not keep its string form.');
+  });
+
+  test('!!! new Path(\'M0 0 L10 10 M20 20 L30 30\')', function() {
+    raises(function() {
+      var path = new Path('M0 0 L10 10 M20 20 L30 30');
+    }, 'Path constructor failed to raise with disconnected path.');
+  });
+
+  test('new Path(...).getCommands()', function() {
+    var path = new Path('M0 0 h10 V10');
+    var commands = path.getCommands();
+    equal(commands.length, 3, 'Wrong number of commands.');
+    equal(commands[1].command, 'h', 'Relative command letter not kept.');
+    commands[1].args[0] = 99;
+    equal(path.getCommands()[1].args[0], 10,
+      'Command list not copied on return.');
+  });
+
+
+  // ---
+  // PathSyntaxError tests.
+  // ---
+
+  report('PathSyntaxError Tests');
+
+  test('new Path(\'M0 0 L10 x\') error', function() {
+    var e = thrown(function() {
+      var path = new Path('M0 0 L10 x');
+    });
+    ok(e instanceof PathSyntaxError, 'Error not a PathSyntaxError.');
+    ok(e instanceof Error, 'PathSyntaxError not an instanceof Error.');
+    equal(e.name, 'PathSyntaxError', 'Error name wrong.');
+    equal(e.code, PathSyntaxError.EXPECTED_NUMBER, 'Error code wrong.');
+    equal(e.offset, 9, 'Error offset wrong.');
+    equal(e.column, 10, 'Error column wrong.');
+    equal(e.expected, 'number', 'Error expected wrong.');
+    equal(e.input, 'M0 0 L10 x', 'Error input wrong.');
+  });
+
+  test('PathSyntaxError name and stack', function() {
+    var e = new PathSyntaxError(PathSyntaxError.TOO_FEW_POINTS, [[0, 0]]);
+    equal(Object.prototype.toString.call(e), '[object Error]',
+      'Error not a true Error.');
+    equal(String(e), 'PathSyntaxError: ' + e.message, 'Error string wrong.');
+    if (typeof e.stack === 'string' && /^\w*Error/.test(e.stack)) {
+      equal(e.stack.indexOf('PathSyntaxError: ' + e.message), 0,
+        'Error stack does not open with its name and message.');
+    }
+  });
+
+  test('new Path(\'M0 0\\nL10 10\\nM5 5\') error', function() {
+    var e = thrown(function() {
+      var path = new Path('M0 0\nL10 10\nM5 5');
+    });
+    equal(e.code, PathSyntaxError.MOVETO_NOT_FIRST, 'Error code wrong.');
+    equal(e.offset, 12, 'Error offset wrong.');
+    equal(e.line, 3, 'Error line wrong.');
+    equal(e.column, 1, 'Error column wrong.');
+  });
+
+  test('new Path(\'L0 0 L10 10\') error', function() {
+    var e = thrown(function() {
+      var path = new Path('L0 0 L10 10');
+    });
+    equal(e.code, PathSyntaxError.MOVETO_NOT_FIRST, 'Error code wrong.');
+    equal(e.expected, 'moveto', 'Error expected wrong.');
+  });
+
+  test('new Path(\'M0 0 L10 10 Z L5 5\') error', function() {
+    var e = thrown(function() {
+      var path = new Path('M0 0 L10 10 Z L5 5');
+    });
+    equal(e.code, PathSyntaxError.CLOSEPATH_NOT_LAST, 'Error code wrong.');
+    equal(e.offset, 14, 'Error offset wrong.');
+  });
+
+  test('new Path(\'M0 0 A5 5 0 1 2 10 10\') error', function() {
+    var e = thrown(function() {
+      var path = new Path('M0 0 A5 5 0 1 2 10 10');
+    });
+    equal(e.code, PathSyntaxError.EXPECTED_FLAG, 'Error code wrong.');
+    equal(e.offset, 14, 'Error offset wrong.');
+  });
+
+  test('new Path(\'M0 0 L10\') error', function() {
+    var e = thrown(function() {
+      var path = new Path('M0 0 L10');
+    });
+    equal(e.code, PathSyntaxError.UNEXPECTED_END, 'Error code wrong.');
+    equal(e.offset, 8, 'Error offset wrong.');
+  });
+
+  test('new Path(\'M0 0\') error', function() {
+    var e = thrown(function() {
+      var path = new Path('M0 0');
+    });
+    equal(e.code, PathSyntaxError.TOO_FEW_POINTS, 'Error code wrong.');
+  });
+
+  test('new Path(badPoints) error', function() {
+    var e = thrown(function() {
+      var path = new Path(badPoints);
+    });
+    equal(e.code, PathSyntaxError.NAN_COORDINATE, 'Error code wrong.');
+    equal(e.index, 1, 'Error point index wrong.');
+    identical(e.offset, null, 'Error offset set for point array.');
+  });
+
+  test('new Path(emptyPoints) error', function() {
+    var e = thrown(function() {
+      var path = new Path(emptyPoints);
+    });
+    equal(e.code, PathSyntaxError.INVALID_POINT, 'Error code wrong.');
+    equal(e.index, 0, 'Error point index wrong.');
+  });
+
+  test('new Path([[0, 0]]) error', function() {
+    var e = thrown(function() {
+      var path = new Path([[0, 0]]);
+    });
+    equal(e.code, PathSyntaxError.TOO_FEW_POINTS, 'Error code wrong.');
+  });
+
+  test('new Path(42) error', function() {
+    var e = thrown(function() {
+      var path = new Path(42);
+    });
+    equal(e.code, PathSyntaxError.INVALID_INPUT, 'Error code wrong.');
+  });
+
+  test('path.setPoints(...) error', function() {
+    var path = new Path(goodPoints);
+    var e = thrown(function() {
+      path.setPoints([[0, 0], [Infinity, 0]]);
+    });
+    equal(e.code, PathSyntaxError.INFINITE_COORDINATE, 'Error code wrong.');
+    equal(e.index, 1, 'Error point index wrong.');
+  });
+
+  test('Path.checkPointArray(goodPoints)', function() {
+    identical(Path.checkPointArray(goodPoints), null,
+      'Valid point array produced an error.');
+  });
+
+
   // ---
   // instanceof tests.
   // ---
@@ -815,6 +1219,97 @@ function runTests() {
   });
 
 
+  // ---
+  // Array-derived method tests.
+  // ---
+
+  report('Array-derived Method Tests');
+
+  test('path.concat(...) instanceof Path', function() {
+    var path = new Path([[0, 0], [10, 0]]);
+    var path2 = path.concat(new Path([[10, 10], [0, 10]]), [[0, 5]], [0, 0]);
+    ok(path2 instanceof Path, 'concat() did not return a Path.');
+    equal(path2.toString(), 'M0 0 L10 0 L10 10 L0 10 L0 5 L0 0',
+      'Concatenated path string does not match.');
+    equal(path.length, 2, 'concat() modified the receiver.');
+  });
+
+  test('path.splice(...) returns a Path', function() {
+    var path = new Path(goodPoints);
+    var removed = path.splice(1, 2);
+    ok(removed instanceof Path, 'splice() did not return a Path.');
+    equal(removed.toString(), 'M100 200 L200 200',
+      'Removed path string does not match.');
+  });
+
+  test('path.splice(...) single point returns an Array', function() {
+    var path = new Path(goodPoints);
+    var removed = path.splice(1, 1);
+    not(removed instanceof Path, 'splice() of one point returned a Path.');
+    compare(removed, [[100, 200]], 'Removed point does not match.');
+  });
+
+  test('path.reverse() / path.sort() return the receiver', function() {
+    var path = new Path([[0, 0], [10, 0]]);
+    identical(path.reverse(), path, 'reverse() did not return receiver.');
+    identical(path.sort(), path, 'sort() did not return receiver.');
+  });
+
+  test('path.flatMap(...)', function() {
+    var path = new Path([[0, 0], [10, 0]]);
+    var path2 = path.flatMap(function(point) {
+      return [point, [point[0], 10]];
+    });
+    ok(path2 instanceof Path, 'flatMap() did not return a Path.');
+    equal(path2.toString(), 'M0 0 L0 10 L10 0 L10 10',
+      'Flat mapped path string does not match.');
+  });
+
+  test('path.toReversed() / toSorted() / toSpliced() / with()', function() {
+    var path = new Path([[20, 0], [0, 0], [10, 0]]);
+    equal(path.toReversed().toString(), 'M10 0 L0 0 L20 0',
+      'toReversed() path string does not match.');
+    equal(path.toSorted(function(a, b) {
+      return a[0] - b[0];
+    }).toString(), 'M0 0 L10 0 L20 0',
+      'toSorted() path string does not match.');
+    equal(path.toSpliced(1, 1).toString(), 'M20 0 L10 0',
+      'toSpliced() path string does not match.');
+    equal(path['with'](-1, [5, 5]).toString(), 'M20 0 L0 0 L5 5',
+      'with() path string does not match.');
+    equal(path.toString(), 'M20 0 L0 0 L10 0',
+      'Copying methods modified the receiver.');
+  });
+
+  test('Path.from(...) / Path.of(...)', function() {
+    var path = Path.from(goodPoints);
+    ok(path instanceof Path, 'Path.from() did not return a Path.');
+    equal(path.toString(), 'M100 100 L100 200 L200 200 L200 100 Z',
+      'Path.from() path string does not match.');
+    var path2 = Path.from(path, function(point) {
+      return [point[0] / 10, point[1] / 10];
+    });
+    equal(path2.toString(), 'M10 10 L10 20 L20 20 L20 10 Z',
+      'Mapped Path.from() path string does not match.');
+    equal(Path.of([0, 0], [1, 1]).toString(), 'M0 0 L1 1',
+      'Path.of() path string does not match.');
+  });
+
+  test('path.constructor === Path', function() {
+    identical(new Path(goodPoints).constructor, Path,
+      'Path constructor property not Path.');
+  });
+
+  test('path.reduce() / join() / indexOf() return plain values', function() {
+    var path = new Path([[1, 2], [3, 4]]);
+    identical(path.reduce(function(sum, point) {
+      return sum + point[0];
+    }, 0), 4, 'reduce() result wrong.');
+    identical(path.join(' '), '1,2 3,4', 'join() result wrong.');
+    identical(path.indexOf(path[1]), 1, 'indexOf() result wrong.');
+  });
+
+
   // ---
   // toString() tests.
   // ---
@@ -828,6 +1323,2219 @@ function runTests() {
       'toString() not equal to M100 100 L100 200 L200 200 L200 100 Z');
   });
 
+  test('new Path(...).toString({precision: 1})', function() {
+    var path = new Path('M0.25 1e-3 c1.06 1 2 2 3.333 3');
+    identical(path.toString({precision: 1}),
+      'M0.3 0 c1.1 1 2 2 3.3 3',
+      'toString({precision: 1}) not equal to M0.3 0 c1.1 1 2 2 3.3 3');
+    identical(path.toString(), 'M0.25 1e-3 c1.06 1 2 2 3.333 3',
+      'toString() did not keep the original string.');
+  });
+
+  test('new Path(...).toString({precision: 0})', function() {
+    var path = new Path([[-0.4, 1.6], [10.5, 2]]);
+    identical(path.toString({precision: 0}), 'M0 2 L11 2',
+      'toString({precision: 0}) not equal to M0 2 L11 2');
+  });
+
+
+  // ---
+  // Mutation tests.
+  // ---
+
+  report('Mutation Tests');
+
+  test('path.push([300, 300]).toString()', function() {
+    var path = new Path([[0, 0], [100, 0]]);
+    equal(path.push([100, 100]), 3, 'push() did not return new length.');
+    equal(path.toString(), 'M0 0 L100 0 L100 100',
+      'Pushed path string does not match.');
+  });
+
+  test('path.pop().toString()', function() {
+    var path = new Path(goodPoints);
+    compare(path.pop(), [200, 100], 'pop() did not return last vertex.');
+    equal(path.toString(), 'M100 100 L100 200 L200 200 Z',
+      'Popped path string does not match.');
+  });
+
+  test('path.shift() / path.unshift(...).toString()', function() {
+    var path = new Path([[0, 0], [10, 0], [10, 10]]);
+    path.shift();
+    equal(path.toString(), 'M10 0 L10 10',
+      'Shifted path string does not match.');
+    path.unshift([10, 10]);
+    equal(path.toString(), 'M10 10 L10 0 L10 10',
+      'Unshifted path string does not match.');
+  });
+
+  test('path.splice(...).toString()', function() {
+    var path = new Path([[0, 0], [10, 0], [10, 10]]);
+    path.splice(1, 1, [5, 5], [6, 6]);
+    equal(path.toString(), 'M0 0 L5 5 L6 6 L10 10',
+      'Spliced path string does not match.');
+  });
+
+  test('path.reverse().toString()', function() {
+    var path = new Path('M0 0 L10 0 L10 10');
+    path.reverse();
+    equal(path.toString(), 'M10 10 L10 0 L0 0',
+      'Reversed path string does not match.');
+  });
+
+  test('path.sort(...).toString()', function() {
+    var path = new Path([[30, 0], [10, 0], [20, 0]]);
+    path.sort(function(a, b) {
+      return a[0] - b[0];
+    });
+    equal(path.toString(), 'M10 0 L20 0 L30 0',
+      'Sorted path string does not match.');
+  });
+
+  test('path.sort() no-op keeps the original string', function() {
+    var path = new Path('m0 0 l10 0');
+    path.sort(function(a, b) {
+      return a[0] - b[0];
+    });
+    equal(path.toString(), 'm0 0 l10 0',
+      'Unchanged path lost its original string.');
+  });
+
+  test('path[1] = [...] toString()', function() {
+    var path = new Path('M0 0 h10 v10');
+    path[1] = [20, 0];
+    equal(path.toString(), 'M0 0 h20 l-10 10',
+      'Assigned path string does not match.');
+    equal(path.getCommands()[2].command, 'l',
+      'Assigned path commands not updated.');
+  });
+
+  test('path[1][0] = ... toString()', function() {
+    var path = new Path([[0, 0], [10, 0]]);
+    path[1][0] = 30;
+    equal(path.toString(), 'M0 0 L30 0',
+      'Edited point path string does not match.');
+  });
+
+  test('!!! path.pop() below two points', function() {
+    var path = new Path([[0, 0], [10, 0]]);
+    var e = thrown(function() {
+      path.pop();
+    });
+    equal(e && e.code, PathSyntaxError.TOO_FEW_POINTS,
+      'pop() to a single point not reported.');
+    equal(path.length, 2, 'Failed pop() did not restore the points.');
+    equal(path.toString(), 'M0 0 L10 0',
+      'Failed pop() changed the path string.');
+  });
+
+  test('!!! path.push([NaN, 0])', function() {
+    var path = new Path([[0, 0], [10, 0]]);
+    var e = thrown(function() {
+      path.push([NaN, 0]);
+    });
+    equal(e && e.code, PathSyntaxError.NAN_COORDINATE,
+      'push() of a NaN point not reported.');
+    equal(path.length, 2, 'Failed push() did not restore the points.');
+  });
+
+  test('!!! path.splice(1, 0, [0, Infinity])', function() {
+    var path = new Path('M0 0 L10 0');
+    var e = thrown(function() {
+      path.splice(1, 0, [5, 5], [0, Infinity]);
+    });
+    equal(e && e.code, PathSyntaxError.INFINITE_COORDINATE,
+      'splice() of an infinite point not reported.');
+    equal(e && e.index, 2, 'splice() error index wrong.');
+    equal(path.toString(), 'M0 0 L10 0', 'Failed splice() changed the path.');
+  });
+
+  test('path.push(...) many times', function() {
+    var path = new Path('M0 0 l10 0');
+    for (var i = 1; i <= 100; i++) {
+      path.push([10, i]);
+    }
+    equal(path.length, 102, 'Pushed path length wrong.');
+    equal(path.getCommands()[101].command, 'l',
+      'Pushed points lost the relative form.');
+    compare(path[101], [10, 100], 'Last pushed point wrong.');
+  });
+
+  test('!!! path[1] = \'bad\' toString()', function() {
+    var path = new Path([[0, 0], [10, 0]]);
+    path[1] = 'bad';
+    var e = thrown(function() {
+      path.toString();
+    });
+    equal(e && e.code, PathSyntaxError.INVALID_POINT,
+      'Invalid assigned point not reported.');
+  });
+
+
+  // ---
+  // Measurement tests.
+  // ---
+
+  report('Measurement Tests');
+
+  test('path.isClosed()', function() {
+    ok(new Path(goodPoints).isClosed(), 'goodPoints path not closed.');
+    ok(new Path('M0 0 L10 0 L10 10 Z').isClosed(),
+      'Path closed with Z not closed.');
+    not(new Path('M0 0 L10 0 L10 10').isClosed(),
+      'Open path reported as closed.');
+  });
+
+  test('path.getSegmentLengths()', function() {
+    compare(new Path('M0 0 L3 4 L3 10').getSegmentLengths(), [5, 6],
+      'Open path segment lengths wrong.');
+    compare(new Path(goodPoints).getSegmentLengths(), [100, 100, 100, 100],
+      'Closed path segment lengths wrong.');
+  });
+
+  test('path.getLength()', function() {
+    equal(new Path('M0 0 L3 4 L3 10').getLength(), 11,
+      'Open path length wrong.');
+    equal(new Path(goodPoints).getLength(), 400,
+      'Closed path length wrong.');
+    equal(new Path('M0 0 L10 0 L10 10').getLength(), 20,
+      'Open path length included a closing segment.');
+  });
+
+  test('path.getArea()', function() {
+    equal(new Path('M0 0 L10 0 L10 10 L0 10 Z').getArea(), 100,
+      'Clockwise square area wrong.');
+    equal(new Path('M0 0 L0 10 L10 10 L10 0 Z').getArea(), -100,
+      'Counter-clockwise square area wrong.');
+    equal(new Path('M0 0 L10 0 L10 10 L0 10').getArea(), 100,
+      'Open square area not implicitly closed.');
+    equal(new Path('M0 0 L10 10').getArea(), 0,
+      'Line area not zero.');
+  });
+
+  test('path.getOrientation()', function() {
+    equal(new Path('M0 0 L10 0 L10 10 Z').getOrientation(), Path.CLOCKWISE,
+      'Clockwise triangle orientation wrong.');
+    equal(new Path('M0 0 L10 10 L10 0 Z').getOrientation(),
+      Path.COUNTERCLOCKWISE,
+      'Counter-clockwise triangle orientation wrong.');
+    identical(new Path('M0 0 L10 10 L20 20').getOrientation(), null,
+      'Collinear path has an orientation.');
+  });
+
+  test('path.getCentroid()', function() {
+    compare(new Path(goodPoints).getCentroid(), [150, 150],
+      'Square centroid wrong.');
+    compare(new Path('M0 0 L0 30 L30 0 Z').getCentroid(), [10, 10],
+      'Triangle centroid wrong.');
+    compare(new Path('M0 0 L10 0 L30 0').getCentroid(), [15, 0],
+      'Line centroid wrong.');
+    compare(new Path('M5 5 L5 5').getCentroid(), [5, 5],
+      'Single point centroid wrong.');
+  });
+
+  test('path.getBounds()', function() {
+    var bounds = new Path('M10 -5 L30 20 L-10 0').getBounds();
+    equal(bounds.x, -10, 'Bounds x wrong.');
+    equal(bounds.y, -5, 'Bounds y wrong.');
+    equal(bounds.width, 40, 'Bounds width wrong.');
+    equal(bounds.height, 25, 'Bounds height wrong.');
+  });
+
+
+  // ---
+  // Transformation tests.
+  // ---
+
+  report('Transformation Tests');
+
+  test('path.translate(10, 20)', function() {
+    var path = new Path('M0 0 l10 0 V10 Z');
+    var path2 = path.translate(10, 20);
+    ok(path2 instanceof Path, 'translate() did not return a Path.');
+    equal(path2.toString(), 'M10 20 L20 20 L20 30 Z',
+      'Translated path string does not match.');
+    equal(path.toString(), 'M0 0 l10 0 V10 Z',
+      'translate() modified the receiver.');
+  });
+
+  test('path.scale(2) / path.scale(2, -1)', function() {
+    var path = new Path([[1, 1], [2, 3]]);
+    equal(path.scale(2).toString(), 'M2 2 L4 6',
+      'Uniformly scaled path string does not match.');
+    equal(path.scale(2, -1).toString(), 'M2 -1 L4 -3',
+      'Scaled path string does not match.');
+  });
+
+  test('path.rotate(90, 10, 10)', function() {
+    var path = new Path([[10, 0], [20, 10]]);
+    equal(path.rotate(90, 10, 10).toString({precision: 6}), 'M20 10 L10 20',
+      'Rotated path string does not match.');
+  });
+
+  test('path.skew(45)', function() {
+    var path = new Path([[0, 0], [0, 10]]);
+    equal(path.skew(45).toString({precision: 6}), 'M0 0 L10 10',
+      'Skewed path string does not match.');
+  });
+
+  test('path.transform([...]) keeps curves', function() {
+    var path = new Path('M0 0 c10 0 10 10 0 10 s-10 10 0 20');
+    equal(path.transform([1, 0, 0, 1, 5, 5]).toString(),
+      'M5 5 C15 5 15 15 5 15 S-5 25 5 35',
+      'Transformed curve path string does not match.');
+  });
+
+  test('path.transform(...) arcs', function() {
+    var path = new Path('M0 0 A10 5 0 0 1 20 0');
+    equal(path.scale(-1, 1).toString(), 'M0 0 A10 5 0 0 0 -20 0',
+      'Reflected arc did not flip its sweep flag.');
+    equal(path.rotate(90).toString({precision: 6}),
+      'M0 0 A10 5 90 0 1 0 20',
+      'Rotated arc path string does not match.');
+    equal(path.scale(1, 4).toString({precision: 6}),
+      'M0 0 A20 10 90 0 1 20 0',
+      'Stretched arc path string does not match.');
+  });
+
+  test('path.transform(\'translate(5) scale(2)\')', function() {
+    var path = new Path([[1, 1], [2, 2]]);
+    equal(path.transform('translate(5) scale(2)').toString(), 'M7 2 L9 4',
+      'String transformed path string does not match.');
+  });
+
+  test('Path.parseTransform(...)', function() {
+    compare(Path.parseTransform('matrix(1 2 3 4 5 6)'), [1, 2, 3, 4, 5, 6],
+      'Matrix transform not parsed.');
+    compare(Path.parseTransform('translate(10,20),scale(2 3)'),
+      [2, 0, 0, 3, 10, 20],
+      'Transform list not combined.');
+    compare(Path.parseTransform(''), Path.IDENTITY_MATRIX,
+      'Empty transform not the identity.');
+    compare(Path.parseTransform('skewY(45)').map(function(value) {
+      return Math.round(value * 1e6) / 1e6;
+    }), [1, 1, 0, 1, 0, 0],
+      'SkewY transform not parsed.');
+    compare(Path.parseTransform('translate(10-5)'), [1, 0, 0, 1, 10, -5],
+      'Arguments separated by a sign not parsed.');
+  });
+
+  test('Path.multiplyMatrix(...)', function() {
+    compare(Path.multiplyMatrix([2, 0, 0, 2, 0, 0], [1, 0, 0, 1, 5, 5]),
+      [2, 0, 0, 2, 10, 10],
+      'Matrix product wrong.');
+  });
+
+  test('!!! Path.parseTransform(\'rotate(1, 2)\')', function() {
+    var e = thrown(function() {
+      Path.parseTransform('rotate(1, 2)');
+    });
+    equal(e && e.code, PathSyntaxError.INVALID_TRANSFORM,
+      'Transform with wrong argument count not reported.');
+  });
+
+  test('!!! Path.parseTransform(\'translate(1) spin(2)\')', function() {
+    var e = thrown(function() {
+      Path.parseTransform('translate(1) spin(2)');
+    });
+    equal(e && e.code, PathSyntaxError.INVALID_TRANSFORM,
+      'Unknown transform not reported.');
+    equal(e && e.offset, 13, 'Unknown transform offset wrong.');
+  });
+
+  test('!!! Path.parseTransform(\',translate(1)\')', function() {
+    var e = thrown(function() {
+      Path.parseTransform(',translate(1)');
+    });
+    equal(e && e.code, PathSyntaxError.INVALID_TRANSFORM,
+      'Leading comma not reported.');
+    equal(e && e.offset, 0, 'Leading comma offset wrong.');
+  });
+
+  test('!!! Path.parseTransform(\'rotate(45,)\')', function() {
+    var e = thrown(function() {
+      Path.parseTransform('rotate(45,)');
+    });
+    equal(e && e.code, PathSyntaxError.INVALID_TRANSFORM,
+      'Trailing argument comma not reported.');
+  });
+
+
+  // ---
+  // Hit testing tests.
+  // ---
+
+  report('Hit Testing Tests');
+
+  // A five pointed star whose center overlaps itself, so the fill rules
+  // disagree about it.
+  var star = new Path('M50 0 L79 90 L2 35 L98 35 L21 90 Z');
+
+  test('path.contains(...) square', function() {
+    var path = new Path(goodPoints);
+    ok(path.contains([150, 150]), 'Interior point not contained.');
+    not(path.contains([250, 150]), 'Exterior point contained.');
+    not(path.contains([150, 99]), 'Point just above contained.');
+  });
+
+  test('path.contains(...) boundary', function() {
+    var path = new Path(goodPoints);
+    ok(path.contains([100, 150]), 'Point on an edge not contained.');
+    ok(path.contains([200, 200]), 'Vertex not contained.');
+  });
+
+  test('path.contains(...) vertex on ray', function() {
+    var path = new Path('M0 0 L10 10 L0 20 L-10 10 Z');
+    ok(path.contains([0, 10]), 'Point level with vertices not contained.');
+    not(path.contains([-20, 10]), 'Point left of vertices contained.');
+    not(path.contains([20, 10]), 'Point right of vertices contained.');
+  });
+
+  test('path.contains(...) fill rules', function() {
+    ok(star.contains([50, 50]), 'Star center not contained (nonzero).');
+    ok(star.contains([50, 50], {rule: 'nonzero'}),
+      'Star center not contained (explicit nonzero).');
+    not(star.contains([50, 50], {rule: Path.EVENODD}),
+      'Star center contained (evenodd).');
+    ok(star.contains([50, 20], {rule: Path.EVENODD}),
+      'Star tip not contained (evenodd).');
+  });
+
+  test('path.contains(...) open path', function() {
+    var path = new Path('M0 0 L10 0 L10 10 L0 10');
+    ok(path.contains([5, 5]), 'Open path not implicitly closed.');
+  });
+
+  test('path.distanceTo(...)', function() {
+    var path = new Path(goodPoints);
+    equal(path.distanceTo([150, 150]), 50, 'Interior distance wrong.');
+    equal(path.distanceTo([50, 100]), 50, 'Exterior distance wrong.');
+    equal(path.distanceTo([203, 204]), 5, 'Corner distance wrong.');
+    equal(path.distanceTo([100, 150]), 0, 'Boundary distance wrong.');
+  });
+
+  test('path.closestPoint(...)', function() {
+    var path = new Path('M0 0 L10 0 L10 10');
+    var result = path.closestPoint([4, -3]);
+    compare(result.point, [4, 0], 'Closest point wrong.');
+    equal(result.index, 0, 'Closest segment index wrong.');
+    equal(result.t, 0.4, 'Closest segment t wrong.');
+    equal(result.distance, 3, 'Closest distance wrong.');
+
+    result = path.closestPoint([13, 8]);
+    compare(result.point, [10, 8], 'Second segment point wrong.');
+    equal(result.index, 1, 'Second segment index wrong.');
+    equal(result.t, 0.8, 'Second segment t wrong.');
+  });
+
+  test('path.closestPoint(...) past the end', function() {
+    var path = new Path('M0 0 L10 0');
+    var result = path.closestPoint([20, 0]);
+    compare(result.point, [10, 0], 'Closest end point wrong.');
+    equal(result.t, 1, 'Closest end t wrong.');
+    equal(result.distance, 10, 'Closest end distance wrong.');
+  });
+
+
+  // ---
+  // Simplification tests.
+  // ---
+
+  report('Simplification Tests');
+
+  // A mostly flat line with one significant bump and some small noise.
+  var noisy = new Path([[0, 0], [10, 1], [20, -1], [30, 0], [40, 20],
+    [50, 0], [60, 1], [70, 0]]);
+
+  test('path.removeRedundantPoints() duplicates', function() {
+    var path = new Path([[0, 0], [0, 0], [10, 0], [10, 0], [10, 10]]);
+    equal(path.removeRedundantPoints().toString(), 'M0 0 L10 0 L10 10',
+      'Duplicate points not removed.');
+  });
+
+  test('path.removeRedundantPoints() collinear', function() {
+    var path = new Path('M0 0 L5 0 L10 0 L10 5 L10 10 L0 10 Z');
+    equal(path.removeRedundantPoints().toString(), 'M0 0 L10 0 L10 10 L0 10 Z',
+      'Collinear points not removed.');
+  });
+
+  test('path.removeRedundantPoints() keeps reversals', function() {
+    var path = new Path([[0, 0], [10, 0], [5, 0]]);
+    equal(path.removeRedundantPoints().toString(), 'M0 0 L10 0 L5 0',
+      'Reversal point removed.');
+  });
+
+  test('path.removeRedundantPoints() all duplicates', function() {
+    var path = new Path([[3, 3], [3, 3], [3, 3]]);
+    equal(path.removeRedundantPoints().length, 2,
+      'Degenerate path not kept at two points.');
+  });
+
+  test('path.simplify(2)', function() {
+    var path = noisy.simplify(2);
+    ok(path instanceof Path, 'simplify() did not return a Path.');
+    equal(path.toString(), 'M0 0 L30 0 L40 20 L50 0 L70 0',
+      'Douglas-Peucker path string does not match.');
+  });
+
+  test('path.simplify(1000)', function() {
+    equal(noisy.simplify(1000).toString(), 'M0 0 L70 0',
+      'Fully simplified path string does not match.');
+  });
+
+  test('path.simplify(20, {algorithm: Path.VISVALINGAM})', function() {
+    var path = noisy.simplify(20, {algorithm: Path.VISVALINGAM});
+    equal(path.toString(), 'M0 0 L30 0 L40 20 L50 0 L70 0',
+      'Visvalingam path string does not match.');
+  });
+
+  test('path.simplify(...) keeps closed paths closed', function() {
+    var path = new Path('M0 0 L50 1 L100 0 L101 50 L100 100 L0 100 Z');
+    var path2 = path.simplify(2);
+    ok(path2.isClosed(), 'Douglas-Peucker result not closed.');
+    equal(path2.toString(), 'M0 0 L100 0 L100 100 L0 100 Z',
+      'Closed Douglas-Peucker path string does not match.');
+    var path3 = path.simplify(100, {algorithm: 'visvalingam'});
+    ok(path3.isClosed(), 'Visvalingam result not closed.');
+    equal(path3.toString(), 'M0 0 L100 0 L100 100 L0 100 Z',
+      'Closed Visvalingam path string does not match.');
+  });
+
+  test('path.simplify(...) keeps closed paths a ring', function() {
+    var path = new Path('M0 0 L10 0 L5 8 Z');
+    var path2 = path.simplify(100);
+    equal(path2.toString(), 'M0 0 L10 0 L5 8 Z',
+      'Closed Douglas-Peucker path collapsed.');
+    ok(path2.clone().isClosed(), 'Douglas-Peucker result not reusable.');
+    var path3 = path.simplify(1000, {algorithm: Path.VISVALINGAM});
+    equal(path3.toString(), 'M0 0 L10 0 L5 8 Z',
+      'Closed Visvalingam path collapsed.');
+    equal(new Path(path3.toString()).length, 4,
+      'Visvalingam result does not reparse.');
+  });
+
+  test('path.simplify(...) keeps returning open paths distinct', function() {
+    var path = new Path('M0 0 L10 0 L10 10 L0 0');
+    var path2 = path.simplify(100);
+    not(path2.closed, 'Open Douglas-Peucker result closed.');
+    equal(path2.toString(), 'M0 0 L10 0 L10 10 L0 0',
+      'Returning Douglas-Peucker path collapsed.');
+    equal(path.simplify(1000, {algorithm: Path.VISVALINGAM}).toString(),
+      'M0 0 L10 0 L10 10 L0 0', 'Returning Visvalingam path collapsed.');
+  });
+
+
+  // ---
+  // Intersection tests.
+  // ---
+
+  report('Intersection Tests');
+
+  test('path.selfIntersections() simple', function() {
+    equal(new Path(goodPoints).selfIntersections().length, 0,
+      'Simple closed path reported self-intersections.');
+    equal(new Path('M0 0 L10 0 L10 10 L20 10').selfIntersections().length, 0,
+      'Simple open path reported self-intersections.');
+  });
+
+  test('path.selfIntersections() bowtie', function() {
+    var found = new Path('M0 0 L10 10 L10 0 L0 10 Z').selfIntersections();
+    equal(found.length, 1, 'Bowtie crossing count wrong.');
+    compare(found[0].point, [5, 5], 'Bowtie crossing point wrong.');
+    compare(found[0].segments, [0, 2], 'Bowtie crossing segments wrong.');
+  });
+
+  test('path.selfIntersections() star', function() {
+    equal(star.selfIntersections().length, 5,
+      'Star crossing count wrong.');
+  });
+
+  test('path.selfIntersections() through a vertex', function() {
+    var found = new Path('M0 0 L10 10 L20 0 L20 20 L10 10 L0 20')
+      .selfIntersections();
+    equal(found.length, 1, 'Vertex crossing reported more than once.');
+    compare(found[0].point, [10, 10], 'Vertex crossing point wrong.');
+    compare(found[0].segments, [1, 4], 'Vertex crossing segments wrong.');
+  });
+
+  test('path.selfIntersections() doubling back', function() {
+    var found = new Path('M0 0 L10 0 L5 0').selfIntersections();
+    equal(found.length, 1, 'Doubled back path overlap not reported.');
+    compare(found[0].point, [5, 0], 'Doubled back overlap point wrong.');
+  });
+
+  test('path.selfIntersections() open path ending at its start', function() {
+    var found = new Path('M0 0 L10 0 L10 10 L0 0').selfIntersections();
+    equal(found.length, 1, 'Open path end not reported touching its start.');
+    compare(found[0].point, [0, 0], 'Open path end touching point wrong.');
+    compare(found[0].segments, [0, 2],
+      'Open path end touching segments wrong.');
+    equal(new Path('M0 0 L10 0 L10 10 Z').selfIntersections().length, 0,
+      'Closed path start reported as a crossing.');
+  });
+
+  test('path.intersections(other)', function() {
+    var path = new Path(goodPoints);
+    var other = new Path('M150 50 L150 250');
+    var found = path.intersections(other);
+    equal(found.length, 2, 'Crossing count wrong.');
+    compare(found[0].point, [150, 200], 'First crossing point wrong.');
+    compare(found[0].segments, [1, 0], 'First crossing segments wrong.');
+    compare(found[1].point, [150, 100], 'Second crossing point wrong.');
+    compare(found[1].segments, [3, 0], 'Second crossing segments wrong.');
+  });
+
+  test('path.intersections(other) none', function() {
+    var path = new Path(goodPoints);
+    equal(path.intersections(new Path('M0 0 L50 50')).length, 0,
+      'Disjoint paths reported intersections.');
+  });
+
+  test('path.selfIntersections() many segments', function() {
+    // A long zigzag, doubling back beneath itself and then crossing it once
+    // with its final segment.
+    var points = [];
+    for (var i = 0; i <= 10000; i++) {
+      points.push([i, i % 2]);
+    }
+    points.push([5000.5, -1], [5000.5, 2]);
+    var found = new Path(points).selfIntersections();
+    equal(found.length, 1, 'Zigzag crossing count wrong.');
+    compare(found[0].point, [5000.5, 0.5], 'Zigzag crossing point wrong.');
+    compare(found[0].segments, [5000, 10001],
+      'Zigzag crossing segments wrong.');
+  });
+
+  test('path.selfIntersections() zigzag over the same x range', function() {
+    // Segments spanning the full width are all active at once, so only the
+    // ordering by y keeps this fast. The last one crosses them all.
+    var points = [];
+    for (var i = 0; i <= 10000; i++) {
+      points.push([(i % 2) * 100, i]);
+    }
+    points.push([50, 10000], [50, 9990.5]);
+    var found = new Path(points).selfIntersections();
+    equal(found.length, 10, 'Zigzag crossing count wrong.');
+    compare(found[0].point, [50, 9990.5], 'First zigzag crossing wrong.');
+    compare(found[0].segments, [9990, 10001],
+      'First zigzag crossing segments wrong.');
+  });
+
+
+  // ---
+  // Boolean operation tests.
+  // ---
+
+  report('Boolean Operation Tests');
+
+  var square = new Path('M0 0 L10 0 L10 10 L0 10 Z');
+  var overlapping = new Path('M5 5 L15 5 L15 15 L5 15 Z');
+  var adjacent = new Path('M10 0 L20 0 L20 10 L10 10 Z');
+  var inner = new Path('M2 2 L2 8 L8 8 L8 2 Z');
+
+  test('Path.union(...)', function() {
+    var group = Path.union(square, overlapping);
+    ok(group instanceof PathGroup, 'union() did not return a PathGroup.');
+    ok(group instanceof Array, 'PathGroup not an instanceof Array.');
+    equal(group.length, 1, 'Union ring count wrong.');
+    ok(group[0] instanceof Path, 'Union ring not a Path.');
+    equal(group.toString(),
+      'M0 0 L10 0 L10 5 L15 5 L15 15 L5 15 L5 10 L0 10 Z',
+      'Union path string does not match.');
+  });
+
+  test('Path.union(...) shared edge', function() {
+    equal(Path.union(square, adjacent).toString(), 'M0 0 L20 0 L20 10 L0 10 Z',
+      'Adjacent union path string does not match.');
+  });
+
+  test('Path.union(...) disjoint', function() {
+    var group = Path.union(square, new Path('M20 20 L30 20 L30 30 Z'));
+    equal(group.length, 2, 'Disjoint union ring count wrong.');
+    equal(group.getArea(), 150, 'Disjoint union area wrong.');
+  });
+
+  test('Path.intersect(...)', function() {
+    equal(Path.intersect(square, overlapping).toString(),
+      'M10 5 L10 10 L5 10 L5 5 Z',
+      'Intersection path string does not match.');
+    equal(Path.intersect(square, adjacent).length, 0,
+      'Adjacent squares have a non-empty intersection.');
+  });
+
+  test('Path.intersect(...) triangles', function() {
+    var group = Path.intersect(new Path('M0 0 L10 0 L5 10 Z'),
+      new Path('M0 10 L10 10 L5 0 Z'));
+    equal(group.toString(), 'M7.5 5 L5 10 L2.5 5 L5 0 Z',
+      'Triangle intersection path string does not match.');
+  });
+
+  test('Path.difference(...)', function() {
+    equal(Path.difference(square, overlapping).toString(),
+      'M0 0 L10 0 L10 5 L5 5 L5 10 L0 10 Z',
+      'Difference path string does not match.');
+    equal(Path.difference(square, square).length, 0,
+      'Difference with itself not empty.');
+  });
+
+  test('Path.difference(...) hole', function() {
+    var group = Path.difference(square, inner);
+    equal(group.length, 2, 'Hole ring count wrong.');
+    equal(group[0].getOrientation(), Path.CLOCKWISE,
+      'Outer ring orientation wrong.');
+    equal(group[1].getOrientation(), Path.COUNTERCLOCKWISE,
+      'Hole ring orientation wrong.');
+    equal(group.getArea(), 64, 'Area with hole wrong.');
+  });
+
+  test('Path.difference(...) split in two', function() {
+    var group = Path.difference(new Path('M0 0 L30 0 L30 10 L0 10 Z'),
+      new Path('M10 -5 L20 -5 L20 15 L10 15 Z'));
+    equal(group.toString(),
+      'M0 0 L10 0 L10 10 L0 10 Z M20 0 L30 0 L30 10 L20 10 Z',
+      'Split difference path string does not match.');
+  });
+
+  test('Path.xor(...)', function() {
+    var group = Path.xor(square, overlapping);
+    equal(group.length, 2, 'Xor ring count wrong.');
+    equal(group.getArea(), 150, 'Xor area wrong.');
+    equal(Path.xor(square, square).length, 0, 'Xor with itself not empty.');
+  });
+
+  test('Path.union(PathGroup, ...)', function() {
+    var group = Path.union(Path.difference(square, inner),
+      new Path('M3 3 L7 3 L7 7 L3 7 Z'));
+    equal(group.length, 3, 'Island in hole ring count wrong.');
+    equal(group.getArea(), 80, 'Island in hole area wrong.');
+  });
+
+
+  // ---
+  // Clipping tests.
+  // ---
+
+  report('Clipping Tests');
+
+  test('path.clipToRect(...) closed', function() {
+    var group = new Path(goodPoints).clipToRect(150, 50, 100, 100);
+    ok(group instanceof PathGroup, 'clipToRect() did not return a group.');
+    equal(group.toString(), 'M150 100 L150 150 L200 150 L200 100 Z',
+      'Clipped closed path string does not match.');
+  });
+
+  test('path.clipToRect(...) closed, containing', function() {
+    var group = new Path(goodPoints).clipToRect(0, 0, 500, 500);
+    equal(group.toString(), 'M100 100 L100 200 L200 200 L200 100 Z',
+      'Clipped contained path string does not match.');
+  });
+
+  test('path.clipToRect(...) closed, outside', function() {
+    equal(new Path(goodPoints).clipToRect(300, 300, 10, 10).length, 0,
+      'Path outside the rectangle not clipped away.');
+    equal(new Path(goodPoints).clipToRect(200, 200, 10, 10).length, 0,
+      'Path touching the rectangle at a corner not clipped away.');
+  });
+
+  test('path.clipToRect(...) closed, triangle', function() {
+    var group = new Path('M0 0 L20 0 L0 20 Z').clipToRect(0, 0, 10, 10);
+    equal(group.toString(), 'M0 10 L0 0 L10 0 L10 10 Z',
+      'Clipped triangle path string does not match.');
+  });
+
+  test('path.clipToRect(...) open', function() {
+    var group = new Path('M-10 5 L20 5').clipToRect(0, 0, 10, 10);
+    equal(group.length, 1, 'Clipped line piece count wrong.');
+    equal(group.toString(), 'M0 5 L10 5',
+      'Clipped line path string does not match.');
+  });
+
+  test('path.clipToRect(...) open, re-entering', function() {
+    var group = new Path('M5 5 L15 5 L15 8 L5 8 L5 12')
+      .clipToRect(0, 0, 10, 10);
+    equal(group.length, 2, 'Re-entering line piece count wrong.');
+    equal(group[0].toString(), 'M5 5 L10 5',
+      'First piece path string does not match.');
+    equal(group[1].toString(), 'M10 8 L5 8 L5 10',
+      'Second piece path string does not match.');
+  });
+
+  test('path.clipToRect(...) open, returning to its start', function() {
+    var group = new Path('M1 1 L5 1 L5 5 L1 1').clipToRect(0, 0, 10, 10);
+    not(group[0].closed, 'Clipped returning line closed.');
+    equal(group.toString(), 'M1 1 L5 1 L5 5 L1 1',
+      'Clipped returning line path string does not match.');
+  });
+
+  test('path.clipToRect(...) open, diagonal', function() {
+    var group = new Path('M-5 0 L5 10 L15 0').clipToRect(0, 0, 10, 10);
+    equal(group.toString(), 'M0 5 L5 10 L10 5',
+      'Diagonal line path string does not match.');
+  });
+
+  test('path.clipToRect(...) open, outside', function() {
+    equal(new Path('M-5 -5 L-1 -1 L-5 20').clipToRect(0, 0, 10, 10).length,
+      0, 'Line outside the rectangle not clipped away.');
+    equal(new Path('M-5 5 L0 0 L5 -5').clipToRect(0, 0, 10, 10).length,
+      0, 'Line touching a corner not clipped away.');
+  });
+
+
+  // ---
+  // Sampling tests.
+  // ---
+
+  report('Sampling Tests');
+
+  test('path.pointAt(...)', function() {
+    var path = new Path('M0 0 L10 0 L10 30');
+    compare(path.pointAt(0), [0, 0], 'Point at 0 wrong.');
+    compare(path.pointAt(0.25), [10, 0], 'Point at 0.25 wrong.');
+    compare(path.pointAt(0.5), [10, 10], 'Point at 0.5 wrong.');
+    compare(path.pointAt(1), [10, 30], 'Point at 1 wrong.');
+    compare(path.pointAt(2), [10, 30], 'Point past 1 not clamped.');
+  });
+
+  test('path.pointAt(...) closed', function() {
+    var path = new Path(goodPoints);
+    compare(path.pointAt(0), path.pointAt(1),
+      'Closed path ends do not meet.');
+    compare(path.pointAt(0.875), [150, 100], 'Closing segment point wrong.');
+  });
+
+  test('path.tangentAt(...)', function() {
+    var path = new Path('M0 0 L10 0 L10 30');
+    compare(path.tangentAt(0.1), [1, 0], 'First segment tangent wrong.');
+    compare(path.tangentAt(0.25), [0, 1], 'Vertex tangent wrong.');
+    compare(path.tangentAt(1), [0, 1], 'End tangent wrong.');
+    compare(new Path('M0 0 L3 4 L3 4').tangentAt(1), [0.6, 0.8],
+      'End tangent after a zero length segment wrong.');
+    compare(new Path('M1 1 L1 1').tangentAt(0.5), [0, 0],
+      'Degenerate path tangent wrong.');
+  });
+
+  test('path.resample(5)', function() {
+    var path = new Path('M0 0 L10 0 L10 30').resample(5);
+    ok(path instanceof Path, 'resample() did not return a Path.');
+    equal(path.toString(), 'M0 0 L10 0 L10 10 L10 20 L10 30',
+      'Resampled path string does not match.');
+  });
+
+  test('path.resample(...) closed', function() {
+    var path = new Path(goodPoints).resample(9);
+    ok(path.isClosed(), 'Resampled closed path not closed.');
+    equal(path.length, 9, 'Resampled closed path point count wrong.');
+    compare(path[1], [100, 150], 'Resampled closed path point wrong.');
+  });
+
+  test('path.resample(...) open, returning to its start', function() {
+    var path = new Path('M0 0 L10 0 L10 10 L0 0');
+    not(path.resample(5).closed, 'Resampled returning path closed.');
+    not(path.resampleEvery(5).closed,
+      'Evenly resampled returning path closed.');
+  });
+
+  test('path.resampleEvery(...)', function() {
+    var path = new Path('M0 0 L25 0').resampleEvery(10);
+    equal(path.toString(), 'M0 0 L10 0 L20 0 L25 0',
+      'Resampled path string does not match.');
+  });
+
+  test('!!! path.resample(...) invalid counts', function() {
+    var path = new Path('M0 0 L25 0');
+    [NaN, 1, 0, -3, 2.5, Infinity, '5'].forEach(function(count) {
+      ok(thrown(function() {
+        path.resample(count);
+      }) instanceof RangeError, 'resample(' + count + ') allowed.');
+    });
+  });
+
+  test('!!! path.resampleEvery(...) invalid distances', function() {
+    var path = new Path('M0 0 L25 0');
+    [NaN, 0, -10, Infinity, 1e-12].forEach(function(distance) {
+      ok(thrown(function() {
+        path.resampleEvery(distance);
+      }) instanceof RangeError, 'resampleEvery(' + distance + ') allowed.');
+    });
+  });
+
+  test('Path.interpolate(...) open', function() {
+    var a = new Path('M0 0 L10 0');
+    var b = new Path('M0 10 L10 10 L10 20');
+    var path = Path.interpolate(a, b, 0.5);
+    ok(path instanceof Path, 'interpolate() did not return a Path.');
+    equal(path.toString(), 'M0 5 L7.5 5 L10 10',
+      'Interpolated path string does not match.');
+    equal(Path.interpolate(a, b, 1).toString(), 'M0 10 L10 10 L10 20',
+      'Interpolation at 1 does not match b.');
+  });
+
+  test('Path.interpolate(...) open, returning to its start', function() {
+    var a = new Path('M0 0 L10 0 L10 10 L0 0');
+    var b = new Path('M0 0 L20 0 L20 20 L0 0');
+    var path = Path.interpolate(a, b, 0.5);
+    not(path.closed, 'Interpolated returning path closed.');
+    equal(path.toString(), 'M0 0 L15 0 L15 15 L0 0',
+      'Interpolated returning path string does not match.');
+  });
+
+  test('Path.interpolate(...) closed', function() {
+    // The same square, started at a different corner and running the
+    // other way. Lined up properly there is nothing to morph.
+    var a = new Path('M0 0 L10 0 L10 10 L0 10 Z');
+    var b = new Path('M10 10 L10 0 L0 0 L0 10 Z');
+    var path = Path.interpolate(a, b, 0.5);
+    equal(path.toString(), 'M0 0 L10 0 L10 10 L0 10 Z',
+      'Interpolated closed path string does not match.');
+  });
+
+  test('Path.interpolate(...) closed, different counts', function() {
+    var a = new Path('M0 0 L10 0 L10 10 L0 10 Z');
+    var b = new Path('M0 0 L10 0 L5 10 Z');
+    var path = Path.interpolate(a, b, 0);
+    equal(path.length, 5, 'Interpolated point count wrong.');
+    ok(path.isClosed(), 'Interpolated closed path not closed.');
+    equal(Path.interpolate(a, b, 1).getArea(), b.getArea(),
+      'Interpolation at 1 has the wrong area.');
+  });
+
+
+  // ---
+  // Closed path and command model tests.
+  // ---
+
+  report('Command Model Tests');
+
+  test('path.closed', function() {
+    ok(new Path('M0 0 L10 0 L10 10 Z').closed, 'Z path not closed.');
+    ok(new Path(goodPoints).closed, 'goodPoints path not closed.');
+    not(new Path('M0 0 L10 0 L0 0').closed,
+      'Path returning to its start without Z reported as closed.');
+    not(new Path('M0 0 L10 0 L0 0').isClosed(),
+      'isClosed() reported a path without Z as closed.');
+  });
+
+  test('path.closed read only', function() {
+    var path = new Path('M0 0 L10 0 L10 10');
+    path.closed = true;
+    not(path.closed, 'closed property was assigned.');
+  });
+
+  test('path.setPoints(..., false)', function() {
+    var path = new Path([[0, 0], [10, 0]]);
+    path.setPoints([[0, 0], [10, 0], [0, 0]], false);
+    not(path.closed, 'Path set open is closed.');
+    equal(path.toString(), 'M0 0 L10 0 L0 0',
+      'Open path string does not match.');
+  });
+
+  test('path.setPoints(..., true)', function() {
+    var path = new Path([[0, 0], [10, 0]]);
+    path.setPoints([[0, 0], [10, 0], [10, 10]], true);
+    equal(path.length, 4, 'Closing point not added.');
+    equal(path.toString(), 'M0 0 L10 0 L10 10 Z',
+      'Closed path string does not match.');
+  });
+
+  test('Path.pointArrayAsPath(..., {closed: false})', function() {
+    equal(Path.pointArrayAsPath(goodPoints, {closed: false}),
+      'M100 100 L100 200 L200 200 L200 100 L100 100',
+      'Open path string does not match.');
+  });
+
+  test('path[1][0] = ... keeps open path open', function() {
+    var path = new Path('M0 0 L10 0 L0 0');
+    path[1][0] = 20;
+    equal(path.toString(), 'M0 0 L20 0 L0 0',
+      'Edited open path gained a Z.');
+  });
+
+  test('path[2][1] = ... keeps relative commands', function() {
+    var path = new Path('M0 0 l10 0 l0 10');
+    path[2][1] = 20;
+    equal(path.toString(), 'M0 0 l10 0 l0 20',
+      'Edited relative path string does not match.');
+  });
+
+  test('path[2] = [...] keeps vertical lineto', function() {
+    var path = new Path('M0 0 H10 V10');
+    path[2] = [10, 30];
+    equal(path.toString(), 'M0 0 H10 V30',
+      'Edited vertical lineto string does not match.');
+  });
+
+  test('path.push(...) keeps curves', function() {
+    var path = new Path('M0 0 C0 10 10 10 10 0 L20 0');
+    path.push([30, 0]);
+    equal(path.toString(), 'M0 0 C0 10 10 10 10 0 L20 0 L30 0',
+      'Pushed curve path string does not match.');
+  });
+
+  test('path.push(...) follows relative form', function() {
+    var path = new Path('M0 0 l10 0');
+    path.push([10, 10]);
+    equal(path.toString(), 'M0 0 l10 0 l0 10',
+      'Pushed relative path string does not match.');
+  });
+
+  test('path.reverse() keeps commands', function() {
+    var path = new Path('M0 0 c0 10 10 10 10 0 L20 0');
+    path.reverse();
+    equal(path.toString(), 'M20 0 c-20 10 -10 10 -10 0 L0 0',
+      'Reversed curve path string does not match.');
+  });
+
+  test('path.pop() keeps closed path closed', function() {
+    var path = new Path('M0 0 L10 0 L10 10 L10 20 Z');
+    compare(path.pop(), [10, 20], 'pop() did not return last vertex.');
+    ok(path.closed, 'Popped closed path not closed.');
+    equal(path.toString(), 'M0 0 L10 0 L10 10 Z',
+      'Popped closed path string does not match.');
+  });
+
+  test('path.push(...) keeps closed path closed', function() {
+    var path = new Path('M0 0 L10 0 L10 10 Z');
+    equal(path.push([5, 5]), 5, 'push() did not return the new length.');
+    ok(path.closed, 'Pushed closed path not closed.');
+    equal(path.toString(), 'M0 0 L10 0 L10 10 L5 5 Z',
+      'Pushed closed path string does not match.');
+  });
+
+  test('path.shift() keeps closed path closed', function() {
+    var path = new Path('M0 0 L10 0 L10 10 L0 10 Z');
+    compare(path.shift(), [0, 0], 'shift() did not return first vertex.');
+    ok(path.closed, 'Shifted closed path not closed.');
+    equal(path.toString(), 'M10 0 L10 10 L0 10 Z',
+      'Shifted closed path string does not match.');
+  });
+
+  test('path.sort(...) keeps closed path closed', function() {
+    var path = new Path('M0 0 L10 0 L10 10 Z');
+    path.sort(function(a, b) { return b[1] - a[1] || a[0] - b[0]; });
+    ok(path.closed, 'Sorted closed path not closed.');
+    equal(path.toString(), 'M10 10 L0 0 L10 0 Z',
+      'Sorted closed path string does not match.');
+  });
+
+  test('!!! path.shift() on closed path of two vertices', function() {
+    var path = new Path('M0 0 L10 0 Z');
+    var e = thrown(function() {
+      path.shift();
+    });
+    equal(e && e.code, PathSyntaxError.TOO_FEW_POINTS,
+      'Shifting a two vertex ring did not raise TOO_FEW_POINTS.');
+    equal(path.toString(), 'M0 0 L10 0 Z', 'Failed shift changed the path.');
+  });
+
+  test('path.open().pop()', function() {
+    var path = new Path('M0 0 L10 0 L10 10 Z');
+    compare(path.open().pop(), [0, 0], 'pop() did not return end point.');
+    equal(path.toString(), 'M0 0 L10 0 L10 10',
+      'Popped opened path string does not match.');
+  });
+
+  test('path.open()', function() {
+    var path = new Path('M0 0 l10 0 l0 10 z');
+    equal(path.open(), path, 'open() did not return the receiver.');
+    not(path.closed, 'Opened path still closed.');
+    equal(path.length, 4, 'Opened path point count changed.');
+    equal(path.toString(), 'M0 0 l10 0 l0 10 l-10 -10',
+      'Opened path string does not match.');
+  });
+
+  test('path.close()', function() {
+    var path = new Path('M0 0 L10 0 L10 10');
+    equal(path.close(), path, 'close() did not return the receiver.');
+    ok(path.closed, 'Closed path not closed.');
+    equal(path.length, 4, 'Closing point not added.');
+    equal(path.toString(), 'M0 0 L10 0 L10 10 Z',
+      'Closed path string does not match.');
+  });
+
+  test('path.close() returning path', function() {
+    var path = new Path('M0 0 L10 0 L10 10 L0 0');
+    path.close();
+    equal(path.length, 4, 'Closing point added to returning path.');
+    equal(path.toString(), 'M0 0 L10 0 L10 10 Z',
+      'Closed returning path string does not match.');
+  });
+
+  test('path.clone() keeps commands', function() {
+    var path = new Path('M0 0 l10 0 L0 0');
+    equal(path.clone().toString(), 'M0 0 l10 0 L0 0',
+      'Cloned path string does not match.');
+    not(path.clone().closed, 'Cloned open path closed.');
+  });
+
+  test('path.map(...) keeps returning path open', function() {
+    var path = new Path('M0 0 L10 0 L10 10 L0 0');
+    var path2 = path.map(function(point) { return point; });
+    not(path2.closed, 'Mapped returning path closed.');
+    equal(path2.toString(), 'M0 0 L10 0 L10 10 L0 0',
+      'Mapped returning path string does not match.');
+  });
+
+  test('path.slice() keeps returning path open', function() {
+    var path = new Path('M0 0 L10 0 L10 10 L0 0');
+    equal(path.slice().toString(), 'M0 0 L10 0 L10 10 L0 0',
+      'Sliced returning path string does not match.');
+  });
+
+  test('path.toReversed() keeps returning path open', function() {
+    var path = new Path('M0 0 L10 0 L10 10 L0 0');
+    equal(path.toReversed().toString(), 'M0 0 L10 10 L10 0 L0 0',
+      'Reversed returning path string does not match.');
+  });
+
+  test('path.concat(...) back to start stays open', function() {
+    var path = new Path('M0 0 L1 1').concat([[0, 0]]);
+    not(path.closed, 'Concatenated open path closed.');
+    equal(path.toString(), 'M0 0 L1 1 L0 0',
+      'Concatenated open path string does not match.');
+  });
+
+  test('path.removeRedundantPoints() keeps returning path open', function() {
+    var path = new Path('M0 0 L5 0 L10 0 L10 10 L0 0');
+    equal(path.removeRedundantPoints().toString(), 'M0 0 L10 0 L10 10 L0 0',
+      'Reduced returning path string does not match.');
+  });
+
+  test('path.map(...) keeps closed path closed', function() {
+    var path = new Path('M0 0 L10 0 L10 10 Z');
+    var path2 = path.map(function(point) { return point; });
+    ok(path2.closed, 'Mapped closed path not closed.');
+    equal(path2.toString(), 'M0 0 L10 0 L10 10 Z',
+      'Mapped closed path string does not match.');
+  });
+
+
+  // ---
+  // Serialization tests.
+  // ---
+
+  report('Serialization Tests');
+
+  test('path.toString({form: Path.ABSOLUTE})', function() {
+    var path = new Path('M10 10 l10 0 l0 10 z');
+    equal(path.toString({form: Path.ABSOLUTE}), 'M10 10 L20 10 L20 20 Z',
+      'Absolute path string does not match.');
+  });
+
+  test('path.toString({form: Path.RELATIVE})', function() {
+    var path = new Path('M10 10 L20 10 C20 20 30 20 30 10 A5 5 0 0 1 40 10');
+    equal(path.toString({form: Path.RELATIVE}),
+      'M10 10 l10 0 c0 10 10 10 10 0 a5 5 0 0 1 10 0',
+      'Relative path string does not match.');
+  });
+
+  test('path.toString({form: Path.SHORTEST})', function() {
+    var path = new Path('M1000 1000 L1001 1001 L10 10');
+    equal(path.toString({form: Path.SHORTEST}), 'M1000 1000 l1 1 L10 10',
+      'Shortest path string does not match.');
+  });
+
+  test('path.toString({form: ..., precision: ...})', function() {
+    // Each step rounds up, so offsets from the unrounded points would drift
+    // a whole unit by the end.
+    var path = new Path('M0 0 L0.6 0 L1.2 0 L1.8 0');
+    equal(path.toString({form: Path.RELATIVE, precision: 0}),
+      'M0 0 l1 0 l0 0 l1 0',
+      'Rounded relative path string does not match.');
+  });
+
+  test('path.toString({shorthand: true})', function() {
+    var path = new Path('M0 0 L10 0 l0 10 L20 20');
+    equal(path.toString({shorthand: true}), 'M0 0 H10 v10 L20 20',
+      'Shorthand path string does not match.');
+  });
+
+  test('path.toString({implicit: true})', function() {
+    var path = new Path('M0 0 L10 0 L10 10 C0 10 0 10 0 5 C0 0 0 0 0 0 Z');
+    equal(path.toString({implicit: true}),
+      'M0 0 10 0 10 10 C0 10 0 10 0 5 0 0 0 0 0 0 Z',
+      'Implicit path string does not match.');
+  });
+
+  test('path.toString({compact: true})', function() {
+    var path = new Path('M10 -5 L3 4 L0.5 -0.5 L1.5 0.5 Z');
+    equal(path.toString({compact: true}), 'M10-5L3 4L.5-.5L1.5.5Z',
+      'Compact path string does not match.');
+  });
+
+  test('path.toString({...}) round trip', function() {
+    var path = new Path('M10 10 l10 0 L20.5 20 c1 1 2 2 -3 -3.25 ' +
+      'a5 5 0 0 1 -10 0 L5 20 z');
+    var text = path.toString({form: Path.SHORTEST, shorthand: true,
+      implicit: true, compact: true});
+    ok(text.length < path.toString().length, 'Compact string not shorter.');
+    compare(Path.flattenPointArray(new Path(text)),
+      Path.flattenPointArray(path), 'Compact string points do not match.');
+  });
+
+  test('Path.pointArrayAsPath(..., {...})', function() {
+    equal(Path.pointArrayAsPath(goodPoints, {shorthand: true, implicit: true,
+      compact: true}), 'M100 100V200H200V100Z',
+      'Compact point array string does not match.');
+  });
+
+
+  // ---
+  // Interchange tests.
+  // ---
+
+  report('Interchange Tests');
+
+  test('path.toGeoJSON()', function() {
+    var line = new Path('M0 0 L10 0 L10 10').toGeoJSON();
+    equal(line.type, 'LineString', 'Open path type wrong.');
+    compare(line.coordinates, [[0, 0], [10, 0], [10, 10]],
+      'LineString coordinates do not match.');
+
+    var polygon = new Path(goodPoints).toGeoJSON();
+    equal(polygon.type, 'Polygon', 'Closed path type wrong.');
+    compare(polygon.coordinates[0], goodPoints,
+      'Polygon ring does not match.');
+  });
+
+  test('path.toGeoJSON() rings are valid', function() {
+    // RFC 7946: a ring has at least four positions, the last equal to the
+    // first.
+    var valid = function(ring) {
+      var first = ring[0];
+      var last = ring[ring.length - 1];
+      return ring.length >= 4 && first[0] === last[0] && first[1] === last[1];
+    };
+    ['M0 0 L10 0 L5 8 Z', 'M0 0 L10 0 L5 8 L0 0 Z', 'M0 0 h10 v10 Z'].forEach(
+      function(str) {
+        var geometry = new Path(str).toGeoJSON();
+        equal(geometry.type, 'Polygon', str + ' type wrong.');
+        ok(valid(geometry.coordinates[0]), str + ' ring invalid.');
+      });
+
+    var flat = new Path('M0 0 L10 0 Z');
+    var geometry = flat.toGeoJSON();
+    equal(geometry.type, 'LineString', 'Degenerate ring not a LineString.');
+    compare(geometry.coordinates, [[0, 0], [10, 0], [0, 0]],
+      'Degenerate ring coordinates wrong.');
+    equal(flat.toWKT(), 'LINESTRING (0 0, 10 0, 0 0)',
+      'Degenerate ring WKT wrong.');
+  });
+
+  test('Path.fromGeoJSON(...)', function() {
+    var path = Path.fromGeoJSON({type: 'LineString',
+      coordinates: [[0, 0, 5], [10, 0, 5], [0, 0, 5]]});
+    not(path.isClosed(), 'LineString returning to its start closed.');
+    equal(path.toString(), 'M0 0 L10 0 L0 0',
+      'LineString path string does not match.');
+
+    path = Path.fromGeoJSON({type: 'Feature', properties: {},
+      geometry: {type: 'Polygon', coordinates: [goodPoints]}});
+    ok(path.isClosed(), 'Polygon not closed.');
+    equal(path.toString(), new Path(goodPoints).toString(),
+      'Polygon path string does not match.');
+  });
+
+  test('!!! Path.fromGeoJSON(...)', function() {
+    var e = thrown(function() {
+      Path.fromGeoJSON({type: 'Point', coordinates: [0, 0]});
+    });
+    equal(e && e.code, PathSyntaxError.INVALID_GEOMETRY,
+      'Point geometry not reported.');
+
+    e = thrown(function() {
+      Path.fromGeoJSON({type: 'Polygon', coordinates: [goodPoints,
+        [[120, 120], [120, 130], [130, 130], [120, 120]]]});
+    });
+    equal(e && e.code, PathSyntaxError.INVALID_GEOMETRY,
+      'Polygon with a hole not reported.');
+
+    e = thrown(function() {
+      Path.fromGeoJSON({type: 'LineString', coordinates: [[0, 0], [NaN, 0]]});
+    });
+    equal(e && e.code, PathSyntaxError.NAN_COORDINATE,
+      'Bad coordinate not reported.');
+    equal(e && e.index, 1, 'Bad coordinate index wrong.');
+  });
+
+  test('path.toWKT()', function() {
+    equal(new Path('M0 0 L10 0.25 L10 10').toWKT({precision: 1}),
+      'LINESTRING (0 0, 10 0.3, 10 10)', 'LINESTRING does not match.');
+    equal(new Path(goodPoints).toWKT(),
+      'POLYGON ((100 100, 100 200, 200 200, 200 100, 100 100))',
+      'POLYGON does not match.');
+  });
+
+  test('Path.fromWKT(...)', function() {
+    var path = Path.fromWKT('LINESTRING (30 10, 10 30, 40 40)');
+    equal(path.toString(), 'M30 10 L10 30 L40 40',
+      'LINESTRING path string does not match.');
+
+    path = Path.fromWKT(' polygon Z((0 0 1,10 0 1, 10 10 1, 0 0 1)) ');
+    ok(path.isClosed(), 'POLYGON not closed.');
+    equal(path.toString(), 'M0 0 L10 0 L10 10 Z',
+      'POLYGON path string does not match.');
+
+    path = new Path(goodPoints);
+    equal(Path.fromWKT(path.toWKT()).toString(), path.toString(),
+      'WKT round trip does not match.');
+  });
+
+  test('!!! Path.fromWKT(...)', function() {
+    var e = thrown(function() {
+      Path.fromWKT('LINESTRING (30 10, 10)');
+    });
+    equal(e && e.code, PathSyntaxError.INVALID_GEOMETRY,
+      'Short WKT point not reported.');
+    equal(e && e.offset, 21, 'Short WKT point offset wrong.');
+
+    e = thrown(function() {
+      Path.fromWKT('POLYGON ((0 0, 10 0, 10 10, 0 0), (1 1, 2 1, 2 2, 1 1))');
+    });
+    equal(e && e.code, PathSyntaxError.INVALID_GEOMETRY,
+      'WKT polygon with a hole not reported.');
+
+    e = thrown(function() {
+      Path.fromWKT('LINESTRING EMPTY');
+    });
+    equal(e && e.code, PathSyntaxError.INVALID_GEOMETRY,
+      'Empty WKT not reported.');
+  });
+
+  test('JSON.stringify(path)', function() {
+    var path = new Path('M0 0 l10 0 C10 10 0 10 0 0');
+    var json = JSON.stringify(path);
+    equal(json, '{"type":"Path","d":"M0 0 l10 0 C10 10 0 10 0 0"}',
+      'JSON does not match.');
+    equal(Path.fromJSON(json).toString(), path.toString(),
+      'JSON string round trip does not match.');
+    equal(Path.fromJSON(path.toJSON()).toString(), path.toString(),
+      'JSON structure round trip does not match.');
+  });
+
+  test('!!! Path.fromJSON(...)', function() {
+    var e = thrown(function() {
+      Path.fromJSON('[[0, 0], [10, 10]]');
+    });
+    equal(e && e.code, PathSyntaxError.INVALID_GEOMETRY,
+      'Unrecognized JSON not reported.');
+  });
+
+
+  // ---
+  // Element tests.
+  // ---
+
+  report('Element Tests');
+
+  // A minimal stand-in for a DOM element, so these tests don't depend on a
+  // live document.
+  var mockElement = function(name, attributes) {
+    attributes = attributes || {};
+    return {
+      localName: name,
+      getAttribute: function(key) {
+        return attributes.hasOwnProperty(key) ? attributes[key] : null;
+      },
+      setAttribute: function(key, value) {
+        attributes[key] = String(value);
+      }
+    };
+  };
+
+  var mockDocument = {
+    createElementNS: function(ns, name) {
+      var element = mockElement(name);
+      element.namespaceURI = ns;
+      return element;
+    }
+  };
+
+  test('Path.fromElement(<path>)', function() {
+    var path = Path.fromElement(mockElement('path', {d: 'M0 0 l10 10'}));
+    equal(path.toString(), 'M0 0 l10 10', 'Path element string wrong.');
+  });
+
+  test('Path.fromElement(<polyline>)', function() {
+    var path = Path.fromElement(mockElement('polyline',
+      {points: '0,0 10,0 10-10 0 0'}));
+    not(path.isClosed(), 'Polyline closed.');
+    equal(path.toString(), 'M0 0 L10 0 L10 -10 L0 0',
+      'Polyline string wrong.');
+  });
+
+  test('Path.fromElement(<polygon>)', function() {
+    var path = Path.fromElement(mockElement('polygon',
+      {points: '0,0 10,0 10,10'}));
+    ok(path.isClosed(), 'Polygon not closed.');
+    equal(path.toString(), 'M0 0 L10 0 L10 10 Z', 'Polygon string wrong.');
+  });
+
+  test('Path.fromElement(<line>)', function() {
+    var path = Path.fromElement(mockElement('line',
+      {x1: '1', y1: '2', x2: '3px', y2: '4'}));
+    equal(path.toString(), 'M1 2 L3 4', 'Line string wrong.');
+  });
+
+  test('Path.fromElement(<rect>)', function() {
+    var path = Path.fromElement(mockElement('rect',
+      {x: '10', y: '10', width: '20', height: '10'}));
+    equal(path.toString(), 'M10 10 H30 V20 H10 Z', 'Rect string wrong.');
+    equal(path.getArea(), 200, 'Rect area wrong.');
+  });
+
+  test('Path.fromElement(<rect rx>)', function() {
+    var path = Path.fromElement(mockElement('rect',
+      {width: '20', height: '10', rx: '8'}));
+    equal(path.toString(), 'M8 0 H12 A8 5 0 0 1 20 5 V5 A8 5 0 0 1 12 10 ' +
+      'H8 A8 5 0 0 1 0 5 V5 A8 5 0 0 1 8 0 Z',
+      'Rounded rect string wrong.');
+  });
+
+  test('!!! Path.fromElement(...)', function() {
+    var e = thrown(function() {
+      Path.fromElement(mockElement('circle', {r: '5'}));
+    });
+    equal(e && e.code, PathSyntaxError.INVALID_ELEMENT,
+      'Unsupported element not reported.');
+
+    e = thrown(function() {
+      Path.fromElement(mockElement('polyline', {points: '0,0 10'}));
+    });
+    equal(e && e.code, PathSyntaxError.INVALID_ELEMENT,
+      'Unpaired polyline coordinate not reported.');
+
+    e = thrown(function() {
+      Path.fromElement(mockElement('path', {d: 'M0 0 X'}));
+    });
+    equal(e && e.code, PathSyntaxError.UNKNOWN_COMMAND,
+      'Bad path data not reported.');
+
+    e = thrown(function() {
+      Path.fromElement(mockElement('path'));
+    });
+    equal(e && e.code, PathSyntaxError.INVALID_ELEMENT,
+      'Path element without d not reported.');
+
+    e = thrown(function() {
+      Path.fromElement(mockElement('rect', {width: '-20', height: '10'}));
+    });
+    equal(e && e.code, PathSyntaxError.INVALID_ELEMENT,
+      'Negative rect width not reported.');
+
+    e = thrown(function() {
+      Path.fromElement(mockElement('rect', {width: '20', height: '-10'}));
+    });
+    equal(e && e.code, PathSyntaxError.INVALID_ELEMENT,
+      'Negative rect height not reported.');
+  });
+
+  test('path.toElement(...)', function() {
+    var path = new Path('M0 0 L10 0 L10 10');
+    var element = path.toElement(mockDocument, {compact: true});
+    equal(element.localName, 'path', 'Created element not a path.');
+    equal(element.namespaceURI, Path.SVG_NS, 'Created element not SVG.');
+    equal(element.getAttribute('d'), 'M0 0L10 0L10 10',
+      'Created element d wrong.');
+  });
+
+  test('path.applyTo(...)', function() {
+    var element = mockElement('path', {d: 'M0 0 L1 1'});
+    var path = new Path('M0 0 L10 10');
+    equal(path.applyTo(element), element, 'applyTo() did not return element.');
+    equal(element.getAttribute('d'), 'M0 0 L10 10', 'Applied d wrong.');
+    equal(Path.fromElement(element).toString(), path.toString(),
+      'Element round trip does not match.');
+  });
+
+
+  // ---
+  // Canvas tests.
+  // ---
+
+  report('Canvas Tests');
+
+  // A stand-in for a canvas context which records the calls made to it.
+  var mockContext = function() {
+    var ctx = {calls: []};
+    ['moveTo', 'lineTo', 'bezierCurveTo', 'quadraticCurveTo', 'ellipse',
+      'closePath'].forEach(function(name) {
+      ctx[name] = function() {
+        ctx.calls.push(name + '(' +
+          Array.prototype.slice.call(arguments).join(', ') + ')');
+      };
+    });
+    return ctx;
+  };
+
+  test('path.drawTo(ctx)', function() {
+    var ctx = mockContext();
+    equal(new Path('M0 0 L10 0 L10 10').drawTo(ctx), ctx,
+      'drawTo() did not return the context.');
+    equal(ctx.calls.join(' '), 'moveTo(0, 0) lineTo(10, 0) lineTo(10, 10)',
+      'Open path calls do not match.');
+  });
+
+  test('path.drawTo(ctx) closed', function() {
+    var ctx = mockContext();
+    new Path('M0 0 l10 0 C10 5 10 5 10 10 Z').drawTo(ctx);
+    equal(ctx.calls.join(' '),
+      'moveTo(0, 0) lineTo(10, 0) bezierCurveTo(10, 5, 10, 5, 10, 10) ' +
+      'closePath()', 'Closed path calls do not match.');
+  });
+
+  test('path.drawTo(ctx) curves', function() {
+    var ctx = mockContext();
+    new Path('M0 0 h10 c0 5 5 5 5 10 s5 5 5 10 q5 0 5 5 T20 40').drawTo(ctx);
+    equal(ctx.calls.join(' '),
+      'moveTo(0, 0) lineTo(10, 0) bezierCurveTo(10, 5, 15, 5, 15, 10) ' +
+      'bezierCurveTo(15, 15, 20, 15, 20, 20) ' +
+      'quadraticCurveTo(25, 20, 25, 25) quadraticCurveTo(25, 30, 20, 40)',
+      'Curve calls do not match.');
+  });
+
+  test('path.drawTo(ctx) arcs', function() {
+    var ctx = mockContext();
+    new Path('M0 0 A10 10 0 0 1 20 0 a0 5 0 0 0 10 0').drawTo(ctx);
+    equal(ctx.calls.join(' '), 'moveTo(0, 0) ellipse(10, 0, 10, 10, 0, ' +
+      Math.PI + ', ' + 2 * Math.PI + ', false) lineTo(30, 0)',
+      'Arc calls do not match.');
+
+    // Radii too small to span the chord are scaled up to a semicircle.
+    ctx = mockContext();
+    new Path('M0 0 A1 1 0 0 0 0 20').drawTo(ctx);
+    equal(ctx.calls.join(' '), 'moveTo(0, 0) ellipse(0, 10, 10, 10, 0, ' +
+      -Math.PI / 2 + ', ' + -3 * Math.PI / 2 + ', true)',
+      'Scaled arc calls do not match.');
+  });
+
+  test('path.drawTo(ctx) returning open path', function() {
+    var ctx = mockContext();
+    new Path('M0 0 L10 0 L0 0').drawTo(ctx);
+    equal(ctx.calls.join(' '), 'moveTo(0, 0) lineTo(10, 0) lineTo(0, 0)',
+      'Returning open path calls do not match.');
+  });
+
+  test('path.toPath2D()', function() {
+    var path2d = new Path(goodPoints).toPath2D();
+    if (typeof Path2D === 'function') {
+      ok(path2d instanceof Path2D, 'toPath2D() did not return a Path2D.');
+    } else {
+      equal(path2d, null, 'toPath2D() without Path2D not null.');
+    }
+  });
+
+
+  // ---
+  // Compound path tests.
+  // ---
+
+  report('Compound Path Tests');
+
+  // A square with a square hole, the hole running the other way.
+  var donut = 'M0 0 L30 0 L30 30 L0 30 Z M10 10 L10 20 L20 20 L20 10 Z';
+
+  test('new PathGroup(\'M... M...\')', function() {
+    var group = new PathGroup(donut);
+    equal(group.length, 2, 'Subpath count wrong.');
+    ok(group[0] instanceof Path, 'Subpath not a Path.');
+    equal(group[1].toString(), 'M10 10 L10 20 L20 20 L20 10 Z',
+      'Second subpath string wrong.');
+    equal(group.toString(), donut, 'Group string does not round trip.');
+    equal(group.getArea(), 800, 'Group area wrong.');
+  });
+
+  test('new PathGroup(\'M... m...\')', function() {
+    var group = new PathGroup('M0 0 l10 0 m5 5 1 1 m1 1 l2 0');
+    equal(group.toString(), 'M0 0 l10 0 M15 5 l1 1 M17 7 l2 0',
+      'Relative moveto subpaths wrong.');
+  });
+
+  test('new PathGroup(\'M... Z l...\')', function() {
+    var group = new PathGroup('M5 5 L10 5 L10 10 z l-5 5');
+    equal(group.length, 2, 'Implied subpath not split.');
+    equal(group[1].toString(), 'M5 5 l-5 5', 'Implied subpath wrong.');
+  });
+
+  test('!!! new PathGroup(...)', function() {
+    var e = thrown(function() {
+      return new PathGroup('M0 0 L10 10 M5 5 L6 X');
+    });
+    equal(e && e.code, PathSyntaxError.EXPECTED_NUMBER,
+      'Bad subpath not reported.');
+    equal(e && e.offset, 20, 'Bad subpath offset wrong.');
+    equal(e && e.input, 'M0 0 L10 10 M5 5 L6 X', 'Bad subpath input wrong.');
+
+    e = thrown(function() {
+      return new PathGroup('M0 0 L10 10 m5 5');
+    });
+    equal(e && e.code, PathSyntaxError.TOO_FEW_POINTS,
+      'Lone moveto subpath not reported.');
+  });
+
+  test('group.getRoles()', function() {
+    compare(new PathGroup(donut).getRoles(),
+      [PathGroup.OUTER, PathGroup.HOLE], 'Donut roles wrong.');
+
+    // Running the same way the inner ring adds to the fill under nonzero,
+    // but still cuts a hole under evenodd.
+    var same = new PathGroup(
+      'M0 0 L30 0 L30 30 L0 30 Z M10 10 L20 10 L20 20 L10 20 Z');
+    compare(same.getRoles(), [PathGroup.OUTER, PathGroup.OUTER],
+      'Nonzero roles wrong.');
+    compare(same.getRoles({rule: Path.EVENODD}),
+      [PathGroup.OUTER, PathGroup.HOLE], 'Evenodd roles wrong.');
+  });
+
+  test('group.getRoles() island', function() {
+    var group = new PathGroup(donut + ' M12 12 L18 12 L18 18 L12 18 Z');
+    compare(group.getRoles(),
+      [PathGroup.OUTER, PathGroup.HOLE, PathGroup.OUTER],
+      'Island roles wrong.');
+  });
+
+  test('group.getRoles() degenerate', function() {
+    var group = new PathGroup('M0 0 L10 0 L10 10 M20 20 L30 20');
+    compare(group.getRoles(), [PathGroup.OUTER, PathGroup.OUTER],
+      'Zero area subpath reported as a hole.');
+    compare(group.getRoles({rule: Path.EVENODD}),
+      [PathGroup.OUTER, PathGroup.OUTER],
+      'Zero area subpath reported as a hole under evenodd.');
+  });
+
+  test('group.toString({compact: true})', function() {
+    equal(new PathGroup(donut).toString({compact: true}),
+      'M0 0L30 0L30 30L0 30ZM10 10L10 20L20 20L20 10Z',
+      'Compact group string wrong.');
+  });
+
+
+  // ---
+  // Class tests.
+  // ---
+
+  report('Class Tests');
+
+  test('Array.isArray(new Path(...))', function() {
+    ok(Array.isArray(new Path(goodPoints)), 'Path not a true Array.');
+    ok(Array.isArray(new PathGroup()), 'PathGroup not a true Array.');
+  });
+
+  test('Path[Symbol.species]', function() {
+    var path = new Path(goodPoints);
+    equal(Path[Symbol.species], Array, 'Path species not Array.');
+    var points = Array.prototype.map.call(path, function(point) {
+      return point[0];
+    });
+    not(points instanceof Path, 'Array method result is a Path.');
+    ok(path.map(function(point) {
+      return point;
+    }) instanceof Path, 'map() result not a Path.');
+  });
+
+  test('new Path(path)', function() {
+    var path = new Path('M0 0 L10 0 L10 10');
+    var copy = new Path(path);
+    ok(copy !== path, 'Path copy is the original.');
+    equal(copy.toString(), 'M0 0 L10 0 L10 10', 'Path copy string wrong.');
+  });
+
+  test('path.length = ...', function() {
+    var path = new Path('M0 0 L10 0 L10 10');
+    path.length = 2;
+    equal(path.toString(), 'M0 0 L10 0', 'Truncated path string wrong.');
+  });
+
+
+  // ---
+  report('Packed Storage Tests');
+  // ---
+
+  test('new PackedPath(string)', function() {
+    var path = new PackedPath('M0 0 l10 0 v10 Z');
+    ok(path instanceof Path, 'PackedPath not a Path.');
+    ok(Array.isArray(path), 'PackedPath not a true Array.');
+    equal(path.length, 4, 'PackedPath length wrong.');
+    compare(path[2], [10, 10], 'PackedPath point wrong.');
+    ok(path.isClosed(), 'PackedPath not closed.');
+    equal(path.toString(), 'M0 0 L10 0 L10 10 Z', 'PackedPath string wrong.');
+  });
+
+  test('new PackedPath(points)', function() {
+    var path = new PackedPath(goodPoints);
+    compare(Path.flattenPointArray(path), Path.flattenPointArray(goodPoints),
+      'PackedPath points wrong.');
+    equal(path.toString(), new Path(goodPoints).toString(),
+      'PackedPath string differs from Path.');
+  });
+
+  test('new PackedPath(coordinates)', function() {
+    var path = new PackedPath(new Float64Array([0, 0, 10, 0, 10, 10]),
+      {closed: true});
+    equal(path.length, 4, 'Closed PackedPath length wrong.');
+    equal(path.toString(), 'M0 0 L10 0 L10 10 Z', 'PackedPath string wrong.');
+  });
+
+  test('new PackedPath(..., {type: Int32Array})', function() {
+    var path = new PackedPath('M0 0 L10 0', {type: Int32Array});
+    ok(path.getCoordinates() instanceof Int32Array, 'Storage not Int32Array.');
+    compare(Array.from(path.getCoordinates()), [0, 0, 10, 0],
+      'Coordinates wrong.');
+  });
+
+  test('!!! new PackedPath(fractions, {type: Int32Array})', function() {
+    var err = thrown(function() {
+      return new PackedPath('M0 0 L10.5 0', {type: Int32Array});
+    });
+    ok(err instanceof PathSyntaxError, 'Fractional coordinates accepted.');
+    equal(err.code, PathSyntaxError.INVALID_POINT, 'Error code wrong.');
+    equal(err.index, 1, 'Error index wrong.');
+  });
+
+  test('!!! new PackedPath(..., {type: Array})', function() {
+    ok(thrown(function() {
+      return new PackedPath('M0 0 L10 0', {type: Array});
+    }) instanceof TypeError, 'Unsupported storage type accepted.');
+  });
+
+  test('!!! new PackedPath(badCoordinates)', function() {
+    ok(thrown(function() {
+      return new PackedPath(new Float64Array([0, 0, 10]));
+    }) instanceof PathSyntaxError, 'Odd coordinate count accepted.');
+    ok(thrown(function() {
+      return new PackedPath(new Float64Array([0, 0, NaN, 0]));
+    }) instanceof PathSyntaxError, 'NaN coordinate accepted.');
+  });
+
+  test('packed path[i] = ...', function() {
+    var path = new PackedPath('M0 0 L10 0');
+    path[1] = [20, 5];
+    path[2] = [30, 0];
+    equal(path.toString(), 'M0 0 L20 5 L30 0', 'Assigned points wrong.');
+    path[0][0] = 99;
+    equal(path[0][0], 0, 'Point copy edit changed path.');
+    ok(thrown(function() {
+      path[5] = [0, 0];
+    }) instanceof RangeError, 'Gap in points allowed.');
+    ok(thrown(function() {
+      path[1] = [NaN, 0];
+    }) instanceof PathSyntaxError, 'Invalid point stored.');
+  });
+
+  test('packed path.push/splice/reverse', function() {
+    var path = new PackedPath('M0 0 L10 0');
+    equal(path.push([10, 10], [0, 10]), 4, 'push() result wrong.');
+    equal(path.toString(), 'M0 0 L10 0 L10 10 L0 10', 'push() string wrong.');
+    var removed = path.splice(1, 2);
+    ok(removed instanceof Path, 'splice() result not a Path.');
+    equal(path.toString(), 'M0 0 L0 10', 'splice() string wrong.');
+    path.reverse();
+    equal(path.toString(), 'M0 10 L0 0', 'reverse() string wrong.');
+    ok(thrown(function() {
+      path.pop();
+    }) instanceof PathSyntaxError, 'pop() to one point allowed.');
+    equal(path.length, 2, 'Failed pop() changed path.');
+  });
+
+  test('packed path.close/open', function() {
+    var path = new PackedPath('M0 0 L10 0 L10 10');
+    path.close();
+    equal(path.toString(), 'M0 0 L10 0 L10 10 Z', 'close() string wrong.');
+    path.open();
+    equal(path.toString(), 'M0 0 L10 0 L10 10 L0 0', 'open() string wrong.');
+    path.close();
+    path[3] = [5, 5];
+    not(path.closed, 'Path closed after moving its end.');
+  });
+
+  test('packed path.toString(options)', function() {
+    var path = new PackedPath('M0.125 0 L10 0 L10 10');
+    equal(path.toString({precision: 1}), 'M0.1 0 L10 0 L10 10',
+      'Precision string wrong.');
+    equal(path.toString({form: Path.RELATIVE}), 'M0.125 0 l9.875 0 l0 10',
+      'Relative string wrong.');
+  });
+
+  test('packed path methods', function() {
+    var path = new PackedPath('M0 0 L10 0 L10 10 Z');
+    equal(path.getLength(), new Path('M0 0 L10 0 L10 10 Z').getLength(),
+      'getLength() differs from Path.');
+    var copy = path.clone();
+    ok(copy instanceof PackedPath, 'clone() result not a PackedPath.');
+    equal(copy.toString(), path.toString(), 'clone() string wrong.');
+    var moved = path.map(function(point) {
+      return [point[0] + 1, point[1]];
+    });
+    ok(moved instanceof Path, 'map() result not a Path.');
+    equal(moved[1][0], 11, 'map() point wrong.');
+    equal(JSON.stringify(path), JSON.stringify(path.toJSON()),
+      'JSON form wrong.');
+  });
+
+  test('packed path.push(...) keeps closed path closed', function() {
+    var path = new PackedPath('M0 0 L10 0 L10 10 Z');
+    equal(path.push([5, 5]), 5, 'push() did not return the new length.');
+    ok(path.closed, 'Pushed packed path not closed.');
+    equal(path.toString(), 'M0 0 L10 0 L10 10 L5 5 Z',
+      'Pushed packed path string does not match.');
+    compare(path.shift(), [0, 0], 'shift() did not return first vertex.');
+    equal(path.toString(), 'M10 0 L10 10 L5 5 Z',
+      'Shifted packed path string does not match.');
+  });
+
+  test('packed path.getCoordinates()', function() {
+    var path = new PackedPath('M0 0 L10 0');
+    var coords = path.getCoordinates();
+    compare(Array.from(coords), [0, 0, 10, 0], 'Coordinates wrong.');
+    coords[2] = 20;
+    compare(path[1], [20, 0], 'Coordinates not a view.');
+  });
+
+  test('packed path.getX/getY/getBounds()', function() {
+    var path = new PackedPath('M0 0 L10 -5 L4 20');
+    equal(path.getX(1), 10, 'getX() wrong.');
+    equal(path.getY(1), -5, 'getY() wrong.');
+    equal(path.getX(3), undefined, 'getX() past the end not undefined.');
+    equal(JSON.stringify(path.getBounds()),
+      JSON.stringify(new Path('M0 0 L10 -5 L4 20').getBounds()),
+      'getBounds() differs from Path.');
+  });
+
+  test('!!! packed path.length = ...', function() {
+    var path = new PackedPath('M0 0 L10 0 L10 10');
+    [-1, 2.5, NaN, 4].forEach(function(value) {
+      ok(thrown(function() {
+        path.length = value;
+      }) instanceof RangeError, 'length = ' + value + ' allowed.');
+    });
+    [1, 0].forEach(function(value) {
+      var e = thrown(function() {
+        path.length = value;
+      });
+      equal(e && e.code, PathSyntaxError.TOO_FEW_POINTS,
+        'length = ' + value + ' not reported as too few points.');
+    });
+    equal(path.length, 3, 'Failed length change changed path.');
+    path.length = 2;
+    equal(path.toString(), 'M0 0 L10 0', 'Shortened string wrong.');
+  });
+
+
+  // ---
+  report('Streaming Parser Tests');
+  // ---
+
+  var streamPath = 'M10,20 L-1.5e1 .5-.5-2 h10 v-2e-1 C1 2 3 4 5 6 ' +
+    'a10 10 0 01 20 20 Z';
+
+  test('parser.write(...).end()', function() {
+    var commands = [];
+    var parser = new PathParser(function(command) {
+      commands.push(command);
+    });
+    equal(parser.write('M10 20 L3'), parser, 'write() result not receiver.');
+    equal(commands.length, 1, 'Incomplete command emitted.');
+    parser.write('0 40 30 40 ');
+    equal(commands.length, 3, 'Complete commands not emitted.');
+    parser.end('Z');
+    compare(commands.map(function(command) {
+      return command.command;
+    }), ['M', 'L', 'L', 'Z'], 'Commands wrong.');
+    compare(commands[1].args, [30, 40], 'Split number read wrong.');
+  });
+
+  test('parser.write(...) at every split', function() {
+    var expected = JSON.stringify(Path.parse(streamPath));
+    var failed = [];
+    for (var i = 0; i <= streamPath.length; i++) {
+      var commands = [];
+      new PathParser(function(command) {
+        commands.push(command);
+      }).write(streamPath.slice(0, i)).end(streamPath.slice(i));
+      if (JSON.stringify(commands) !== expected) {
+        failed.push(i);
+      }
+    }
+    compare(failed, [], 'Commands differ when split.');
+  });
+
+  test('new PathParser(..., {points: true})', function() {
+    var points = [];
+    new PathParser(function(point) {
+      points.push(point);
+    }, {points: true}).write('m10 10 l5').write(' 0 v5').end('z');
+    compare(Path.flattenPointArray(points), [10, 10, 15, 10, 15, 15, 10, 10],
+      'Points wrong.');
+  });
+
+  test('PathParser.iterate(chunks)', function() {
+    var iterator = PathParser.iterate(['M0 0 L1', '0 0 L10 10'],
+      {points: true});
+    compare(iterator.next().value, [0, 0], 'First point wrong.');
+    var points = Array.from(iterator);
+    compare(Path.flattenPointArray(points), [10, 0, 10, 10],
+      'Remaining points wrong.');
+    equal(Array.from(PathParser.iterate('M0 0 L10 0')).length, 2,
+      'String not taken as a single chunk.');
+  });
+
+  test('!!! parser.write(badChunks)', function() {
+    var parser = new PathParser(function() {});
+    parser.write('M0 0\nL10 0 L1');
+    var err = thrown(function() {
+      parser.write('0 x');
+    });
+    equal(err.code, PathSyntaxError.EXPECTED_NUMBER, 'Error code wrong.');
+    equal(err.offset, 15, 'Error offset wrong.');
+    equal(err.line, 2, 'Error line wrong.');
+    equal(err.column, 11, 'Error column wrong.');
+    equal(thrown(function() {
+      parser.end();
+    }), err, 'Error not raised again.');
+  });
+
+  test('!!! parser.end() on incomplete path', function() {
+    var parser = new PathParser(function() {});
+    parser.write('M0 0 ');
+    var err = thrown(function() {
+      parser.end();
+    });
+    equal(err.code, PathSyntaxError.TOO_FEW_POINTS, 'Error code wrong.');
+    ok(thrown(function() {
+      new PathParser(function() {}).write('M0 0 L1 1').end().write('L2 2');
+    }) instanceof Error, 'Write after end allowed.');
+    ok(thrown(function() {
+      new PathParser(function() {}).write(42);
+    }) instanceof PathSyntaxError, 'Non-string chunk allowed.');
+  });
+
+
+  // ---
+  report('Spatial Index Tests');
+  // ---
+
+  // A 10 x 10 grid of small triangles, one every 100 units.
+  var gridPaths = function() {
+    var paths = [];
+    for (var i = 0; i < 100; i++) {
+      var x = (i % 10) * 100;
+      var y = Math.floor(i / 10) * 100;
+      paths.push(new Path([[x, y], [x + 10, y], [x, y + 10]]));
+    }
+    return paths;
+  };
+
+  // The first point of each path, in a stable order, to compare results.
+  var origins = function(paths) {
+    return paths.map(function(path) {
+      return path[0].join(',');
+    }).sort().join(' ');
+  };
+
+  test('new PathIndex().insert(...)', function() {
+    var index = new PathIndex({maxEntries: 4});
+    gridPaths().forEach(function(path) {
+      index.insert(path);
+    });
+    equal(index.size, 100, 'Index size wrong.');
+    equal(origins(index.search({x: 95, y: 95, width: 110, height: 10})),
+      '100,100 200,100', 'Search results wrong.');
+  });
+
+  test('new PathIndex().load(...)', function() {
+    var paths = gridPaths();
+    var index = new PathIndex().load(paths);
+    equal(index.size, 100, 'Index size wrong.');
+    ok(index.has(paths[42]), 'Loaded path missing.');
+    equal(index.search({x: 0, y: 0, width: 1000, height: 1000}).length, 100,
+      'Search of everything wrong.');
+    equal(index.search({x: 20, y: 20, width: 50, height: 50}).length, 0,
+      'Search of empty region wrong.');
+  });
+
+  test('index.remove(...)', function() {
+    var paths = gridPaths();
+    var index = new PathIndex().load(paths);
+    ok(index.remove(paths[0]), 'remove() result wrong.');
+    not(index.remove(paths[0]), 'Second remove() result wrong.');
+    not(index.has(paths[0]), 'Removed path still indexed.');
+    equal(index.search({x: 0, y: 0, width: 10, height: 10}).length, 0,
+      'Removed path still found.');
+    paths.forEach(function(path) {
+      index.remove(path);
+    });
+    equal(index.size, 0, 'Index not emptied.');
+  });
+
+  test('index.remove(...) many', function() {
+    var paths = [];
+    for (var i = 0; i < 400; i++) {
+      paths.push(new Path([[i * 7 % 400, i * 13 % 400],
+        [i * 7 % 400 + 5, i * 13 % 400 + 5]]));
+    }
+    var index = new PathIndex({maxEntries: 4});
+    paths.forEach(function(path) {
+      index.insert(path);
+    });
+    var kept = paths.filter(function(path, n) {
+      return n % 10 === 0 || !index.remove(path);
+    });
+    equal(index.size, kept.length, 'Index size wrong after removals.');
+    equal(origins(index.search({x: 0, y: 0, width: 405, height: 405})),
+      origins(kept), 'Search results wrong after removals.');
+
+    // Walk the tree itself: with underfull nodes condensed, every node but
+    // the root holds at least two children and every leaf is at one depth.
+    var depths = [];
+    var underfull = 0;
+    var walk = function(node, depth, root) {
+      if (!root && node.children.length < 2) {
+        underfull++;
+      }
+      if (node.leaf) {
+        depths.push(depth);
+        return;
+      }
+      node.children.forEach(function(child) {
+        walk(child, depth + 1, false);
+      });
+    };
+    walk(index.root_, 0, true);
+    equal(underfull, 0, 'Underfull nodes left after removals.');
+    ok(depths.every(function(depth) {
+      return depth === depths[0];
+    }), 'Tree unbalanced after removals.');
+  });
+
+  test('index.update(...)', function() {
+    var paths = gridPaths();
+    var index = new PathIndex().load(paths);
+    paths[0].setPoints(paths[0].translate(500, 550));
+    equal(index.search({x: 500, y: 550, width: 1, height: 1}).length, 0,
+      'Moved path found before update.');
+    index.update(paths[0]);
+    equal(index.search({x: 500, y: 550, width: 1, height: 1})[0], paths[0],
+      'Moved path not found after update.');
+    equal(index.size, 100, 'Index size changed by update.');
+  });
+
+  test('index.nearest(...)', function() {
+    var paths = gridPaths();
+    var index = new PathIndex({maxEntries: 4}).load(paths);
+    compare(index.nearest([212, 312]), [paths[32]], 'Nearest path wrong.');
+    equal(origins(index.nearest([150, 104], 2)), '100,100 200,100',
+      'Nearest two paths wrong.');
+    equal(index.nearest([0, 0], 500).length, 100, 'Nearest all wrong.');
+    equal(new PathIndex().nearest([0, 0]).length, 0, 'Empty nearest wrong.');
+  });
+
+  test('!!! index.insert(notAPath)', function() {
+    ok(thrown(function() {
+      new PathIndex().insert([[0, 0], [10, 10]]);
+    }) instanceof TypeError, 'Point array accepted.');
+  });
+
+
+  // ---
+  report('Equality Tests');
+  // ---
+
+  test('path.equals(...)', function() {
+    var path = new Path('M0 0 L10 0 L10 10 Z');
+    ok(path.equals(new Path('m0 0 h10 v10 z')), 'Same shape not equal.');
+    ok(path.equals([[0, 0], [10, 0], [10, 10], [0, 0]]),
+      'Same point array not equal.');
+    not(path.equals(new Path('M0 0 L10 0 L10 10 L0 0')),
+      'Open path equals closed.');
+    not(path.equals(new Path('M0 0 L10 0 L10 11 Z')),
+      'Different point equal.');
+    not(path.equals('M0 0 L10 0 L10 10 Z'), 'String equals path.');
+    compare(path, new Path('M0 0 L10 0 L10 10 Z'), 'compare() of Paths.');
+  });
+
+  test('path.equals(..., {tolerance: ...})', function() {
+    var path = new Path('M0 0 L10 0 L10 10');
+    ok(path.equals(new Path('M0 0 L10.001 0 L10 9.999'), {tolerance: 0.01}),
+      'Paths within tolerance not equal.');
+    not(path.equals(new Path('M0 0 L10.1 0 L10 10'), {tolerance: 0.01}),
+      'Paths beyond tolerance equal.');
+  });
+
+  test('path.equals(..., {ignoreStart, ignoreDirection})', function() {
+    var path = new Path('M0 0 L10 0 L10 10 Z');
+    var rotated = new Path('M10 0 L10 10 L0 0 Z');
+    var reversed = new Path('M0 0 L10 10 L10 0 Z');
+    not(path.equals(rotated), 'Rotated ring equal by default.');
+    ok(path.equals(rotated, {ignoreStart: true}), 'Rotated ring not equal.');
+    not(path.equals(reversed), 'Reversed ring equal by default.');
+    ok(path.equals(reversed, {ignoreDirection: true}),
+      'Reversed ring not equal.');
+    ok(path.equals(new Path('M10 10 L10 0 L0 0 Z'),
+      {ignoreStart: true, ignoreDirection: true}),
+      'Rotated reversed ring not equal.');
+    ok(new Path('M0 0 L5 5 L10 0').equals(new Path('M10 0 L5 5 L0 0'),
+      {ignoreDirection: true}), 'Reversed open path not equal.');
+    not(new Path('M0 0 L5 5 L10 0').equals(new Path('M5 5 L10 0 L0 0'),
+      {ignoreStart: true}), 'Rotated open path equal.');
+  });
+
+  test('path.hash(...)', function() {
+    var path = new Path('M0 0 L10 0 L10 10 Z');
+    var hash = path.hash();
+    ok(/^[0-9a-f]{16}$/.test(hash), 'Hash format wrong.');
+    equal(new Path('m0 0 h10 v10 z').hash(), hash, 'Equal paths differ.');
+    not(new Path('M0 0 L10 0 L10 10').hash() === hash,
+      'Open path hashes as closed.');
+    not(new Path('M10 0 L10 10 L0 0 Z').hash() === hash,
+      'Rotated ring hashes alike by default.');
+    equal(new Path('M10 10 L10 0 L0 0 Z').hash({ignoreStart: true,
+      ignoreDirection: true}), path.hash({ignoreStart: true,
+      ignoreDirection: true}), 'Rotated reversed ring hashes differ.');
+  });
+
+  test('Path.freeze(...)', function() {
+    var path = new Path('M0 0 l10 0 l0 10');
+    var frozen = Path.freeze(path);
+    ok(frozen instanceof ImmutablePath, 'Result not an ImmutablePath.');
+    ok(frozen instanceof Path, 'ImmutablePath not a Path.');
+    equal(frozen.toString(), 'M0 0 l10 0 l0 10', 'Frozen string wrong.');
+    equal(Path.freeze(frozen), frozen, 'Refreezing copied the path.');
+    path.push([0, 0]);
+    equal(frozen.length, 3, 'Original change reached frozen path.');
+  });
+
+  test('Path.freeze(points) leaves points writable', function() {
+    var points = [[0, 0], [10, 0], [10, 10]];
+    var frozen = Path.freeze(points);
+    var other = new ImmutablePath(points);
+    not(Object.isFrozen(points[0]), 'Input point frozen.');
+    points[1][0] = 5;
+    equal(points[1][0], 5, 'Input point not writable.');
+    compare(frozen[1], [10, 0], 'Input change reached frozen path.');
+    compare(other[1], [10, 0], 'Input change reached ImmutablePath.');
+  });
+
+  test('!!! immutablePath.push/setPoints/close(...)', function() {
+    var path = new ImmutablePath('M0 0 L10 0 L10 10');
+    ['push', 'pop', 'reverse', 'splice', 'close', 'setPoints'].forEach(
+      function(name) {
+        ok(thrown(function() {
+          path[name]([[0, 0], [5, 5]]);
+        }) instanceof TypeError, name + '() allowed.');
+      });
+
+    // Assignments throw only in strict mode code, but fail regardless.
+    thrown(function() {
+      path[0] = [5, 5];
+    });
+    thrown(function() {
+      path[1][0] = 5;
+    });
+    compare(path, [[0, 0], [10, 0], [10, 10]], 'Immutable points changed.');
+    equal(path.toString(), 'M0 0 L10 0 L10 10', 'Immutable path changed.');
+  });
+
+  test('immutablePath.clone/map(...)', function() {
+    var path = new ImmutablePath('M0 0 L10 0 L10 10');
+    var copy = path.clone();
+    not(copy instanceof ImmutablePath, 'clone() result immutable.');
+    copy.push([0, 10]);
+    equal(copy.length, 4, 'clone() result not changeable.');
+    ok(path.map(function(point) {
+      return [point[0] * 2, point[1]];
+    }).equals([[0, 0], [20, 0], [20, 10]]), 'map() result wrong.');
+    ok(path.getLength() === 20 && path.isClosed() === false,
+      'Immutable path measurement wrong.');
+  });
+
+
+  // ---
+  report('Diff Tests');
+  // ---
+
+  test('Path.diff(...)', function() {
+    var ops = Path.diff(new Path('M0 0 L10 0 L10 10 L0 10'),
+      new Path('M0 0 L5 5 L10 10 L0 10 L0 5'));
+    equal(JSON.stringify(ops), JSON.stringify([
+      {op: 'move', index: 1, from: [10, 0], to: [5, 5]},
+      {op: 'insert', index: 4, point: [0, 5]}
+    ]), 'Operations wrong.');
+    equal(Path.diff(new Path(goodPoints), new Path(goodPoints)).length, 0,
+      'Equal paths differ.');
+  });
+
+  test('Path.diff(...) keeps common points', function() {
+    var ops = Path.diff(new Path('M0 0 L1 1 L2 2 L3 3'),
+      new Path('M1 1 L2 2 L3 3 L4 4'));
+    compare(ops.map(function(op) {
+      return op.op + op.index;
+    }), ['delete0', 'insert3'], 'Operations not minimal.');
+  });
+
+  test('Path.diff(...) of closed paths', function() {
+    var ops = Path.diff(new Path('M0 0 L10 0 L10 10'),
+      new Path('M0 0 L10 0 L10 10 Z'));
+    equal(ops[ops.length - 1].op, 'close', 'Close operation missing.');
+    equal(Path.invertDiff(ops)[0].op, 'open', 'Open operation missing.');
+  });
+
+  test('path.patch(Path.diff(...))', function() {
+    var a = new Path('M0 0 h10 v10 l-5 5 Z');
+    var b = new Path('M0 0 L10 0 L12 10 L5 15 L0 10 Z');
+    var ops = JSON.parse(JSON.stringify(Path.diff(a, b)));
+    var patched = a.patch(ops);
+    compare(patched, b, 'Patched path wrong.');
+    ok(patched.closed, 'Patched path not closed.');
+    equal(patched.toString(), 'M0 0 L10 0 L12 10 L5 15 L0 10 Z',
+      'Patched path string does not match.');
+    equal(a.toString(), 'M0 0 h10 v10 l-5 5 Z', 'Original path changed.');
+  });
+
+  test('path.patch(Path.invertDiff(...))', function() {
+    var a = new Path('M0 0 L10 0 L10 10');
+    var b = new Path('M5 5 L10 0 L20 20 L30 0 Z');
+    var ops = Path.diff(a, b);
+    var undone = a.patch(ops).patch(Path.invertDiff(ops));
+    compare(undone, a, 'Undone path wrong.');
+    not(undone.closed, 'Undone path closed.');
+  });
+
+  test('path.patch([{op: \'close\'}])', function() {
+    var path = new Path('M0 0 L10 0 L10 10').patch([{op: 'close'}]);
+    ok(path.closed, 'Patched path not closed.');
+    equal(path.toString(), 'M0 0 L10 0 L10 10 Z',
+      'Closed patched path string does not match.');
+  });
+
+  test('packed path.patch(Path.diff(...))', function() {
+    var a = new PackedPath('M0 0 L10 0 L10 10');
+    var b = new Path('M0 0 L10 0 L12 10 L5 15 Z');
+    var patched = a.patch(Path.diff(a, b));
+    ok(patched instanceof PackedPath, 'Patched path not packed.');
+    compare(patched, b, 'Patched packed path wrong.');
+    ok(patched.closed, 'Patched packed path not closed.');
+    equal(a.toString(), 'M0 0 L10 0 L10 10', 'Original path changed.');
+  });
+
+  test('!!! path.patch(badOps)', function() {
+    var path = new Path('M0 0 L10 0 L10 10');
+    var err = thrown(function() {
+      path.patch([{op: 'delete', index: 1, point: [99, 99]}]);
+    });
+    ok(err instanceof PathSyntaxError, 'Mismatched operation accepted.');
+    equal(err.code, PathSyntaxError.INVALID_PATCH, 'Error code wrong.');
+    equal(thrown(function() {
+      path.patch([{op: 'insert', index: 9, point: [5, 5]}]);
+    }).code, PathSyntaxError.INVALID_PATCH, 'Bad index accepted.');
+    equal(thrown(function() {
+      path.patch([{op: 'rotate'}]);
+    }).code, PathSyntaxError.INVALID_PATCH, 'Unknown operation accepted.');
+    equal(thrown(function() {
+      path.patch([{op: 'delete', index: 0, point: [0, 0]},
+        {op: 'delete', index: 0, point: [10, 0]}]);
+    }).code, PathSyntaxError.TOO_FEW_POINTS, 'Single point result allowed.');
+    equal(path.length, 3, 'Failed patch changed path.');
+  });
+
 
   // ---
   // Wrapup